@@ -3,14 +3,21 @@
 pragma solidity ^0.8.4;
 
 import "@openzeppelin/contracts/token/ERC1155/ERC1155.sol";
+import "@openzeppelin/contracts/token/ERC1155/extensions/ERC1155Pausable.sol";
+import "@openzeppelin/contracts/token/common/ERC2981.sol";
 import "@openzeppelin/contracts/access/Ownable.sol";
 import "@openzeppelin/contracts/utils/Strings.sol";
+import "@openzeppelin/contracts/proxy/utils/Initializable.sol";
+import "@openzeppelin/contracts/proxy/utils/UUPSUpgradeable.sol";
 
 /*
     ERC1155 Token
     ### - Is ERC1155
     ### - Is Ownable
     ### - Each token ID needs to have a max supply of 1
+    ### - Editions: ids can also be minted with N units and a max supply (0 leaves it open), more
+          units of an edition are minted later up to that max supply
+    ### - Owner can batch mint many new ids with their own URIs in one call, to any recipient
     - Token IDs will be 0, 1, 2, 3 but users can see 1, 2, 3
     ### - Each token should have its own baseURI, meaning I can have two NFTs with different baseURI
     ### - URL for each token should be changeable by contract owner
@@ -18,13 +25,21 @@ import "@openzeppelin/contracts/utils/Strings.sol";
     ### - A new token can be minted by contract owner with input parameters: string uri
     ### - Tokens should be minted to fixed address 'treasury'
     ### - 'treasury' should be updatable by owner
+    ### - Owner can pause minting and transfers in an emergency
+    ### - EIP-2981 royalties: a default royalty paid to the treasury unless another receiver is set,
+          and per-token overrides. Collection metadata for marketplaces at contractURI
+    ### - Deployed as is (ERC1155_Token) or behind an ERC1967 proxy the owner can upgrade
+          (ERC1155_Token_Upgradeable), both share everything but their construction
 */
 
-contract ERC1155_Token is ERC1155, Ownable {
+abstract contract ERC1155_Token_Base is ERC1155Pausable, ERC2981, Ownable {
 
     // Used to track how many tokens were minted
     mapping(uint => uint) public tokenSupply;
 
+    // Max units of each id, 0 for an open edition. Ids minted with mint() are one of a kind.
+    mapping(uint => uint) public maxSupply;
+
     // Used to record baseURI for each token
     // baseURI should look like: "https://game.example/api/item/{id}.json"
     mapping(uint => string) public tokenBaseURI;
@@ -32,11 +47,35 @@ contract ERC1155_Token is ERC1155, Ownable {
     uint public tokenId;
 
     address public treasury; 
+
+    // Default royalty in basis points of the sale price (500 = 5%), and who receives it.
+    // A zero receiver is the treasury, following it through updateTreasury.
+    uint96 public defaultRoyaltyFee;
+    address public royaltyReceiver;
+
+    // Collection level metadata (name, description, image, seller_fee_basis_points, fee_recipient)
+    string public contractURI;
+
+    event TokenMinted(uint indexed tokenId, address indexed to, string baseURI, uint maxSupply);
+    event EditionMinted(uint indexed tokenId, address indexed to, uint amount, uint supply);
+    event TokenURIUpdated(uint indexed tokenId, string baseURI);
+    event TreasuryUpdated(address indexed previousTreasury, address indexed newTreasury);
+    event DefaultRoyaltyUpdated(address indexed receiver, uint96 feeNumerator);
+    event TokenRoyaltyUpdated(uint indexed tokenId, address indexed receiver, uint96 feeNumerator);
+    event ContractURIUpdated(string contractURI);
     
     // ERC1155 requires a default BaseURI to be used for all token. But since we use different
     // baseURI for each token, we just leave it
-    constructor(address _treasury) ERC1155("") {
+    constructor() ERC1155("") {}
+
+    // Runs once, from the constructor of ERC1155_Token or the initializer of ERC1155_Token_Upgradeable
+    function _initToken(address _treasury) internal {
         treasury = _treasury;
+        _updateDefaultRoyalty();
+    }
+
+    function supportsInterface(bytes4 _interfaceId) public view override(ERC1155, ERC2981) returns (bool) {
+        return super.supportsInterface(_interfaceId);
     }
 
     // sets our URI and makes the ERC1155 OpenSea compatible
@@ -54,28 +93,141 @@ contract ERC1155_Token is ERC1155, Ownable {
     // used to change metadata, only owner access. Provide what token to change and what uri to use now.
     function setURI(uint _tokenId, string memory newuri) external onlyOwner {
         tokenBaseURI[_tokenId] = newuri;
+        emit TokenURIUpdated(_tokenId, newuri);
     }
 
     // Mints a new token to the treasury. Only takes uri
-    function mint(string memory _uri) external payable onlyOwner returns (uint) {
-        uint _tokenId = tokenId;
+    function mint(string memory _uri) external payable onlyOwner whenNotPaused returns (uint) {
+        uint _tokenId = _create(treasury, _uri, 1, 1);
+        _mint(treasury, _tokenId, 1, "");
+        return _tokenId;
+    }
 
-        require(tokenSupply[_tokenId] == 0);
+    // Mints `_amount` units of a new id to `_to`. `_maxSupply` caps the edition, 0 leaves it open.
+    function mintTo(address _to, string memory _uri, uint _amount, uint _maxSupply) external onlyOwner whenNotPaused returns (uint) {
+        uint _tokenId = _create(_to, _uri, _amount, _maxSupply);
+        _mint(_to, _tokenId, _amount, "");
+        return _tokenId;
+    }
 
-        tokenSupply[_tokenId] += 1;
+    // Mints one new id per URI to `_to`, in a single TransferBatch. Ids are consecutive.
+    function mintBatch(
+        address _to,
+        string[] memory _uris,
+        uint[] memory _amounts,
+        uint[] memory _maxSupplies
+    ) external onlyOwner whenNotPaused returns (uint[] memory tokenIds) {
+        require(_uris.length > 0, "No tokens given");
+        require(_uris.length == _amounts.length && _uris.length == _maxSupplies.length, "Array lengths don't match");
+
+        tokenIds = new uint[](_uris.length);
+        for (uint i = 0; i < _uris.length; i++) {
+            tokenIds[i] = _create(_to, _uris[i], _amounts[i], _maxSupplies[i]);
+        }
+        _mintBatch(_to, tokenIds, _amounts, "");
+    }
 
-        _mint(treasury, _tokenId, 1, "");
-        tokenBaseURI[_tokenId] = _uri;
+    // Mints more units of an existing edition, up to its max supply
+    function mintEdition(uint _tokenId, address _to, uint _amount) external onlyOwner whenNotPaused {
+        require(_tokenId < tokenId, "Token ID is out of range");
+        _addSupply(_tokenId, _to, _amount);
+        _mint(_to, _tokenId, _amount, "");
+    }
+
+    // Records a new id and its first `_amount` units, the caller mints them
+    function _create(address _to, string memory _uri, uint _amount, uint _maxSupply) internal returns (uint) {
+        uint _tokenId = tokenId;
 
         tokenId += 1;
+        tokenBaseURI[_tokenId] = _uri;
+        maxSupply[_tokenId] = _maxSupply;
+        emit TokenMinted(_tokenId, _to, _uri, _maxSupply);
 
+        _addSupply(_tokenId, _to, _amount);
         return _tokenId;
     }
 
+    function _addSupply(uint _tokenId, address _to, uint _amount) internal {
+        require(_amount > 0, "Amount should be positive");
+        uint supply = tokenSupply[_tokenId] + _amount;
+        require(maxSupply[_tokenId] == 0 || supply <= maxSupply[_tokenId], "Max supply exceeded");
+
+        tokenSupply[_tokenId] = supply;
+        emit EditionMinted(_tokenId, _to, _amount, supply);
+    }
+
+    // Stops minting and every transfer until unpause
+    function pause() external onlyOwner {
+        _pause();
+    }
+
+    function unpause() external onlyOwner {
+        _unpause();
+    }
+
     // Update treasury wallet address
     function updateTreasury(address _newTreasury) external onlyOwner {
+        emit TreasuryUpdated(treasury, _newTreasury);
         treasury = _newTreasury;
+        if (royaltyReceiver == address(0)) {
+            _updateDefaultRoyalty();
+        }
+    }
+
+    // Royalty of every token without its own. A zero receiver pays the treasury, wherever it moves.
+    function setDefaultRoyalty(address _receiver, uint96 _feeNumerator) external onlyOwner {
+        royaltyReceiver = _receiver;
+        defaultRoyaltyFee = _feeNumerator;
+        _updateDefaultRoyalty();
+    }
+
+    // Overrides the default royalty of one token. A zero receiver pays the current treasury.
+    function setTokenRoyalty(uint _tokenId, address _receiver, uint96 _feeNumerator) external onlyOwner {
+        require(_tokenId < tokenId, "Token ID is out of range");
+        address receiver = _receiver == address(0) ? treasury : _receiver;
+        _setTokenRoyalty(_tokenId, receiver, _feeNumerator);
+        emit TokenRoyaltyUpdated(_tokenId, receiver, _feeNumerator);
+    }
+
+    // Puts a token back on the default royalty
+    function resetTokenRoyalty(uint _tokenId) external onlyOwner {
+        _resetTokenRoyalty(_tokenId);
+        emit TokenRoyaltyUpdated(_tokenId, address(0), 0);
     }
 
+    function setContractURI(string memory _contractURI) external onlyOwner {
+        contractURI = _contractURI;
+        emit ContractURIUpdated(_contractURI);
+    }
+
+    function _updateDefaultRoyalty() internal {
+        address receiver = royaltyReceiver == address(0) ? treasury : royaltyReceiver;
+        _setDefaultRoyalty(receiver, defaultRoyaltyFee);
+        emit DefaultRoyaltyUpdated(receiver, defaultRoyaltyFee);
+    }
+
+    // Room for the variables of later versions, they take slots from here so the ones of
+    // ERC1155_Token_Upgradeable don't move
+    uint[50] private __gap;
+}
+
+contract ERC1155_Token is ERC1155_Token_Base {
+    constructor(address _treasury) {
+        _initToken(_treasury);
+    }
+}
+
+// The proxy holds the state, this contract only the code. The owner upgrades it (upgradeTo).
+contract ERC1155_Token_Upgradeable is ERC1155_Token_Base, Initializable, UUPSUpgradeable {
+    // Nobody can initialize the implementation itself, only proxies
+    constructor() {
+        _disableInitializers();
+    }
+
+    function initialize(address _treasury) external initializer {
+        _transferOwnership(msg.sender);
+        _initToken(_treasury);
+    }
 
-}
\ No newline at end of file
+    function _authorizeUpgrade(address) internal override onlyOwner {}
+}
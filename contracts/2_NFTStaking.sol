@@ -9,6 +9,12 @@ import "@openzeppelin/contracts/access/Ownable.sol";
 // Used by Staker
 import "@openzeppelin/contracts/token/ERC721/IERC721Receiver.sol";
 import "@openzeppelin/contracts/token/ERC721/IERC721.sol";
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/utils/Address.sol";
+import "@openzeppelin/contracts/security/Pausable.sol";
+import "@openzeppelin/contracts/proxy/utils/Initializable.sol";
+import "@openzeppelin/contracts/proxy/utils/UUPSUpgradeable.sol";
 
 /*
     NFT Staking
@@ -21,6 +27,18 @@ import "@openzeppelin/contracts/token/ERC721/IERC721.sol";
     ### - User should onlly be allowed to unstake the NFT after the lock-in period
     ### - ETH rewards accumulation should stop after the user unstaked the NFT
     ### - User should be able to claim the rewards only after unstaking the NFT
+    ### - Rewards accrue per staker through an accumulator checkpointed on every rate change, so a new
+          rate only applies from the moment it is set. Stakers can claim them without unstaking.
+    ### - Any number of collections can be listed, each with its own lock-in period and reward rate.
+          The collection given to the constructor is listed first, tokens of unlisted ones are refused.
+    ### - Rewards are paid in ETH or in an ERC20 (rewardToken), funded with topUpRewards. When funds
+          run out unstaking still returns the token, the unpaid rewards stay claimable.
+    ### - Tokens of a collection can be staked and unstaked in batches, every owner's staked tokens
+          are enumerable with their start time and reward (getPositions)
+    ### - Owner can pause the staker: no staking, unstaking or claiming. While paused, stakers can take
+          their tokens back with emergencyUnstake, ignoring the lock-in; their rewards wait for unpause.
+    ### - The staker is deployed as is (NFT_Staker) or behind an ERC1967 proxy the owner can upgrade
+          (NFT_Staker_Upgradeable), both share everything but their construction
 
 */
 
@@ -41,31 +59,78 @@ contract NFT_Token is ERC721, Ownable {
 }
 
 // NFT Staker
-contract NFT_Staker is IERC721Receiver {
+abstract contract NFT_Staker_Base is IERC721Receiver, Pausable {
+    using SafeERC20 for IERC20;
 
     address public owner;
     bool public isStaking = false; // This controls if you can stake, but already staked NFTs are still redeemable
-    
-    uint public lockInPeriod;
 
+    // Collection given to the constructor. lockInPeriod, rewardPerSecond, setLockinPeriod and
+    // setReward are shortcuts for its settings.
     address public targetNFT;
 
-    uint public rewardPerSecond = 0.001 ether;
+    uint public constant DEFAULT_REWARD_PER_SECOND = 0.001 ether;
+
+    // Delisted collections stop accepting stakes, the tokens staked before keep earning and can be unstaked
+    struct Collection {
+        bool known;
+        bool listed;
+        uint lockInPeriod;
+        uint rewardPerSecond;
+        uint rewardPerTokenStored; // Reward earned by one staked token since listing, as of lastCheckpoint
+        uint lastCheckpoint;
+    }
+
+    mapping (address => Collection) public collections;
+    address[] private collectionList;
+
+    // Rewards settled to an owner and not claimed yet. Per collection: the tokens an owner has staked
+    // and the part of count * rewardPerToken already settled (the usual "reward debt" of accumulator
+    // based staking).
+    mapping (address => uint) public accruedRewards;
+    mapping (address => mapping (address => uint)) public stakedCount;
+    mapping (address => mapping (address => uint)) private rewardDebt;
+
+    // Totals of the above, they tell what the staker owes without iterating owners:
+    // totalAccrued + sum over collections of staked * rewardPerToken - debt
+    uint public totalAccrued;
+    uint public totalStaked;
+    mapping (address => uint) public collectionStaked;
+    mapping (address => uint) private collectionDebt;
+
+    // ERC20 the rewards are paid in, the zero address pays them in ETH
+    address public rewardToken;
+
+    event Staked(address indexed collection, address indexed owner, uint indexed tokenId, uint timestamp);
+    event Unstaked(address indexed collection, address indexed owner, uint indexed tokenId, uint duration, uint reward);
+    event RewardClaimed(address indexed owner, uint amount);
+    event RewardRateUpdated(address indexed collection, uint rewardPerSecond);
+    event CollectionListed(address indexed collection, uint lockInPeriod, uint rewardPerSecond);
+    event CollectionDelisted(address indexed collection);
+    event RewardTokenUpdated(address rewardToken);
+    event RewardsToppedUp(address indexed from, uint amount);
+    event RewardsWithdrawn(address indexed to, uint amount);
 
     modifier onlyOwner() {
         require(msg.sender == owner, "Only accessible to owner");
         _;
     }
 
-    constructor(address _targetNFT, uint _lockinPeriod) payable {
-        require(msg.value > 0 ether, "Stake contract should contain ether for rewards");
-        lockInPeriod = _lockinPeriod;
+    // Runs once, from the constructor of NFT_Staker or the initializer of NFT_Staker_Upgradeable
+    function _initStaker(address _targetNFT, uint _lockinPeriod) internal {
         targetNFT = _targetNFT;
         owner = msg.sender;
+        _setCollection(_targetNFT, _lockinPeriod, DEFAULT_REWARD_PER_SECOND);
     }
 
     // Admin focused functions
 
+    // Hands the admin functions over, e.g. to a multisig
+    function transferOwnership(address _newOwner) external onlyOwner {
+        require(_newOwner != address(0), "New owner is the zero address");
+        owner = _newOwner;
+    }
+
     function activateStake() external onlyOwner {
         isStaking = true;
     }
@@ -74,16 +139,190 @@ contract NFT_Staker is IERC721Receiver {
         isStaking = false;
     }
 
+    function pause() external onlyOwner {
+        _pause();
+    }
+
+    function unpause() external onlyOwner {
+        _unpause();
+    }
+
     function setLockinPeriod(uint _lockinPeriod) public onlyOwner {
-        lockInPeriod = _lockinPeriod;
+        collections[targetNFT].lockInPeriod = _lockinPeriod;
     }
 
     function rewardBalance() external onlyOwner view returns (uint) {
-        return address(this).balance;
+        return rewardFunds();
+    }
+
+    // Can only change while nothing is staked nor owed, rewards are never repriced in another token
+    function setRewardToken(address _rewardToken) external onlyOwner {
+        require(_rewardToken == address(0) || Address.isContract(_rewardToken), "Reward token is not a contract");
+        require(totalStaked == 0 && totalAccrued == 0, "Rewards are owed in the current token");
+        rewardToken = _rewardToken;
+        emit RewardTokenUpdated(_rewardToken);
     }
 
+    // Takes the reward funds out, e.g. to move them to a new staker. Stakers keep what they earned
+    // and can claim it once the staker is funded again.
+    function emergencyWithdraw(address _to, uint _amount) external onlyOwner {
+        require(_to != address(0), "Recipient is the zero address");
+        require(_amount <= rewardFunds(), "Not enough reward funds");
+        _transferReward(_to, _amount);
+        emit RewardsWithdrawn(_to, _amount);
+    }
+
+    // Open stakes keep what they earned at the previous rate
     function setReward(uint _reward) external onlyOwner {
-        rewardPerSecond = _reward;
+        _setRewardRate(targetNFT, _reward);
+    }
+
+    // Lists a collection, or updates the settings of a listed one
+    function setCollection(address _collection, uint _lockinPeriod, uint _reward) external onlyOwner {
+        _setCollection(_collection, _lockinPeriod, _reward);
+    }
+
+    function delistCollection(address _collection) external onlyOwner {
+        require(collections[_collection].listed, "Collection is not listed");
+        collections[_collection].listed = false;
+        emit CollectionDelisted(_collection);
+    }
+
+    function lockInPeriod() external view returns (uint) {
+        return collections[targetNFT].lockInPeriod;
+    }
+
+    function rewardPerSecond() external view returns (uint) {
+        return collections[targetNFT].rewardPerSecond;
+    }
+
+    // Every collection ever listed, delisted ones included
+    function getCollections() external view returns (address[] memory) {
+        return collectionList;
+    }
+
+    function _setCollection(address _collection, uint _lockinPeriod, uint _reward) internal {
+        require(_collection != address(0), "Collection is the zero address");
+        Collection storage collection = collections[_collection];
+        if (!collection.known) {
+            collection.known = true;
+            collection.lastCheckpoint = block.timestamp;
+            collectionList.push(_collection);
+        }
+        collection.listed = true;
+        collection.lockInPeriod = _lockinPeriod;
+        _setRewardRate(_collection, _reward);
+        emit CollectionListed(_collection, _lockinPeriod, _reward);
+    }
+
+    function _setRewardRate(address _collection, uint _reward) internal {
+        _checkpoint(_collection);
+        collections[_collection].rewardPerSecond = _reward;
+        emit RewardRateUpdated(_collection, _reward);
+    }
+
+    // Reward accounting
+
+    function rewardPerToken(address _collection) public view returns (uint) {
+        Collection storage collection = collections[_collection];
+        return collection.rewardPerTokenStored + (block.timestamp - collection.lastCheckpoint) * collection.rewardPerSecond;
+    }
+
+    // Everything `_owner` can claim right now, settled or not, across collections
+    function pendingReward(address _owner) public view returns (uint pending) {
+        pending = accruedRewards[_owner];
+        for (uint i = 0; i < collectionList.length; i++) {
+            address collection = collectionList[i];
+            pending += stakedCount[collection][_owner] * rewardPerToken(collection) - rewardDebt[collection][_owner];
+        }
+    }
+
+    // Balance the rewards are paid from, in ETH or rewardToken
+    function rewardFunds() public view returns (uint) {
+        if (rewardToken == address(0)) {
+            return address(this).balance;
+        }
+        return IERC20(rewardToken).balanceOf(address(this));
+    }
+
+    // Anyone can fund rewards. ETH rewards take msg.value, token rewards take `_amount` from the sender
+    // (approved beforehand).
+    function topUpRewards(uint _amount) external payable {
+        if (rewardToken == address(0)) {
+            require(msg.value > 0 && _amount == msg.value, "Send the amount as ether");
+        } else {
+            require(msg.value == 0, "Rewards are paid in a token, not in ether");
+            require(_amount > 0, "Nothing to top up");
+            IERC20(rewardToken).safeTransferFrom(msg.sender, address(this), _amount);
+        }
+        emit RewardsToppedUp(msg.sender, _amount);
+    }
+
+    // How long the current funds last: `funds` in the staker, the part already `owed` to stakers,
+    // the `rate` at which stakes earn now and the `secondsLeft` until funds - owed is used up at
+    // that rate (type(uint).max while nothing earns)
+    function rewardRunway() external view returns (uint funds, uint owed, uint rate, uint secondsLeft) {
+        funds = rewardFunds();
+        owed = totalAccrued;
+        for (uint i = 0; i < collectionList.length; i++) {
+            address collection = collectionList[i];
+            owed += collectionStaked[collection] * rewardPerToken(collection) - collectionDebt[collection];
+            rate += collectionStaked[collection] * collections[collection].rewardPerSecond;
+        }
+        if (funds <= owed) {
+            secondsLeft = 0;
+        } else if (rate == 0) {
+            secondsLeft = type(uint).max;
+        } else {
+            secondsLeft = (funds - owed) / rate;
+        }
+    }
+
+    // Reward earned by a staked token since it was staked, claimed or not
+    function stakeReward(address _collection, uint256 _tokenId) public view returns (uint) {
+        Stake storage currentStake = stakes[_collection][_tokenId];
+        require(currentStake.owner != address(0), "Token is not staked");
+        return rewardPerToken(_collection) - currentStake.rewardPerTokenPaid;
+    }
+
+    function _checkpoint(address _collection) internal {
+        collections[_collection].rewardPerTokenStored = rewardPerToken(_collection);
+        collections[_collection].lastCheckpoint = block.timestamp;
+    }
+
+    // Moves what `_owner` earned with `_collection` so far into accruedRewards. Call after _checkpoint
+    // and before changing stakedCount, then _resetDebt once it changed.
+    function _settle(address _collection, address _owner) internal {
+        uint earned = stakedCount[_collection][_owner] * collections[_collection].rewardPerTokenStored;
+        accruedRewards[_owner] += earned - rewardDebt[_collection][_owner];
+        totalAccrued += earned - rewardDebt[_collection][_owner];
+    }
+
+    function _resetDebt(address _collection, address _owner) internal {
+        uint debt = stakedCount[_collection][_owner] * collections[_collection].rewardPerTokenStored;
+        collectionDebt[_collection] = collectionDebt[_collection] + debt - rewardDebt[_collection][_owner];
+        rewardDebt[_collection][_owner] = debt;
+    }
+
+    // Pays `_owner` everything settled to them, or what the funds allow, returns the amount paid.
+    // The rest stays in accruedRewards.
+    function _payRewards(address _owner) internal returns (uint amount) {
+        amount = accruedRewards[_owner];
+        uint funds = rewardFunds();
+        if (amount > funds) amount = funds;
+        if (amount == 0) return 0;
+        accruedRewards[_owner] -= amount;
+        totalAccrued -= amount;
+        _transferReward(_owner, amount);
+        emit RewardClaimed(_owner, amount);
+    }
+
+    function _transferReward(address _to, uint _amount) internal {
+        if (rewardToken == address(0)) {
+            payable(_to).transfer(_amount);
+        } else {
+            IERC20(rewardToken).safeTransfer(_to, _amount);
+        }
     }
 
 
@@ -92,52 +331,192 @@ contract NFT_Staker is IERC721Receiver {
     struct Stake {
         address owner;
         uint256 timestamp;
+        uint256 rewardPerTokenPaid; // rewardPerToken of the collection when the token was staked
     }
 
-    // map staker address to stake details
-    mapping (uint => Stake) public stakes;
-    // map staker address to stake details
+    // map collection and token id to stake details
+    mapping (address => mapping (uint => Stake)) public stakes;
+    // map staker address to the number of tokens staked, all collections together
     mapping (address => uint) public hasStake;
 
+    // The tokens each owner has staked, positionIndex is the position in ownerPositions plus one
+    struct Position {
+        address collection;
+        uint256 tokenId;
+    }
+    mapping (address => Position[]) private ownerPositions;
+    mapping (address => mapping (uint => uint)) private positionIndex;
+
+    struct PositionView {
+        address collection;
+        uint256 tokenId;
+        uint256 stakedAt;
+        uint256 reward; // Earned since stakedAt, claimed or not
+        bool unlocked; // Lock-in period is over
+    }
+
+    // msg.sender is the collection, only listed ones get in. A token minted straight to the staker would
+    // be a stake nobody can unstake, it has to come from its owner
     function onERC721Received(
         address operator,
         address from,
         uint256 tokenId,
         bytes calldata data
-    ) override external returns (bytes4) {
+    ) override external whenNotPaused returns (bytes4) {
         require(isStaking, "Contract not accepting additional stakes now");
+        require(collections[msg.sender].listed, "Collection is not accepted for staking");
+        require(from != address(0), "Tokens can't be minted to the staker");
         operator; data;
+        _checkpoint(msg.sender);
+        _settle(msg.sender, from);
         Stake memory newStake = Stake(
-            from, block.timestamp
+            from, block.timestamp, collections[msg.sender].rewardPerTokenStored
         );
-        stakes[tokenId] = newStake;
+        stakes[msg.sender][tokenId] = newStake;
+        ownerPositions[from].push(Position(msg.sender, tokenId));
+        positionIndex[msg.sender][tokenId] = ownerPositions[from].length;
         hasStake[from] += 1;
+        stakedCount[msg.sender][from] += 1;
+        totalStaked += 1;
+        collectionStaked[msg.sender] += 1;
+        _resetDebt(msg.sender, from);
+        emit Staked(msg.sender, from, tokenId, block.timestamp);
         return this.onERC721Received.selector;
     }
     
-    function stake(uint256 _tokenId) external payable {
+    function stake(address _collection, uint256 _tokenId) external payable whenNotPaused {
         require(isStaking, "Contract not accepting additional stakes now");
-        IERC721(targetNFT).safeTransferFrom(msg.sender, address(this), _tokenId);
+        require(collections[_collection].listed, "Collection is not accepted for staking");
+        IERC721(_collection).safeTransferFrom(msg.sender, address(this), _tokenId);
     }
 
-    function unstake(uint256 _tokenId) external {
+    function stakeBatch(address _collection, uint256[] calldata _tokenIds) external whenNotPaused {
+        require(isStaking, "Contract not accepting additional stakes now");
+        require(collections[_collection].listed, "Collection is not accepted for staking");
+        require(_tokenIds.length > 0, "No tokens given");
+        for (uint i = 0; i < _tokenIds.length; i++) {
+            IERC721(_collection).safeTransferFrom(msg.sender, address(this), _tokenIds[i]);
+        }
+    }
+
+    // Returns the token and pays the owner everything they can claim, this token's reward included
+    function unstake(address _collection, uint256 _tokenId) external whenNotPaused {
         require(hasStake[msg.sender] > 0, "You currently don't have any staakes yet");
-        require(durationOfStake(_tokenId) > lockInPeriod, "You're pulling out too early");
+        _unstake(_collection, _tokenId, true);
+        _payRewards(msg.sender);
+    }
 
-        Stake memory currentStake = stakes[_tokenId];
+    // Same as unstake for several tokens of a collection, the rewards are paid once
+    function unstakeBatch(address _collection, uint256[] calldata _tokenIds) external whenNotPaused {
+        require(hasStake[msg.sender] > 0, "You currently don't have any staakes yet");
+        require(_tokenIds.length > 0, "No tokens given");
+        for (uint i = 0; i < _tokenIds.length; i++) {
+            _unstake(_collection, _tokenIds[i], true);
+        }
+        _payRewards(msg.sender);
+    }
 
-        IERC721(targetNFT).safeTransferFrom(address(this), currentStake.owner, _tokenId);
-        uint duration = durationOfStake(_tokenId);
-        uint sentEth = duration * rewardPerSecond;
-        payable(msg.sender).transfer(sentEth);
+    // Only while paused: returns the tokens right away, lock-in or not. Their rewards are settled but
+    // not paid, they can be claimed after unpause.
+    function emergencyUnstake(address _collection, uint256[] calldata _tokenIds) external whenPaused {
+        require(_tokenIds.length > 0, "No tokens given");
+        for (uint i = 0; i < _tokenIds.length; i++) {
+            _unstake(_collection, _tokenIds[i], false);
+        }
+    }
 
-        delete stakes[_tokenId];
-        hasStake[msg.sender] -= 1;
-        isStaking = true;
+    // Returns a token of msg.sender and settles its reward, without paying it
+    function _unstake(address _collection, uint256 _tokenId, bool _enforceLockin) internal {
+        Stake memory currentStake = stakes[_collection][_tokenId];
+        require(currentStake.owner == msg.sender, "Only the owner of the stake can unstake it");
+        if (_enforceLockin) {
+            require(durationOfStake(_collection, _tokenId) > collections[_collection].lockInPeriod, "You're pulling out too early");
+        }
+
+        _checkpoint(_collection);
+        _settle(_collection, currentStake.owner);
+        uint duration = durationOfStake(_collection, _tokenId);
+        uint reward = collections[_collection].rewardPerTokenStored - currentStake.rewardPerTokenPaid;
+        delete stakes[_collection][_tokenId];
+        _removePosition(currentStake.owner, _collection, _tokenId);
+        hasStake[currentStake.owner] -= 1;
+        stakedCount[_collection][currentStake.owner] -= 1;
+        totalStaked -= 1;
+        collectionStaked[_collection] -= 1;
+        _resetDebt(_collection, currentStake.owner);
+
+        IERC721(_collection).safeTransferFrom(address(this), currentStake.owner, _tokenId);
+        emit Unstaked(_collection, currentStake.owner, _tokenId, duration, reward);
+    }
+
+    function _removePosition(address _owner, address _collection, uint256 _tokenId) internal {
+        // Move the last position into the freed slot
+        Position[] storage positions = ownerPositions[_owner];
+        uint index = positionIndex[_collection][_tokenId] - 1;
+        Position memory last = positions[positions.length - 1];
+        positions[index] = last;
+        positionIndex[last.collection][last.tokenId] = index + 1;
+        positions.pop();
+        delete positionIndex[_collection][_tokenId];
     }
 
-    function durationOfStake(uint256 _tokenId) public view returns(uint) {
-        return block.timestamp - stakes[_tokenId].timestamp;
+    // Every token `_owner` has staked, in no particular order
+    function getPositions(address _owner) external view returns (PositionView[] memory views) {
+        Position[] storage positions = ownerPositions[_owner];
+        views = new PositionView[](positions.length);
+        for (uint i = 0; i < positions.length; i++) {
+            Position storage position = positions[i];
+            views[i] = PositionView(
+                position.collection,
+                position.tokenId,
+                stakes[position.collection][position.tokenId].timestamp,
+                stakeReward(position.collection, position.tokenId),
+                durationOfStake(position.collection, position.tokenId) > collections[position.collection].lockInPeriod
+            );
+        }
     }
 
-}
\ No newline at end of file
+    // Pays the rewards earned so far with every collection while the tokens stay staked
+    function claim() external whenNotPaused {
+        for (uint i = 0; i < collectionList.length; i++) {
+            address collection = collectionList[i];
+            if (stakedCount[collection][msg.sender] == 0) continue;
+            _checkpoint(collection);
+            _settle(collection, msg.sender);
+            _resetDebt(collection, msg.sender);
+        }
+        require(accruedRewards[msg.sender] > 0, "Nothing to claim");
+        require(_payRewards(msg.sender) > 0, "Not enough reward funds");
+    }
+
+    function durationOfStake(address _collection, uint256 _tokenId) public view returns(uint) {
+        return block.timestamp - stakes[_collection][_tokenId].timestamp;
+    }
+
+    // Room for the variables of later versions, they take slots from here so the ones of
+    // NFT_Staker_Upgradeable don't move
+    uint[50] private __gap;
+}
+
+contract NFT_Staker is NFT_Staker_Base {
+    // Ether sent along funds ETH rewards
+    constructor(address _targetNFT, uint _lockinPeriod) payable {
+        _initStaker(_targetNFT, _lockinPeriod);
+    }
+}
+
+// The proxy holds the state and the reward funds, this contract only the code. The owner upgrades it
+// (upgradeTo).
+contract NFT_Staker_Upgradeable is NFT_Staker_Base, Initializable, UUPSUpgradeable {
+    // Nobody can initialize the implementation itself, only proxies
+    constructor() {
+        _disableInitializers();
+    }
+
+    // Ether sent along funds ETH rewards
+    function initialize(address _targetNFT, uint _lockinPeriod) external payable initializer {
+        _initStaker(_targetNFT, _lockinPeriod);
+    }
+
+    function _authorizeUpgrade(address) internal override onlyOwner {}
+}
@@ -6,6 +6,12 @@ import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
 
 import "@openzeppelin/contracts/access/Ownable.sol";
 import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/utils/Address.sol";
+import "@openzeppelin/contracts/security/Pausable.sol";
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import "@openzeppelin/contracts/utils/cryptography/draft-EIP712.sol";
+import "@openzeppelin/contracts/proxy/utils/Initializable.sol";
+import "@openzeppelin/contracts/proxy/utils/UUPSUpgradeable.sol";
 
 /*
     Multisig Wallet
@@ -19,6 +25,16 @@ import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
     ### - types of transactions
         #### - sending eth
         #### - sending erc20 (create a basic erc20)
+        #### - calling any function of another contract (e.g. owner only functions of contracts the multisig owns)
+    #### - signers can approve off-chain (EIP-712) and anyone of them can execute with the bundle of signatures
+    #### - signers can be removed or replaced through a quorum approved proposal calling the multisig itself
+    #### - every proposal is voted by the signer set of its creation, minus the signers removed since
+    #### - signers can vote against a proposal, a rejecting majority or the proposer can cancel it
+    #### - proposals expire `proposalLifetime` seconds after their creation and can't be executed anymore
+    #### - proposals can be read a page at a time, filtered by status, proposer and coin type
+    #### - owner or any signer can freeze execution in an emergency (pause), only the owner unfreezes it
+    #### - deployed as is (Multi_Sig) or behind an ERC1967 proxy the owner can upgrade (Multi_Sig_Upgradeable),
+           both share everything but their construction
 */
 
 contract Simple_Token is ERC20, Ownable {
@@ -31,36 +47,119 @@ contract Simple_Token is ERC20, Ownable {
     }
 }
 
-contract Multi_Sig is Ownable {
+abstract contract Multi_Sig_Base is Ownable, EIP712, Pausable {
 
-    enum CoinType{ ETH, E20 }
+    enum CoinType{ ETH, E20, CALL }
+
+    // Rejected covers both a rejecting majority and a cancellation, Approved means quorum is met
+    enum TxStatus{ Pending, Approved, Rejected, Expired, Executed }
 
     uint public quorumMajority;
     mapping(address => bool) public signerList;
     uint public signerCount;
 
+    // Enumerable copy of signerList, signerIndex is the position in `signers` plus one
+    address[] private signers;
+    mapping(address => uint) private signerIndex;
+
+    // Every change of the signer set gets a new id and a snapshot of the set. Proposals keep the id
+    // current at their creation, only the signers of that snapshot get to vote on them.
+    uint public signerSetId;
+    mapping(uint => address[]) private signerSnapshots;
+    mapping(uint => mapping(address => bool)) private inSignerSnapshot;
+
     struct Transaction {
         string reason;
         address recepient;
         uint amount;
         CoinType coinType;
         address eth20Address;
-        mapping(address => bool) voters;
+        bytes data; // Calldata for CALL transactions, recepient is the called contract and amount the ether sent
+        uint signerSetId; // Signer set snapshot this proposal is voted by
+        address proposer;
+        uint deadline; // Last timestamp at which the proposal can be voted and executed
+        mapping(address => bool) voters; // Approving voters
+        mapping(address => bool) rejecters;
         uint approve;
         uint reject;
         bool complete;
+        bool cancelled;
     }
 
     uint transactionCount;
     mapping (uint => Transaction) private transactions;
 
+    // Everything about a proposal except its voters and calldata, as returned by getTransaction(s)
+    struct TransactionView {
+        uint id;
+        string reason;
+        address recepient;
+        uint amount;
+        CoinType coinType;
+        address eth20Address;
+        address proposer;
+        uint approve;
+        uint reject;
+        TxStatus status;
+        uint deadline;
+    }
+
+    // Criteria of getTransactions, the zero proposer matches any proposer
+    struct TransactionFilter {
+        bool byStatus;
+        TxStatus status;
+        address proposer;
+        bool byCoinType;
+        CoinType coinType;
+    }
+
+    uint public proposalLifetime;
+
+    // Off-chain approvals sign Approval(transactionId, nonce) under the EIP-712 domain of this contract,
+    // which binds them to this chain and this multisig. The nonce goes up with every signature based
+    // execution so a bundle can never be submitted twice.
+    bytes32 private constant APPROVAL_TYPEHASH = keccak256("Approval(uint256 transactionId,uint256 nonce)");
+    uint public nonce;
+
+    event QuorumMajorityUpdated(uint quorumMajority);
+    event SignerAdded(address indexed signer);
+    event SignerRemoved(address indexed signer);
+    event TransactionCreated(
+        uint indexed transactionId,
+        address indexed proposer,
+        CoinType coinType,
+        address recepient,
+        uint amount,
+        address eth20Address,
+        bytes data,
+        string reason
+    );
+    event TransactionApproved(uint indexed transactionId, address indexed signer);
+    event TransactionRejected(uint indexed transactionId, address indexed signer);
+    event TransactionVoteRevoked(uint indexed transactionId, address indexed signer);
+    event TransactionCancelled(uint indexed transactionId, address indexed canceller);
+    event ProposalLifetimeUpdated(uint proposalLifetime);
+    event TransactionExecuted(uint indexed transactionId, address indexed executor);
+    event CallExecuted(uint indexed transactionId, bytes result);
+
     modifier onlyAgents() {
         address txSender = msg.sender;
         require(txSender == owner() || signerList[txSender]);
         _;
     }
 
-    constructor(uint _quorumMajority) payable {
+    // Only reachable through a CALL proposal targeting the multisig itself, i.e. with quorum
+    modifier onlySelf() {
+        require(msg.sender == address(this), "Only callable through a multisig proposal");
+        _;
+    }
+
+    // The domain is rebuilt with the proxy address when running behind one
+    constructor() EIP712("Multi_Sig", "1") {}
+
+    // Runs once, from the constructor of Multi_Sig or the initializer of Multi_Sig_Upgradeable
+    function _initMultiSig(uint _quorumMajority) internal {
+        proposalLifetime = 7 days;
         setQuorumMajority(_quorumMajority);
     }
 
@@ -68,34 +167,249 @@ contract Multi_Sig is Ownable {
         require(_quorumMajority >= 50, "Given value too low (50 - 100)");
         require(_quorumMajority <= 100, "Given value too high (100 - 100)");
         quorumMajority = _quorumMajority;
+        emit QuorumMajorityUpdated(_quorumMajority);
+    }
+
+    // Applies to proposals created from now on, existing ones keep their deadline
+    function setProposalLifetime(uint _proposalLifetime) external onlyOwner {
+        require(_proposalLifetime > 0, "Proposal lifetime should be positive");
+        proposalLifetime = _proposalLifetime;
+        emit ProposalLifetimeUpdated(_proposalLifetime);
+    }
+
+    // Freezes execution, proposing and voting go on
+    function pause() external onlyAgents {
+        _pause();
+    }
+
+    // Not a proposal: those can't be executed while frozen
+    function unpause() external onlyOwner {
+        _unpause();
     }
 
     function addSigner(address _newSigner) external onlyOwner {
+        _addSigner(_newSigner);
+        _snapshotSigners();
+    }
+
+    function removeSigner(address _signer) external onlySelf {
+        _removeSigner(_signer);
+        _snapshotSigners();
+    }
+
+    function replaceSigner(address _oldSigner, address _newSigner) external onlySelf {
+        _removeSigner(_oldSigner);
+        _addSigner(_newSigner);
+        _snapshotSigners();
+    }
+
+    function getSigners() external view returns (address[] memory) {
+        return signers;
+    }
+
+    // Signers that were allowed to vote on the proposal when it was created
+    function getProposalSigners(uint _transactionId) external view returns (address[] memory) {
+        require(_transactionId < transactionCount, "Transaction id is out of range");
+        return signerSnapshots[transactions[_transactionId].signerSetId];
+    }
+
+    // Whether `_voter` can approve the proposal, on-chain or with a signature: the owner or a signer of
+    // its snapshot that has not left the signers since
+    function canVote(uint _transactionId, address _voter) external view returns (bool) {
+        require(_transactionId < transactionCount, "Transaction id is out of range");
+        return _canVote(transactions[_transactionId], _voter);
+    }
+
+    // Smallest number of votes that is strictly more than `quorumMajority` percent of `_electorate`
+    function requiredApprovals(uint _electorate) public view returns (uint) {
+        uint required = _electorate * quorumMajority / 100 + 1;
+        return required > _electorate ? _electorate : required;
+    }
+
+    // Approving votes that count for the proposal right now and the votes it needs. Signers removed
+    // since the proposal was created neither vote nor count towards the quorum anymore, even once
+    // added back.
+    function quorumStatus(uint _transactionId) public view returns (uint votes, uint required) {
+        require(_transactionId < transactionCount, "Transaction id is out of range");
+        Transaction storage txTarget = transactions[_transactionId];
+        return _tally(txTarget, txTarget.voters);
+    }
+
+    // Same as quorumStatus for the rejecting votes, reaching `required` rejects the proposal
+    function rejectionStatus(uint _transactionId) public view returns (uint votes, uint required) {
+        require(_transactionId < transactionCount, "Transaction id is out of range");
+        Transaction storage txTarget = transactions[_transactionId];
+        return _tally(txTarget, txTarget.rejecters);
+    }
+
+    function transactionStatus(uint _transactionId) public view returns (TxStatus) {
+        require(_transactionId < transactionCount, "Transaction id is out of range");
+        Transaction storage txTarget = transactions[_transactionId];
+
+        if (txTarget.complete) return TxStatus.Executed;
+        if (txTarget.cancelled) return TxStatus.Rejected;
+        if (block.timestamp > txTarget.deadline) return TxStatus.Expired;
+        (uint rejections, uint rejectionsRequired) = _tally(txTarget, txTarget.rejecters);
+        if (rejectionsRequired > 0 && rejections >= rejectionsRequired) return TxStatus.Rejected;
+        (uint votes, uint required) = _tally(txTarget, txTarget.voters);
+        if (required > 0 && votes >= required) return TxStatus.Approved;
+        return TxStatus.Pending;
+    }
+
+    function _tally(Transaction storage _txTarget, mapping(address => bool) storage _ballots) internal view returns (uint votes, uint required) {
+        address[] storage electors = signerSnapshots[_txTarget.signerSetId];
+
+        uint electorate = 0;
+        for (uint i = 0; i < electors.length; i++) {
+            if (!_isElector(_txTarget, electors[i])) continue;
+            electorate += 1;
+            if (_ballots[electors[i]]) votes += 1;
+        }
+        // The owner can always vote, on top of the signers unless it is one of the electors above
+        if (_ballots[owner()] && !_isElector(_txTarget, owner())) {
+            votes += 1;
+        }
+        required = requiredApprovals(electorate);
+    }
+
+    // Reverts unless the proposal can still be voted on and executed
+    function _requireOpen(uint _transactionId) internal view {
+        TxStatus status = transactionStatus(_transactionId);
+        require(status != TxStatus.Executed, "Transaction already finished");
+        require(status != TxStatus.Rejected, "Transaction was rejected");
+        require(status != TxStatus.Expired, "Transaction expired");
+    }
+
+    function _addSigner(address _newSigner) internal {
+        require(_newSigner != address(0), "Signer is the zero address");
+        require(!signerList[_newSigner], "Already a signer");
         signerList[_newSigner] = true;
+        // The snapshot taken right after this is the first one of this membership
+        signerSince[_newSigner] = signerSetId + 1;
+        signers.push(_newSigner);
+        signerIndex[_newSigner] = signers.length;
         signerCount += 1;
+        emit SignerAdded(_newSigner);
     }
 
-    function createEthTransaction(address _recipient, uint _amount, string memory _reason) external onlyAgents {
-        Transaction storage newRequest = transactions[transactionCount];
+    function _removeSigner(address _signer) internal {
+        require(signerList[_signer], "Not a signer");
+        // Move the last signer into the freed slot
+        uint index = signerIndex[_signer] - 1;
+        address last = signers[signers.length - 1];
+        signers[index] = last;
+        signerIndex[last] = index + 1;
+        signers.pop();
+        delete signerIndex[_signer];
+        signerList[_signer] = false;
+        signerCount -= 1;
+        emit SignerRemoved(_signer);
+    }
+
+    function _snapshotSigners() internal {
+        signerSetId += 1;
+        signerSnapshots[signerSetId] = signers;
+        for (uint i = 0; i < signers.length; i++) {
+            inSignerSnapshot[signerSetId][signers[i]] = true;
+        }
+    }
+
+    // Signer that was in the set when the proposal was created and has been ever since
+    function _isElector(Transaction storage _txTarget, address _signer) internal view returns (bool) {
+        return signerList[_signer]
+            && inSignerSnapshot[_txTarget.signerSetId][_signer]
+            && signerSince[_signer] <= _txTarget.signerSetId;
+    }
+
+    // Owner or an elector of the proposal: whose votes and signatures _tally counts, once each
+    function _canVote(Transaction storage _txTarget, address _voter) internal view returns (bool) {
+        if (_voter == owner()) return true;
+        return _isElector(_txTarget, _voter);
+    }
+
+    function _newTransaction(CoinType _coinType, address _recipient, uint _amount, string memory _reason) internal returns (Transaction storage newRequest) {
+        newRequest = transactions[transactionCount];
         transactionCount += 1;
         newRequest.reason = _reason;
         newRequest.recepient = _recipient;
         newRequest.amount = _amount;
-        newRequest.coinType = CoinType.ETH;
+        newRequest.coinType = _coinType;
+        newRequest.signerSetId = signerSetId;
+        newRequest.proposer = msg.sender;
+        newRequest.deadline = block.timestamp + proposalLifetime;
+    }
+
+    function createEthTransaction(address _recipient, uint _amount, string memory _reason) external onlyAgents {
+        _newTransaction(CoinType.ETH, _recipient, _amount, _reason);
+        emit TransactionCreated(transactionCount - 1, msg.sender, CoinType.ETH, _recipient, _amount, address(0), "", _reason);
     }
 
     function createE20Transaction(address _recipient, uint _amount, address _eth20Address, string memory _reason) external onlyAgents {
-        Transaction storage newRequest = transactions[transactionCount];
-        transactionCount += 1;
-        newRequest.reason = _reason;
-        newRequest.recepient = _recipient;
-        newRequest.amount = _amount;
-        newRequest.coinType = CoinType.E20;
+        Transaction storage newRequest = _newTransaction(CoinType.E20, _recipient, _amount, _reason);
         newRequest.eth20Address = _eth20Address;
+        emit TransactionCreated(transactionCount - 1, msg.sender, CoinType.E20, _recipient, _amount, _eth20Address, "", _reason);
+    }
+
+    // Proposes calling `_target` with `_data` (an abi encoded function call) and `_value` wei
+    function createCallTransaction(address _target, uint _value, bytes memory _data, string memory _reason) external onlyAgents {
+        require(Address.isContract(_target), "Call target is not a contract");
+        Transaction storage newRequest = _newTransaction(CoinType.CALL, _target, _value, _reason);
+        newRequest.data = _data;
+        emit TransactionCreated(transactionCount - 1, msg.sender, CoinType.CALL, _target, _value, address(0), _data, _reason);
     }
 
     function getTransactionCount() external onlyAgents view returns (uint) {
-        return signerCount;
+        return transactionCount;
+    }
+
+    function getTransaction(uint _transactionId) public onlyAgents view returns (TransactionView memory txView) {
+        txView.status = transactionStatus(_transactionId);
+        Transaction storage txTarget = transactions[_transactionId];
+        txView.id = _transactionId;
+        txView.reason = txTarget.reason;
+        txView.recepient = txTarget.recepient;
+        txView.amount = txTarget.amount;
+        txView.coinType = txTarget.coinType;
+        txView.eth20Address = txTarget.eth20Address;
+        txView.proposer = txTarget.proposer;
+        txView.approve = txTarget.approve;
+        txView.reject = txTarget.reject;
+        txView.deadline = txTarget.deadline;
+    }
+
+    // Returns up to `_limit` proposals matching `_filter`, scanning ids from `_cursor` on. Pass
+    // `nextCursor` back to get the next page, it equals getTransactionCount() once everything was scanned.
+    function getTransactions(uint _cursor, uint _limit, TransactionFilter calldata _filter) external onlyAgents view returns
+    (
+        TransactionView[] memory page,
+        uint nextCursor
+    ) {
+        require(_limit > 0, "Limit should be positive");
+
+        // First pass finds where the page ends, the second one fills it
+        uint found = 0;
+        nextCursor = _cursor;
+        while (nextCursor < transactionCount && found < _limit) {
+            if (_matches(nextCursor, _filter)) found += 1;
+            nextCursor += 1;
+        }
+
+        page = new TransactionView[](found);
+        found = 0;
+        for (uint id = _cursor; id < nextCursor; id++) {
+            if (_matches(id, _filter)) {
+                page[found] = getTransaction(id);
+                found += 1;
+            }
+        }
+    }
+
+    function _matches(uint _transactionId, TransactionFilter calldata _filter) internal view returns (bool) {
+        Transaction storage txTarget = transactions[_transactionId];
+        if (_filter.proposer != address(0) && txTarget.proposer != _filter.proposer) return false;
+        if (_filter.byCoinType && txTarget.coinType != _filter.coinType) return false;
+        if (_filter.byStatus && transactionStatus(_transactionId) != _filter.status) return false;
+        return true;
     }
 
     function viewTransactions(uint _transactionId) external onlyAgents view returns 
@@ -106,9 +420,11 @@ contract Multi_Sig is Ownable {
         CoinType,
         uint,
         uint,
-        bool
+        TxStatus status,
+        uint deadline
     ) {
-        require(_transactionId < transactionCount, "Transaction id is out of range");
+        // Read first, returning it inline with the other fields is too deep for the stack
+        status = transactionStatus(_transactionId);
         Transaction storage txTarget = transactions[_transactionId];
         return (
             txTarget.reason, 
@@ -117,37 +433,149 @@ contract Multi_Sig is Ownable {
             txTarget.coinType, 
             txTarget.approve, 
             txTarget.reject, 
-            txTarget.complete
+            status,
+            txTarget.deadline
         );
     }
 
+    function viewTransactionData(uint _transactionId) external onlyAgents view returns (bytes memory) {
+        require(_transactionId < transactionCount, "Transaction id is out of range");
+        return transactions[_transactionId].data;
+    }
+
     function approveTransaction(uint _transactionId) external onlyAgents {
-        Transaction storage txTarget = transactions[_transactionId];
-        require(txTarget.voters[msg.sender] == false, "You already voted");
+        Transaction storage txTarget = _castVote(_transactionId);
         txTarget.voters[msg.sender] = true;
         txTarget.approve += 1;
+        emit TransactionApproved(_transactionId, msg.sender);
+    }
+
+    function rejectTransaction(uint _transactionId) external onlyAgents {
+        Transaction storage txTarget = _castVote(_transactionId);
+        txTarget.rejecters[msg.sender] = true;
+        txTarget.reject += 1;
+        emit TransactionRejected(_transactionId, msg.sender);
+    }
+
+    // Checks that the sender can still vote on the proposal and hasn't voted yet either way
+    function _castVote(uint _transactionId) internal view returns (Transaction storage txTarget) {
+        _requireOpen(_transactionId);
+        txTarget = transactions[_transactionId];
+        require(_canVote(txTarget, msg.sender), "Signer joined after the proposal was created");
+        require(!txTarget.voters[msg.sender] && !txTarget.rejecters[msg.sender], "You already voted");
     }
 
+    // Withdraws the sender's approving or rejecting vote
     function revokeVoteTransaction(uint _transactionId) external onlyAgents {
+        _requireOpen(_transactionId);
         Transaction storage txTarget = transactions[_transactionId];
-        require(txTarget.voters[msg.sender] == true, "You haven't voted yet");
-        txTarget.voters[msg.sender] = false;
-        txTarget.approve -= 1;
+        if (txTarget.voters[msg.sender]) {
+            txTarget.voters[msg.sender] = false;
+            txTarget.approve -= 1;
+        } else {
+            require(txTarget.rejecters[msg.sender] == true, "You haven't voted yet");
+            txTarget.rejecters[msg.sender] = false;
+            txTarget.reject -= 1;
+        }
+        emit TransactionVoteRevoked(_transactionId, msg.sender);
     }
 
-    function finalizeTransaction(uint _transactionId) external onlyAgents {
+    // The proposer can withdraw their proposal at any time before execution, anyone else only once
+    // a majority rejected it (which makes the rejection final even if those signers get removed)
+    function cancelTransaction(uint _transactionId) external onlyAgents {
+        require(_transactionId < transactionCount, "Transaction id is out of range");
         Transaction storage txTarget = transactions[_transactionId];
         require(txTarget.complete == false, "Transaction already finished");
-        require(txTarget.approve / signerCount * 100 > quorumMajority, "Quorum Majority not met yet for transaction");
+        require(txTarget.cancelled == false, "Transaction already cancelled");
+        if (msg.sender != txTarget.proposer) {
+            (uint rejections, uint required) = _tally(txTarget, txTarget.rejecters);
+            require(required > 0 && rejections >= required, "Only the proposer or a rejecting majority can cancel");
+        }
+        txTarget.cancelled = true;
+        emit TransactionCancelled(_transactionId, msg.sender);
+    }
+
+    function finalizeTransaction(uint _transactionId) external onlyAgents whenNotPaused {
+        require(transactionStatus(_transactionId) == TxStatus.Approved, "Quorum Majority not met yet for transaction");
+        _execute(_transactionId);
+    }
+
+    // Digest a signer has to sign (eth_signTypedData) to approve `_transactionId` at `_nonce`
+    function approvalDigest(uint _transactionId, uint _nonce) public view returns (bytes32) {
+        return _hashTypedDataV4(keccak256(abi.encode(APPROVAL_TYPEHASH, _transactionId, _nonce)));
+    }
+
+    // Executes a transaction approved off-chain. Signatures must be for the current nonce, come from
+    // members of signerList or the owner (who votes on top of the signers, as in _tally) and be sorted
+    // by signer address (which also rules out duplicates).
+    function executeWithSignatures(uint _transactionId, bytes[] calldata _signatures) external onlyAgents whenNotPaused {
+        _requireOpen(_transactionId);
+        Transaction storage txTarget = transactions[_transactionId];
+
+        bytes32 digest = approvalDigest(_transactionId, nonce);
+        address lastSigner = address(0);
+        for (uint i = 0; i < _signatures.length; i++) {
+            address signer = ECDSA.recover(digest, _signatures[i]);
+            require(signer == owner() || signerList[signer], "Signature is not from a signer");
+            // Same rule as _tally: electors of the proposal, and the owner once whether it is one or not
+            require(_canVote(txTarget, signer), "Signer joined after the proposal was created");
+            require(signer > lastSigner, "Signatures should be unique and sorted by signer");
+            lastSigner = signer;
+        }
+        (, uint required) = quorumStatus(_transactionId);
+        require(required > 0 && _signatures.length >= required, "Quorum Majority not met yet for transaction");
+
+        nonce += 1;
+        _execute(_transactionId);
+    }
+
+    function _execute(uint _transactionId) internal {
+        Transaction storage txTarget = transactions[_transactionId];
         txTarget.complete = true;
         
         if (txTarget.coinType == CoinType.E20) {
             IERC20(txTarget.eth20Address).transfer(txTarget.recepient, txTarget.amount);
+        } else if (txTarget.coinType == CoinType.CALL) {
+            // A failing call reverts with the reason of the called contract, the proposal stays pending
+            bytes memory result = Address.functionCallWithValue(
+                txTarget.recepient, txTarget.data, txTarget.amount, "Call transaction failed"
+            );
+            emit CallExecuted(_transactionId, result);
         } else {
             payable(txTarget.recepient).transfer(txTarget.amount);
         }
+
+        emit TransactionExecuted(_transactionId, msg.sender);
         
     }
 
-    
+    // Set id of the first snapshot of each signer's current membership: a signer removed and added
+    // back only votes on the proposals created after, its earlier votes stay void
+    mapping(address => uint) private signerSince;
+
+    // Room for the variables of later versions, they take slots from here so the ones of
+    // Multi_Sig_Upgradeable don't move
+    uint[49] private __gap;
+}
+
+contract Multi_Sig is Multi_Sig_Base {
+    constructor(uint _quorumMajority) payable {
+        _initMultiSig(_quorumMajority);
+    }
+}
+
+// The proxy holds the state, the ether and the tokens, this contract only the code. The owner upgrades
+// it (upgradeTo).
+contract Multi_Sig_Upgradeable is Multi_Sig_Base, Initializable, UUPSUpgradeable {
+    // Nobody can initialize the implementation itself, only proxies
+    constructor() {
+        _disableInitializers();
+    }
+
+    function initialize(uint _quorumMajority) external payable initializer {
+        _transferOwnership(msg.sender);
+        _initMultiSig(_quorumMajority);
+    }
+
+    function _authorizeUpgrade(address) internal override onlyOwner {}
 }
\ No newline at end of file
@@ -0,0 +1,6 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity ^0.8.4;
+
+// Compiled for the proxy deployments of scripts/upgrades.js
+import "@openzeppelin/contracts/proxy/ERC1967/ERC1967Proxy.sol";
@@ -0,0 +1,19 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity ^0.8.4;
+
+import "@openzeppelin/contracts/token/ERC721/ERC721.sol";
+
+/*
+    Collection Mocks
+    #### - ERC721_Collection stands in for the collections listed on the staker that this repository
+           didn't write: anyone mints any token id, up to 2^256 - 1, to any address (the staker too)
+*/
+
+contract ERC721_Collection is ERC721 {
+    constructor() ERC721("Collection", "COL") {}
+
+    function mint(address _to, uint256 _tokenId) external {
+        _safeMint(_to, _tokenId);
+    }
+}
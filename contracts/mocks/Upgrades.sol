@@ -0,0 +1,59 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity ^0.8.4;
+
+import "../1_ERC1155.sol";
+import "../2_NFTStaking.sol";
+import "../3_MultiSig.sol";
+
+/*
+    Upgrade Mocks
+    #### - next versions of the upgradeable contracts for test/9_Upgrades.test.js, each with a new
+           variable after the ones it inherits and a new function
+    #### - Multi_Sig_Reordered lists Initializable first, which moves every multisig variable by a slot:
+           the storage layout check has to refuse it as an upgrade of Multi_Sig_Upgradeable
+*/
+
+contract ERC1155_Token_V2 is ERC1155_Token_Upgradeable {
+    string public motto;
+
+    function version() external pure returns (uint) {
+        return 2;
+    }
+
+    function setMotto(string calldata _motto) external onlyOwner {
+        motto = _motto;
+    }
+}
+
+contract NFT_Staker_V2 is NFT_Staker_Upgradeable {
+    uint public bonusRate;
+
+    function version() external pure returns (uint) {
+        return 2;
+    }
+
+    function setBonusRate(uint _bonusRate) external onlyOwner {
+        bonusRate = _bonusRate;
+    }
+}
+
+contract Multi_Sig_V2 is Multi_Sig_Upgradeable {
+    string public label;
+
+    function version() external pure returns (uint) {
+        return 2;
+    }
+
+    function setLabel(string calldata _label) external onlyOwner {
+        label = _label;
+    }
+}
+
+contract Multi_Sig_Reordered is Initializable, Multi_Sig_Base, UUPSUpgradeable {
+    constructor() {
+        _disableInitializers();
+    }
+
+    function _authorizeUpgrade(address) internal override onlyOwner {}
+}
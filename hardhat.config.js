@@ -1,4 +1,24 @@
 require("@nomiclabs/hardhat-waffle");
+require("@nomiclabs/hardhat-etherscan");
+
+const { buildNetworks, assertNetworkConfig } = require("./scripts/config");
+
+require("./tasks/deploy");
+require("./tasks/verify");
+require("./tasks/erc1155");
+require("./tasks/metadata");
+require("./tasks/multisig");
+require("./tasks/staking");
+require("./tasks/emergency");
+require("./tasks/events");
+require("./tasks/gas");
+require("./tasks/upgrade");
+require("./tasks/simulate");
+
+// Fails fast, before any task runs, when the selected network is missing values or uses leaked keys
+extendEnvironment((hre) => {
+  assertNetworkConfig(hre.network.name);
+});
 
 // This is a sample Hardhat task. To learn how to create your own go to
 // https://hardhat.org/guides/create-task.html
@@ -17,21 +37,24 @@ task("accounts", "Prints the list of accounts", async (taskArgs, hre) => {
  * @type import('hardhat/config').HardhatUserConfig
  */
 
-const INFURA_API_KEY = "6b060aee93c34c06980fa8e3b612c755";
-const RINKEBY_ACCOUNT_PK = "0f48011361e5e719fd5dbde7763195b36e82526fb9bf62705344952fa25b3571";
-const RINKEBY_ACCOUNT_A2 = "e2762c4547761e7a09c8c82e485355ef86ab286e68ea5a08362bebd0862a7f6d";
-const RINKEBY_ACCOUNT_A3 = "22329897a437e76ad7df5112dbc4cb4ccd85255eae09f67753663f60b0ac1907";
-
+// RPC urls, private keys and api keys are read from the environment (or .env), see .env.example
 module.exports = {
-  solidity: "0.8.4",
-  networks: {
-    rinkeby: {
-      url: `https://rinkeby.infura.io/v3/${INFURA_API_KEY}`,
-      accounts: [RINKEBY_ACCOUNT_PK, RINKEBY_ACCOUNT_A2, RINKEBY_ACCOUNT_A3],
-      timeout: 60000
-    }
+  solidity: {
+    version: "0.8.4",
+    settings: {
+      // Multi_Sig is over the 24KB contract size limit without it
+      optimizer: { enabled: true, runs: 200 },
+      // Compared between the versions of an upgradeable contract, see scripts/upgrades.js
+      outputSelection: { "*": { "*": ["storageLayout"] } },
+    },
   },
+  networks: buildNetworks(),
   etherscan: {
-    apiKey: "SD21SHHKZDP8442R1D5UWYV2AW6IAN814M",
-  }
+    apiKey: process.env.ETHERSCAN_API_KEY || "",
+  },
+  // Gas used per contract function during `npx hardhat test`, see tasks/gas.js
+  gasReporter: {
+    baseline: "gas-baseline.json",
+    tolerance: 5, // percent a function can go over its budget before the tests fail
+  },
 };
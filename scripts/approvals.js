@@ -0,0 +1,121 @@
+const { getAddress, verifyTypedData } = require("ethers/lib/utils");
+
+/*
+    Off-chain Multisig Approvals
+    - Signers sign an EIP-712 Approval(transactionId, nonce) instead of sending approveTransaction.
+      The owner can too, its approval counts on top of the signers' like its on-chain vote
+    - The aggregator checks every approval (domain, nonce, signer membership, duplicates) and builds
+      the bundle Multi_Sig.executeWithSignatures expects: signatures sorted by signer address
+    - Only the electors of the proposal count, as on-chain: a signer that joined after it was created
+      is refused here rather than by the contract
+*/
+
+// Must match the EIP712("Multi_Sig", "1") constructor and APPROVAL_TYPEHASH of the contract
+const APPROVAL_DOMAIN_NAME = "Multi_Sig";
+const APPROVAL_DOMAIN_VERSION = "1";
+const APPROVAL_TYPES = {
+  Approval: [
+    { name: "transactionId", type: "uint256" },
+    { name: "nonce", type: "uint256" },
+  ],
+};
+
+function approvalDomain(chainId, multiSigAddress) {
+  return {
+    name: APPROVAL_DOMAIN_NAME,
+    version: APPROVAL_DOMAIN_VERSION,
+    chainId,
+    verifyingContract: multiSigAddress,
+  };
+}
+
+// Signs an approval of `transactionId` at the multisig's current nonce. `chainId` is only there
+// to be overridden in tests, it defaults to the chain the signer is connected to.
+async function signApproval(signer, multiSig, transactionId, chainId) {
+  const nonce = (await multiSig.nonce()).toNumber();
+  if (chainId === undefined) {
+    chainId = await signer.getChainId();
+  }
+  const domain = approvalDomain(chainId, multiSig.address);
+  const value = { transactionId, nonce };
+
+  return {
+    signer: await signer.getAddress(),
+    domain,
+    transactionId,
+    nonce,
+    signature: await signer._signTypedData(domain, APPROVAL_TYPES, value),
+  };
+}
+
+// Validates `approvals` of `transactionId` against the multisig and returns the bundle to execute.
+// Throws on the first invalid approval, naming the signer it claims to come from.
+async function aggregateApprovals(multiSig, transactionId, approvals) {
+  const { chainId } = await multiSig.provider.getNetwork();
+  const nonce = (await multiSig.nonce()).toNumber();
+  const domain = approvalDomain(chainId, multiSig.address);
+  const owner = await multiSig.owner();
+  const seen = new Set();
+  const collected = [];
+
+  for (const approval of approvals) {
+    const label = `Approval from ${approval.signer}`;
+
+    if (approval.domain.chainId !== chainId) {
+      throw new Error(`${label} is for chain ${approval.domain.chainId}, expected ${chainId}`);
+    }
+    if (approval.domain.verifyingContract !== multiSig.address) {
+      throw new Error(`${label} is for multisig ${approval.domain.verifyingContract}, expected ${multiSig.address}`);
+    }
+    if (approval.transactionId !== transactionId) {
+      throw new Error(`${label} is for transaction #${approval.transactionId}, expected #${transactionId}`);
+    }
+    if (approval.nonce !== nonce) {
+      throw new Error(`${label} is for nonce ${approval.nonce}, the multisig is at nonce ${nonce}`);
+    }
+
+    // Re-derive the signer from the signature with our own domain, never trust the claimed fields
+    const recovered = verifyTypedData(domain, APPROVAL_TYPES, { transactionId, nonce }, approval.signature);
+    let claimed;
+    try {
+      claimed = getAddress(approval.signer);
+    } catch (error) {
+      throw new Error(`${label}: ${approval.signer} is not an address`);
+    }
+    if (recovered !== claimed) {
+      throw new Error(`${label} is signed by ${recovered}`);
+    }
+    if (seen.has(recovered)) {
+      throw new Error(`${label} was already collected`);
+    }
+    if (recovered !== owner && !(await multiSig.signerList(recovered))) {
+      throw new Error(`${label}: ${recovered} is neither a signer nor the owner of the multisig`);
+    }
+    if (!(await multiSig.canVote(transactionId, recovered))) {
+      throw new Error(`${label}: ${recovered} joined the signers after #${transactionId} was created`);
+    }
+    seen.add(recovered);
+    collected.push({ signer: recovered, signature: approval.signature });
+  }
+
+  // The contract expects signatures in ascending signer order
+  const sorted = collected.sort((a, b) => (a.signer.toLowerCase() < b.signer.toLowerCase() ? -1 : 1));
+  return {
+    transactionId,
+    nonce,
+    signers: sorted.map((approval) => approval.signer),
+    signatures: sorted.map((approval) => approval.signature),
+  };
+}
+
+function executeWithSignatures(multiSig, bundle) {
+  return multiSig.executeWithSignatures(bundle.transactionId, bundle.signatures);
+}
+
+module.exports = {
+  APPROVAL_TYPES,
+  approvalDomain,
+  signApproval,
+  aggregateApprovals,
+  executeWithSignatures,
+};
@@ -0,0 +1,195 @@
+const path = require("path");
+const { keccak256, toUtf8Bytes } = require("ethers/lib/utils");
+
+/*
+    Network Configuration
+    - Values come from the environment, a local .env file (never committed) fills in what is missing
+    - One profile per kind of network:
+        localhost - a local `npx hardhat node`, LOCALHOST_RPC_URL defaults to http://127.0.0.1:8545
+        testnet   - any public testnet, TESTNET_RPC_URL + TESTNET_PRIVATE_KEYS
+        mainnet   - MAINNET_RPC_URL + MAINNET_PRIVATE_KEYS
+        hardhat   - the in-process network, forks FORK_RPC_URL (at FORK_BLOCK_NUMBER) when given
+    - Missing values only fail the network that needs them, and they fail before anything is sent
+    - Live networks refuse keys that were once committed to this repository
+*/
+
+require("dotenv").config({ path: path.join(__dirname, "..", ".env") });
+
+// keccak256 of every secret that was committed in an earlier hardhat.config.js. They are public
+// forever through git history, so anything using them on a live network is compromised.
+const LEAKED_SECRET_HASHES = [
+  "0xf901352b0a1a864188a24dbb49ebbec8d1fcd20c24132759245f99fd00f484e9", // rinkeby deployer key
+  "0x58257c75d2b11417dd183741973642a8286195b03a420b7adb60fb43c3160afb", // rinkeby account 2 key
+  "0x9791a83caaae69d952835e740955ded8dc94311ce0e08b4e2151b48e9f12bc17", // rinkeby account 3 key
+  "0x27314d30982b85945a9c2738afb989bb7376bd27643111ab27a82b561ee0c7a1", // infura project id
+  "0x4f96dc63b0ee2b98a472b16f780c0005dd2b213a0067232263aef31c2b5bc2d3", // etherscan api key
+];
+
+const NETWORK_PROFILES = {
+  localhost: {
+    live: false,
+    url: "LOCALHOST_RPC_URL",
+    defaultUrl: "http://127.0.0.1:8545",
+    required: [],
+  },
+  testnet: {
+    live: true,
+    url: "TESTNET_RPC_URL",
+    keys: "TESTNET_PRIVATE_KEYS",
+    chainId: "TESTNET_CHAIN_ID",
+    required: ["TESTNET_RPC_URL", "TESTNET_PRIVATE_KEYS"],
+  },
+  mainnet: {
+    live: true,
+    url: "MAINNET_RPC_URL",
+    keys: "MAINNET_PRIVATE_KEYS",
+    chainId: "MAINNET_CHAIN_ID",
+    required: ["MAINNET_RPC_URL", "MAINNET_PRIVATE_KEYS"],
+  },
+};
+
+function readList(env, name) {
+  const value = env[name];
+  if (!value) return [];
+  return value
+    .split(",")
+    .map((item) => item.trim())
+    .filter((item) => item.length > 0);
+}
+
+function normalizeKey(key) {
+  return key.toLowerCase().replace(/^0x/, "");
+}
+
+function isPrivateKey(normalizedKey) {
+  return /^[0-9a-f]{64}$/.test(normalizedKey);
+}
+
+function isLeaked(secret) {
+  return LEAKED_SECRET_HASHES.includes(keccak256(toUtf8Bytes(secret)));
+}
+
+// The key at the end of an RPC URL's path, ignoring a trailing slash, the query and the fragment.
+// Lowercased like normalizeKey, the leaked one is hashed that way
+function rpcKey(url) {
+  let segment;
+  try {
+    segment = new URL(url).pathname.split("/").filter(Boolean).pop();
+  } catch (error) {
+    segment = url.split("/").filter(Boolean).pop();
+  }
+  return (segment || "").toLowerCase();
+}
+
+// Builds the `networks` section of the hardhat config. Networks whose values are missing are
+// still declared so that selecting them reports what is missing instead of "network not found".
+function buildNetworks(env = process.env) {
+  const networks = {
+    hardhat: {},
+  };
+
+  if (env.FORK_RPC_URL) {
+    networks.hardhat.forking = { url: env.FORK_RPC_URL };
+    if (env.FORK_BLOCK_NUMBER) {
+      networks.hardhat.forking.blockNumber = parseInt(env.FORK_BLOCK_NUMBER, 10);
+    }
+  }
+
+  for (const [name, profile] of Object.entries(NETWORK_PROFILES)) {
+    const network = {
+      url: env[profile.url] || profile.defaultUrl || "",
+      timeout: 60000,
+    };
+    if (profile.keys) {
+      // Malformed keys are left out here and reported by validateNetwork with the variable name
+      network.accounts = readList(env, profile.keys)
+        .map(normalizeKey)
+        .filter(isPrivateKey)
+        .map((key) => `0x${key}`);
+    }
+    if (profile.chainId && env[profile.chainId]) {
+      network.chainId = parseInt(env[profile.chainId], 10);
+    }
+    networks[name] = network;
+  }
+
+  return networks;
+}
+
+// Returns every problem with the configuration of `networkName`, an empty list means it is usable
+function validateNetwork(networkName, env = process.env) {
+  const errors = [];
+  const profile = NETWORK_PROFILES[networkName];
+
+  if (networkName === "hardhat") {
+    if (env.FORK_BLOCK_NUMBER && !env.FORK_RPC_URL) {
+      errors.push("FORK_BLOCK_NUMBER is set but FORK_RPC_URL is missing");
+    }
+    if (env.FORK_RPC_URL && isLeaked(rpcKey(env.FORK_RPC_URL))) {
+      errors.push("FORK_RPC_URL uses an RPC key that was committed to this repository, use your own");
+    }
+    return errors;
+  }
+  if (!profile) {
+    return errors;
+  }
+
+  for (const name of profile.required) {
+    if (!env[name]) {
+      errors.push(`${name} is required for the ${networkName} network`);
+    }
+  }
+
+  if (profile.chainId && env[profile.chainId] && isNaN(parseInt(env[profile.chainId], 10))) {
+    errors.push(`${profile.chainId} should be a number, got "${env[profile.chainId]}"`);
+  }
+
+  if (profile.keys) {
+    readList(env, profile.keys).forEach((key, index) => {
+      if (!isPrivateKey(normalizeKey(key))) {
+        errors.push(`${profile.keys} entry #${index + 1} is not a 32 byte hex private key`);
+      }
+    });
+  }
+
+  if (profile.live) {
+    readList(env, profile.keys).forEach((key, index) => {
+      if (isLeaked(normalizeKey(key))) {
+        errors.push(
+          `${profile.keys} entry #${index + 1} was committed to this repository and must never be used on a live network`
+        );
+      }
+    });
+    const url = env[profile.url] || "";
+    if (url && isLeaked(rpcKey(url))) {
+      errors.push(`${profile.url} uses an RPC key that was committed to this repository, use your own`);
+    }
+    if (env.ETHERSCAN_API_KEY && isLeaked(env.ETHERSCAN_API_KEY)) {
+      errors.push("ETHERSCAN_API_KEY was committed to this repository, use your own");
+    }
+  }
+
+  return errors;
+}
+
+// Throws a single error listing everything that is wrong with the selected network
+function assertNetworkConfig(networkName, env = process.env) {
+  const errors = validateNetwork(networkName, env);
+  if (errors.length > 0) {
+    throw new Error(
+      `Invalid configuration for network "${networkName}":\n` +
+        errors.map((error) => `  - ${error}`).join("\n") +
+        "\nSet the values in your environment or in .env (see .env.example)"
+    );
+  }
+}
+
+module.exports = {
+  LEAKED_SECRET_HASHES,
+  NETWORK_PROFILES,
+  normalizeKey,
+  isLeaked,
+  buildNetworks,
+  validateNetwork,
+  assertNetworkConfig,
+};
@@ -0,0 +1,179 @@
+const fs = require("fs");
+const path = require("path");
+const { BigNumber } = require("ethers");
+const { AddressZero } = require("ethers").constants;
+
+/*
+    ERC1155 Helpers
+    - Reads mint lists: one entry per new token id with its base URI, the units to mint and the max
+      supply of its edition (defaults to the units minted, 0 leaves the edition open)
+    - Lists are CSV files with a `uri,amount,maxSupply` header (only uri is required), or JSON arrays
+      of objects with the same fields
+    - mintList sends a list to ERC1155_Token.mintBatch, `batchSize` ids per transaction
+    - Royalty fees are EIP-2981 basis points of the sale price: 500 is 5%
+*/
+
+const MINT_LIST_COLUMNS = ["uri", "amount", "maxSupply"];
+const BATCH_SIZE = 50;
+const ROYALTY_DENOMINATOR = 10000;
+
+function parseQuantity(value, label) {
+  const text = String(value).trim();
+  if (!/^\d+$/.test(text)) {
+    throw new Error(`${label} should be a whole number, got "${value}"`);
+  }
+  return text;
+}
+
+// Validates one entry of a list and fills in its defaults. `label` locates it in the file for errors.
+function toMintEntry(raw, label) {
+  const uri = typeof raw.uri === "string" ? raw.uri.trim() : "";
+  if (uri.length === 0) {
+    throw new Error(`${label} has no uri`);
+  }
+  const hasAmount = raw.amount !== undefined && raw.amount !== "";
+  const amount = hasAmount ? parseQuantity(raw.amount, `${label} amount`) : "1";
+  const hasMaxSupply = raw.maxSupply !== undefined && raw.maxSupply !== "";
+  const maxSupply = hasMaxSupply ? parseQuantity(raw.maxSupply, `${label} maxSupply`) : amount;
+
+  if (BigNumber.from(amount).isZero()) {
+    throw new Error(`${label} amount should be positive`);
+  }
+  if (!BigNumber.from(maxSupply).isZero() && BigNumber.from(amount).gt(maxSupply)) {
+    throw new Error(`${label} mints ${amount} units, over its max supply of ${maxSupply}`);
+  }
+  return { uri, amount, maxSupply };
+}
+
+// Blank lines and lines starting with # are skipped. URIs can't contain commas.
+function parseMintCsv(text) {
+  const lines = text
+    .split(/\r?\n/)
+    .map((line, index) => ({ text: line.trim(), number: index + 1 }))
+    .filter((line) => line.text.length > 0 && !line.text.startsWith("#"));
+  if (lines.length === 0) {
+    return [];
+  }
+
+  const header = lines[0].text.split(",").map((column) => column.trim());
+  for (const column of header) {
+    if (!MINT_LIST_COLUMNS.includes(column)) {
+      throw new Error(`Unknown column "${column}", expected ${MINT_LIST_COLUMNS.join(", ")}`);
+    }
+  }
+  if (!header.includes("uri")) {
+    throw new Error("The header has no uri column");
+  }
+
+  return lines.slice(1).map((line) => {
+    const cells = line.text.split(",");
+    if (cells.length !== header.length) {
+      throw new Error(`Line ${line.number} has ${cells.length} columns, the header has ${header.length}`);
+    }
+    const raw = {};
+    header.forEach((column, index) => {
+      raw[column] = cells[index].trim();
+    });
+    return toMintEntry(raw, `Line ${line.number}`);
+  });
+}
+
+// Entries are objects, or plain strings for a one of a kind token with that uri
+function parseMintJson(text) {
+  const list = JSON.parse(text);
+  if (!Array.isArray(list)) {
+    throw new Error("The mint list should be a JSON array");
+  }
+  return list.map((raw, index) => toMintEntry(typeof raw === "string" ? { uri: raw } : raw, `Entry #${index}`));
+}
+
+function readMintList(file) {
+  const text = fs.readFileSync(file, "utf8");
+  switch (path.extname(file).toLowerCase()) {
+    case ".csv":
+      return parseMintCsv(text);
+    case ".json":
+      return parseMintJson(text);
+    default:
+      throw new Error(`Unsupported mint list ${file}, expected a .csv or .json file`);
+  }
+}
+
+// Mints `entries` to `to`, `batchSize` per transaction. `onBatch` is called after each transaction with
+// its token ids, so a caller can report progress before a later batch fails.
+async function mintList(token, to, entries, batchSize = BATCH_SIZE, onBatch = () => {}) {
+  if (batchSize < 1) {
+    throw new Error("Batch size should be positive");
+  }
+  const batches = [];
+
+  for (let start = 0; start < entries.length; start += batchSize) {
+    const chunk = entries.slice(start, start + batchSize);
+    const tx = await token.mintBatch(
+      to,
+      chunk.map((entry) => entry.uri),
+      chunk.map((entry) => entry.amount),
+      chunk.map((entry) => entry.maxSupply)
+    );
+    const receipt = await tx.wait();
+    const batch = {
+      tokenIds: receipt.events
+        .filter((event) => event.event === "TokenMinted")
+        .map((event) => event.args.tokenId.toNumber()),
+      transactionHash: receipt.transactionHash,
+      blockNumber: receipt.blockNumber,
+    };
+    batches.push(batch);
+    onBatch(batch);
+  }
+  return batches;
+}
+
+async function readToken(token, tokenId) {
+  const maxSupply = await token.maxSupply(tokenId);
+  return {
+    tokenId,
+    uri: await token.uri(tokenId),
+    supply: await token.tokenSupply(tokenId),
+    // null for an open edition
+    maxSupply: maxSupply.isZero() ? null : maxSupply,
+  };
+}
+
+// "2.5%" for 250 basis points
+function formatFee(feeNumerator) {
+  return `${(Number(feeNumerator) * 100) / ROYALTY_DENOMINATOR}%`;
+}
+
+// Royalty settings of the token, and what royaltyInfo returns for `tokenIds` sold at `salePrice`
+async function readRoyalties(token, tokenIds = [], salePrice = ROYALTY_DENOMINATOR) {
+  const tokens = [];
+  for (const tokenId of tokenIds) {
+    const [receiver, amount] = await token.royaltyInfo(tokenId, salePrice);
+    tokens.push({ tokenId, receiver, amount });
+  }
+  const treasury = await token.treasury();
+  const royaltyReceiver = await token.royaltyReceiver();
+  return {
+    treasury,
+    defaultFee: await token.defaultRoyaltyFee(),
+    // The treasury unless another receiver was set
+    defaultReceiver: royaltyReceiver === AddressZero ? treasury : royaltyReceiver,
+    followsTreasury: royaltyReceiver === AddressZero,
+    contractURI: await token.contractURI(),
+    salePrice,
+    tokens,
+  };
+}
+
+module.exports = {
+  MINT_LIST_COLUMNS,
+  ROYALTY_DENOMINATOR,
+  parseMintCsv,
+  parseMintJson,
+  readMintList,
+  mintList,
+  readToken,
+  formatFee,
+  readRoyalties,
+};
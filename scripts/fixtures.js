@@ -0,0 +1,99 @@
+const { loadManifest } = require("./manifest");
+const { deploy_ERC1155_Token, deploy_NFT_Staker, deploy_MultiSig, deploy_Systems } = require("./systems");
+
+/*
+    Fixtures
+    - One fixture per system (erc1155Fixture, stakingFixture, multiSigFixture) and one with all three
+      (systemsFixture). They deploy through the deploy_* functions of scripts/systems.js, the same steps
+      as scripts/deploy.js and the deploy:* tasks, so tests can't drift from a real deployment
+    - Parameters override the deploy defaults of the system, e.g. { treasury } or { lockin, funding }
+    - loadFixture runs a fixture once per set of parameters and takes an evm_snapshot of the result.
+      Later calls revert to that snapshot instead of deploying again
+    - Only for the in-process hardhat network: reverting throws away everything after the snapshot
+    - Fixtures run quietly, the progress the deploy functions print is for the deploy script and tasks
+*/
+
+async function fixtureManifest(hre) {
+  const { chainId } = await hre.ethers.provider.getNetwork();
+  // Never persisted, see EPHEMERAL_NETWORKS
+  return loadManifest("hardhat", chainId);
+}
+
+async function erc1155Fixture(hre, params) {
+  const manifest = await fixtureManifest(hre);
+  const { contract } = await deploy_ERC1155_Token(hre, manifest, params);
+  return { erc1155: contract, manifest };
+}
+
+async function stakingFixture(hre, params) {
+  const manifest = await fixtureManifest(hre);
+  const { token, staker } = await deploy_NFT_Staker(hre, manifest, params);
+  return { token, staker, manifest };
+}
+
+async function multiSigFixture(hre, params) {
+  const manifest = await fixtureManifest(hre);
+  const { simpleToken, multiSigWallet } = await deploy_MultiSig(hre, manifest, params);
+  return { simpleToken, multiSigWallet, manifest };
+}
+
+// `params` holds the parameters of each system: { erc1155, staking, multiSig }
+async function systemsFixture(hre, params) {
+  const manifest = await fixtureManifest(hre);
+  const systems = await deploy_Systems(hre, manifest, params);
+  return { ...systems, manifest };
+}
+
+// Runs `action` with console.log muted
+async function quietly(action) {
+  const log = console.log;
+  console.log = () => {};
+  try {
+    return await action();
+  } finally {
+    console.log = log;
+  }
+}
+
+// Loaded fixtures in the order their snapshots were taken: { fixture, key, snapshotId, result }
+const snapshots = [];
+
+// Reverting to a snapshot drops every snapshot taken after it, forget those fixtures too
+async function revertTo(hre, index) {
+  const entry = snapshots[index];
+  snapshots.splice(index + 1);
+  const reverted = await hre.network.provider.send("evm_revert", [entry.snapshotId]);
+  if (!reverted) {
+    snapshots.splice(index);
+    return false;
+  }
+  // A snapshot can only be reverted to once
+  entry.snapshotId = await hre.network.provider.send("evm_snapshot", []);
+  return true;
+}
+
+// Returns what `fixture(hre, params)` returned, with the chain back in the state right after it ran.
+// The result is shared between loads: contracts are fine, copy anything you mutate (e.g. the manifest).
+async function loadFixture(hre, fixture, params = {}) {
+  if (hre.network.name !== "hardhat") {
+    throw new Error(`Fixtures revert the chain, they only run on the hardhat network, not ${hre.network.name}`);
+  }
+  const key = JSON.stringify(params);
+  const index = snapshots.findIndex((entry) => entry.fixture === fixture && entry.key === key);
+  if (index !== -1 && (await revertTo(hre, index))) {
+    return snapshots[index].result;
+  }
+
+  const result = await quietly(() => fixture(hre, params));
+  const snapshotId = await hre.network.provider.send("evm_snapshot", []);
+  snapshots.push({ fixture, key, snapshotId, result });
+  return result;
+}
+
+module.exports = {
+  erc1155Fixture,
+  stakingFixture,
+  multiSigFixture,
+  systemsFixture,
+  loadFixture,
+};
@@ -0,0 +1,214 @@
+const fs = require("fs");
+const { ethers } = require("ethers");
+const { IMPLEMENTATION_SLOT } = require("./upgrades");
+
+/*
+    Gas Reporter
+    - createGasRecorder hooks a provider and records the gas used by every mined transaction, per
+      contract and function ("constructor" for deployments)
+    - Contracts are recognized by their deployment: the creation code of every artifact is matched
+      against deployment transactions, later calls to the deployed address decode with its ABI. Calls to
+      an ERC1967 proxy count for the implementation it ran
+    - summarizeGas turns the records into rows (calls, min, max, avg), formatGasMarkdown prints them
+    - compareGas checks the rows against a baseline of budgets, the max gas of each function. Going over
+      a budget by more than `tolerance` percent is a regression
+*/
+
+const UNKNOWN_CONTRACT = "(unknown)";
+
+async function loadContracts(artifacts) {
+  const contracts = [];
+  for (const name of await artifacts.getAllFullyQualifiedNames()) {
+    const artifact = await artifacts.readArtifact(name);
+    // Interfaces and abstract contracts can't be deployed
+    if (artifact.bytecode === "0x") continue;
+    contracts.push({
+      name: artifact.contractName,
+      bytecode: artifact.bytecode.toLowerCase(),
+      iface: new ethers.utils.Interface(artifact.abi),
+    });
+  }
+  return contracts;
+}
+
+// Function name, or full signature when the name is overloaded (e.g. safeTransferFrom)
+function functionLabel(iface, selector) {
+  let fragment;
+  try {
+    fragment = iface.getFunction(selector);
+  } catch (error) {
+    return null;
+  }
+  const overloaded = Object.values(iface.functions).filter((other) => other.name === fragment.name).length > 1;
+  return overloaded ? fragment.format() : fragment.name;
+}
+
+// Records the gas of every transaction sent through `provider` between start() and stop(), `calls`
+// maps "Contract.function" to the gas used by each call
+async function createGasRecorder(provider, artifacts) {
+  const contracts = await loadContracts(artifacts);
+  const deployed = new Map(); // hash of the deployed code -> contract
+  const calls = new Map();
+  const original = { request: provider.request, send: provider.send };
+
+  function request(method, params) {
+    return original.request.call(provider, { method, params });
+  }
+
+  function record(contract, method, gasUsed) {
+    const key = `${contract}.${method}`;
+    if (!calls.has(key)) calls.set(key, []);
+    calls.get(key).push(gasUsed);
+  }
+
+  // Addresses can hold another contract after a revert to a snapshot, the deployed code tells them apart
+  async function codeHash(address) {
+    return ethers.utils.keccak256(await request("eth_getCode", [address, "latest"]));
+  }
+
+  // Before the transaction, upgradeTo counts for the implementation it replaced
+  async function implementationOf(address, blockNumber) {
+    const parent = ethers.utils.hexValue(ethers.BigNumber.from(blockNumber).sub(1));
+    const slot = await request("eth_getStorageAt", [address, IMPLEMENTATION_SLOT, parent]);
+    return ethers.BigNumber.from(slot).isZero() ? null : ethers.utils.hexDataSlice(slot, 12);
+  }
+
+  async function attribute(tx, receipt) {
+    if (!tx.to) {
+      // The longest creation code the input starts with, the rest is constructor arguments
+      const input = tx.input.toLowerCase();
+      const matches = contracts.filter((contract) => input.startsWith(contract.bytecode));
+      const contract = matches.sort((a, b) => b.bytecode.length - a.bytecode.length)[0];
+      if (contract) deployed.set(await codeHash(receipt.contractAddress), contract);
+      return { contract: contract ? contract.name : UNKNOWN_CONTRACT, method: "constructor" };
+    }
+
+    // Plain ether transfers call no function
+    if (tx.input.length < 10) return null;
+    const selector = tx.input.slice(0, 10);
+    const implementation = await implementationOf(tx.to, receipt.blockNumber);
+    const contract = deployed.get(await codeHash(implementation || tx.to));
+    if (contract) {
+      return { contract: contract.name, method: functionLabel(contract.iface, selector) || selector };
+    }
+    // Deployed before recording started, or by another contract
+    for (const candidate of contracts) {
+      const method = functionLabel(candidate.iface, selector);
+      if (method) return { contract: UNKNOWN_CONTRACT, method };
+    }
+    return { contract: UNKNOWN_CONTRACT, method: selector };
+  }
+
+  async function observe(method, result) {
+    if (method !== "eth_sendTransaction" && method !== "eth_sendRawTransaction") return;
+    const receipt = await request("eth_getTransactionReceipt", [result]);
+    // Not mined yet, e.g. with automine off
+    if (!receipt) return;
+    const tx = await request("eth_getTransactionByHash", [result]);
+    const call = await attribute(tx, receipt);
+    if (call) record(call.contract, call.method, ethers.BigNumber.from(receipt.gasUsed).toNumber());
+  }
+
+  return {
+    calls,
+    start() {
+      provider.request = async (args) => {
+        const result = await original.request.call(provider, args);
+        await observe(args.method, result);
+        return result;
+      };
+      provider.send = async (method, params) => {
+        const result = await original.send.call(provider, method, params);
+        await observe(method, result);
+        return result;
+      };
+    },
+    stop() {
+      provider.request = original.request;
+      provider.send = original.send;
+    },
+  };
+}
+
+// One row per contract function, sorted by contract then function
+function summarizeGas(calls) {
+  const rows = [];
+  for (const [key, gas] of calls) {
+    const separator = key.indexOf(".");
+    rows.push({
+      contract: key.slice(0, separator),
+      method: key.slice(separator + 1),
+      calls: gas.length,
+      min: Math.min(...gas),
+      max: Math.max(...gas),
+      avg: Math.round(gas.reduce((sum, used) => sum + used, 0) / gas.length),
+    });
+  }
+  return rows.sort((a, b) => a.contract.localeCompare(b.contract) || a.method.localeCompare(b.method));
+}
+
+// `budgets` maps "Contract.function" to its max gas in the baseline. Rows get their `budget` and the
+// `change` of their max gas in percent.
+function compareGas(rows, budgets, tolerance) {
+  const report = { tolerance, rows: [], regressions: [], unbudgeted: [], unmeasured: [] };
+  const measured = new Set();
+
+  for (const row of rows) {
+    const key = `${row.contract}.${row.method}`;
+    measured.add(key);
+    const budget = budgets[key];
+    if (budget === undefined) {
+      report.rows.push({ ...row, budget: null, change: null });
+      report.unbudgeted.push(key);
+      continue;
+    }
+    const change = budget === 0 ? 0 : Math.round(((row.max - budget) * 10000) / budget) / 100;
+    report.rows.push({ ...row, budget, change });
+    if (row.max > budget * (1 + tolerance / 100)) {
+      report.regressions.push({ key, budget, max: row.max, change });
+    }
+  }
+  // Not called by the tests that ran, e.g. with --grep
+  report.unmeasured = Object.keys(budgets).filter((key) => !measured.has(key));
+  return report;
+}
+
+function formatGasMarkdown(report) {
+  const lines = [
+    "| Contract | Function | Calls | Min | Max | Avg | Budget | Change |",
+    "| --- | --- | ---: | ---: | ---: | ---: | ---: | ---: |",
+  ];
+  for (const row of report.rows) {
+    const budget = row.budget === null ? "-" : `${row.budget}`;
+    const change = row.change === null ? "new" : `${row.change > 0 ? "+" : ""}${row.change}%`;
+    lines.push(
+      `| ${row.contract} | ${row.method} | ${row.calls} | ${row.min} | ${row.max} | ${row.avg} | ${budget} | ${change} |`
+    );
+  }
+  return lines.join("\n") + "\n";
+}
+
+function readGasBaseline(file) {
+  if (!fs.existsSync(file)) {
+    return {};
+  }
+  return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+// The max gas of every measured function becomes its budget, functions the run didn't call keep theirs
+function updateGasBaseline(budgets, rows) {
+  const updated = { ...budgets };
+  for (const row of rows) {
+    updated[`${row.contract}.${row.method}`] = row.max;
+  }
+  return Object.fromEntries(Object.keys(updated).sort().map((key) => [key, updated[key]]));
+}
+
+module.exports = {
+  createGasRecorder,
+  summarizeGas,
+  compareGas,
+  formatGasMarkdown,
+  readGasBaseline,
+  updateGasBaseline,
+};
@@ -0,0 +1,271 @@
+const fs = require("fs");
+const path = require("path");
+const { COIN_TYPES } = require("./multisig");
+
+/*
+    Event Indexer
+    - Scans a block range for the events of ERC1155_Token, NFT_Staker and Multi_Sig
+    - Decodes them into typed records grouped by kind (mints, stakes, proposals, votes, ...)
+    - Records are appended to a local JSON store, scanning resumes after the last indexed block
+*/
+
+const EVENTS_DIR = path.join(__dirname, "..", "events");
+
+// Every collection of an index, in the order they are written
+const COLLECTIONS = [
+  "mints",
+  "editions",
+  "uriChanges",
+  "treasuryChanges",
+  "royaltyChanges",
+  "stakes",
+  "unstakes",
+  "claims",
+  "rewardRateChanges",
+  "collectionChanges",
+  "rewardFunding",
+  "quorumChanges",
+  "lifetimeChanges",
+  "signers",
+  "proposals",
+  "votes",
+  "executions",
+  "cancellations",
+  "pauses",
+];
+
+// Maps every event we index to the collection it goes in and the fields it keeps.
+// Amounts and token ids stay strings (wei, and the token ids of any ERC721 the staker lists, can
+// overflow a js number), the other ids and timestamps become numbers.
+const DECODERS = {
+  // Pausable, emitted by all three contracts (the record's `contract` tells which)
+  Paused: (args) => ["pauses", {
+    account: args.account,
+    paused: true,
+  }],
+  Unpaused: (args) => ["pauses", {
+    account: args.account,
+    paused: false,
+  }],
+  // ERC1155_Token
+  TokenMinted: (args) => ["mints", {
+    tokenId: args.tokenId.toString(),
+    recipient: args.to,
+    baseURI: args.baseURI,
+    maxSupply: args.maxSupply.toString(),
+  }],
+  EditionMinted: (args) => ["editions", {
+    tokenId: args.tokenId.toString(),
+    recipient: args.to,
+    amount: args.amount.toString(),
+    supply: args.supply.toString(),
+  }],
+  TokenURIUpdated: (args) => ["uriChanges", {
+    tokenId: args.tokenId.toString(),
+    baseURI: args.baseURI,
+  }],
+  TreasuryUpdated: (args) => ["treasuryChanges", {
+    previousTreasury: args.previousTreasury,
+    newTreasury: args.newTreasury,
+  }],
+  // The contract wide URI has no token id
+  ContractURIUpdated: (args) => ["uriChanges", {
+    tokenId: null,
+    contractURI: args.contractURI,
+  }],
+  // tokenId is null for the default royalty, a reset token royalty has a zero receiver and fee
+  DefaultRoyaltyUpdated: (args) => ["royaltyChanges", {
+    tokenId: null,
+    receiver: args.receiver,
+    feeNumerator: args.feeNumerator.toNumber(),
+  }],
+  TokenRoyaltyUpdated: (args) => ["royaltyChanges", {
+    tokenId: args.tokenId.toString(),
+    receiver: args.receiver,
+    feeNumerator: args.feeNumerator.toNumber(),
+  }],
+  // NFT_Staker
+  Staked: (args) => ["stakes", {
+    collection: args.collection,
+    owner: args.owner,
+    tokenId: args.tokenId.toString(),
+    timestamp: args.timestamp.toNumber(),
+  }],
+  Unstaked: (args) => ["unstakes", {
+    collection: args.collection,
+    owner: args.owner,
+    tokenId: args.tokenId.toString(),
+    duration: args.duration.toNumber(),
+    reward: args.reward.toString(),
+  }],
+  RewardClaimed: (args) => ["claims", {
+    owner: args.owner,
+    amount: args.amount.toString(),
+  }],
+  RewardRateUpdated: (args) => ["rewardRateChanges", {
+    collection: args.collection,
+    rewardPerSecond: args.rewardPerSecond.toString(),
+  }],
+  CollectionListed: (args) => ["collectionChanges", {
+    collection: args.collection,
+    change: "listed",
+    lockInPeriod: args.lockInPeriod.toNumber(),
+    rewardPerSecond: args.rewardPerSecond.toString(),
+  }],
+  CollectionDelisted: (args) => ["collectionChanges", {
+    collection: args.collection,
+    change: "delisted",
+  }],
+  RewardTokenUpdated: (args) => ["rewardFunding", {
+    change: "token",
+    rewardToken: args.rewardToken,
+  }],
+  RewardsToppedUp: (args) => ["rewardFunding", {
+    change: "top-up",
+    account: args.from,
+    amount: args.amount.toString(),
+  }],
+  RewardsWithdrawn: (args) => ["rewardFunding", {
+    change: "withdrawal",
+    account: args.to,
+    amount: args.amount.toString(),
+  }],
+  // Multi_Sig
+  QuorumMajorityUpdated: (args) => ["quorumChanges", {
+    quorumMajority: args.quorumMajority.toNumber(),
+  }],
+  ProposalLifetimeUpdated: (args) => ["lifetimeChanges", {
+    proposalLifetime: args.proposalLifetime.toNumber(),
+  }],
+  SignerAdded: (args) => ["signers", {
+    signer: args.signer,
+    change: "added",
+  }],
+  SignerRemoved: (args) => ["signers", {
+    signer: args.signer,
+    change: "removed",
+  }],
+  TransactionCreated: (args) => ["proposals", {
+    transactionId: args.transactionId.toNumber(),
+    proposer: args.proposer,
+    coinType: COIN_TYPES[args.coinType],
+    recipient: args.recepient,
+    amount: args.amount.toString(),
+    eth20Address: args.eth20Address,
+    data: args.data,
+    reason: args.reason,
+  }],
+  TransactionApproved: (args) => ["votes", {
+    transactionId: args.transactionId.toNumber(),
+    signer: args.signer,
+    vote: "approve",
+  }],
+  TransactionRejected: (args) => ["votes", {
+    transactionId: args.transactionId.toNumber(),
+    signer: args.signer,
+    vote: "reject",
+  }],
+  TransactionVoteRevoked: (args) => ["votes", {
+    transactionId: args.transactionId.toNumber(),
+    signer: args.signer,
+    vote: "revoke",
+  }],
+  TransactionExecuted: (args) => ["executions", {
+    transactionId: args.transactionId.toNumber(),
+    executor: args.executor,
+  }],
+  TransactionCancelled: (args) => ["cancellations", {
+    transactionId: args.transactionId.toNumber(),
+    canceller: args.canceller,
+  }],
+};
+
+function emptyIndex() {
+  const index = { lastBlock: null };
+  for (const collection of COLLECTIONS) {
+    index[collection] = [];
+  }
+  return index;
+}
+
+function decodeEvent(event) {
+  const decode = DECODERS[event.event];
+  if (!decode) return null;
+
+  const [collection, record] = decode(event.args);
+  return [
+    collection,
+    {
+      ...record,
+      contract: event.address,
+      blockNumber: event.blockNumber,
+      transactionHash: event.transactionHash,
+      logIndex: event.logIndex,
+    },
+  ];
+}
+
+// Scans [fromBlock, toBlock] for the events of `contracts` (ethers contracts, any of them may be left
+// out), `blockStep` blocks at a time so public RPCs don't refuse the range. Returns a new index.
+async function indexEvents(contracts, fromBlock, toBlock, blockStep = 2000) {
+  const index = emptyIndex();
+  const scanned = [];
+
+  for (const contract of Object.values(contracts)) {
+    if (!contract) continue;
+    for (let start = fromBlock; start <= toBlock; start += blockStep) {
+      const end = Math.min(start + blockStep - 1, toBlock);
+      scanned.push(...(await contract.queryFilter("*", start, end)));
+    }
+  }
+
+  // Keep the chain order across contracts
+  scanned.sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+  for (const event of scanned) {
+    const decoded = decodeEvent(event);
+    if (!decoded) continue;
+    const [collection, record] = decoded;
+    index[collection].push(record);
+  }
+
+  index.lastBlock = toBlock;
+  return index;
+}
+
+// Appends the records of `scanned` to `index`, both as returned by indexEvents
+function mergeIndex(index, scanned) {
+  const merged = { ...index, lastBlock: scanned.lastBlock };
+  for (const [collection, records] of Object.entries(scanned)) {
+    if (!COLLECTIONS.includes(collection)) continue;
+    merged[collection] = [...(index[collection] || []), ...records];
+  }
+  return merged;
+}
+
+function indexPath(networkName, dir = EVENTS_DIR) {
+  return path.join(dir, `${networkName}.json`);
+}
+
+function loadIndex(file) {
+  if (!fs.existsSync(file)) {
+    return emptyIndex();
+  }
+  return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+function saveIndex(file, index) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(index, null, 2) + "\n");
+}
+
+module.exports = {
+  EVENTS_DIR,
+  COLLECTIONS,
+  emptyIndex,
+  decodeEvent,
+  indexEvents,
+  mergeIndex,
+  indexPath,
+  loadIndex,
+  saveIndex,
+};
@@ -0,0 +1,148 @@
+const fs = require("fs");
+const path = require("path");
+const { keccak256, toUtf8Bytes, FormatTypes } = require("ethers/lib/utils");
+
+/*
+    Deployment Manifest
+    - One JSON file per network under deployments/, e.g. deployments/rinkeby.json
+    - Each record is keyed by its deployment name and holds the contract name, address,
+      deployer, tx hash, block number, constructor args and a hash of the ABI used
+    - Contracts behind a proxy also hold the proxy, their implementation and its storage layout, see
+      scripts/upgrades.js
+    - The status of every deploy step is kept next to the records, see scripts/steps.js
+    - Frontends and other scripts should read addresses from here instead of hardcoding them
+*/
+
+// Bump this whenever the shape of the manifest changes
+const MANIFEST_VERSION = 2;
+
+const DEPLOYMENTS_DIR = path.join(__dirname, "..", "deployments");
+
+// The in-process hardhat network is thrown away after every run, so there is nothing to persist
+const EPHEMERAL_NETWORKS = ["hardhat"];
+
+function isPersisted(networkName) {
+  return !EPHEMERAL_NETWORKS.includes(networkName);
+}
+
+function manifestPath(networkName, dir = DEPLOYMENTS_DIR) {
+  return path.join(dir, `${networkName}.json`);
+}
+
+function emptyManifest(networkName, chainId) {
+  return {
+    version: MANIFEST_VERSION,
+    network: networkName,
+    chainId,
+    contracts: {},
+    steps: {},
+  };
+}
+
+// Manifests an ephemeral network starts from instead of an empty one, e.g. the one of a snapshot in
+// a simulation (see scripts/simulation.js). Kept in memory only, like everything else on that network.
+const seededManifests = new Map();
+
+// Seeds `networkName` with `manifest`, or goes back to empty manifests without one
+function seedManifest(networkName, manifest) {
+  if (isPersisted(networkName)) {
+    throw new Error(`Only ephemeral networks can be seeded, ${networkName} has its manifest on disk`);
+  }
+  if (manifest) {
+    seededManifests.set(networkName, manifest);
+  } else {
+    seededManifests.delete(networkName);
+  }
+}
+
+// Reads the manifest of a network, or starts a new one if nothing was deployed there yet
+function loadManifest(networkName, chainId, dir = DEPLOYMENTS_DIR) {
+  if (!isPersisted(networkName)) {
+    return seededManifests.get(networkName) || emptyManifest(networkName, chainId);
+  }
+  const file = manifestPath(networkName, dir);
+  if (!fs.existsSync(file)) {
+    return emptyManifest(networkName, chainId);
+  }
+
+  const manifest = JSON.parse(fs.readFileSync(file, "utf8"));
+  if (manifest.version !== MANIFEST_VERSION) {
+    throw new Error(
+      `Unsupported manifest version ${manifest.version} in ${file} (expected ${MANIFEST_VERSION})`
+    );
+  }
+  // A chain id mismatch means the network was reset or renamed, the recorded addresses are useless
+  if (chainId !== undefined && manifest.chainId !== chainId) {
+    throw new Error(
+      `Manifest ${file} was written for chain ${manifest.chainId} but the network reports chain ${chainId}`
+    );
+  }
+  return manifest;
+}
+
+function saveManifest(manifest, dir = DEPLOYMENTS_DIR) {
+  if (!isPersisted(manifest.network)) {
+    return;
+  }
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(
+    manifestPath(manifest.network, dir),
+    JSON.stringify(manifest, null, 2) + "\n"
+  );
+}
+
+// Hash of the ABI as seen by ethers, used to notice when a record no longer matches the compiled contract.
+// hardhat-ethers adds a `gas` field to the functions on networks with a fixed gas, it's not part of the ABI
+function abiHash(contractInterface) {
+  const abi = JSON.parse(contractInterface.format(FormatTypes.json)).map(({ gas, ...fragment }) => fragment);
+  return keccak256(toUtf8Bytes(JSON.stringify(abi)));
+}
+
+// BigNumbers and nested arrays are stored as plain strings so the manifest stays readable JSON
+function serializeArgs(args) {
+  return args.map((arg) => {
+    if (Array.isArray(arg)) return serializeArgs(arg);
+    if (arg !== null && typeof arg === "object" && arg._isBigNumber) return arg.toString();
+    return arg;
+  });
+}
+
+// Records a freshly deployed contract. Waits for the deployment to be mined to get its block number.
+// The deployment name defaults to the contract name, pass both when deploying a contract more than once
+async function recordDeployment(manifest, name, contract, args = [], contractName = name) {
+  const tx = contract.deployTransaction;
+  const receipt = await tx.wait();
+
+  manifest.contracts[name] = {
+    contractName,
+    address: contract.address,
+    deployer: tx.from,
+    txHash: tx.hash,
+    blockNumber: receipt.blockNumber,
+    args: serializeArgs(args),
+    abiHash: abiHash(contract.interface),
+  };
+  return manifest.contracts[name];
+}
+
+function getDeployment(manifest, name) {
+  const record = manifest.contracts[name];
+  if (!record) {
+    throw new Error(`${name} is not deployed on ${manifest.network}`);
+  }
+  return record;
+}
+
+module.exports = {
+  MANIFEST_VERSION,
+  DEPLOYMENTS_DIR,
+  isPersisted,
+  manifestPath,
+  seedManifest,
+  loadManifest,
+  saveManifest,
+  abiHash,
+  serializeArgs,
+  recordDeployment,
+  getDeployment,
+};
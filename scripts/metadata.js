@@ -0,0 +1,161 @@
+const fs = require("fs");
+const path = require("path");
+
+/*
+    Token Metadata
+    - Builds OpenSea style metadata (name, description, image, external_url, attributes) for the
+      ERC1155_Token ids from a folder of images and a spec file
+    - ERC1155_Token.uri(id) requests `tokenBaseURI[id] + (id + 1) + ".json"`: the file of on-chain id 0
+      is 1.json. metadataFileName is the only place that offset lives, use it instead of redoing it
+    - checkMetadata compares what uri() returns for every minted id with a folder of generated files
+*/
+
+const IMAGE_EXTENSIONS = [".png", ".jpg", ".jpeg", ".gif", ".svg", ".webp"];
+
+// Keys of a token in the spec, anything else is most likely a typo
+const TOKEN_KEYS = ["tokenId", "image", "name", "description", "external_url", "background_color", "attributes"];
+
+// File the contract's uri() points to for `tokenId`
+function metadataFileName(tokenId) {
+  return `${tokenId + 1}.json`;
+}
+
+// What uri(tokenId) returns for a token whose base URI is `baseURI`
+function metadataURI(baseURI, tokenId) {
+  return `${baseURI}${metadataFileName(tokenId)}`;
+}
+
+// On-chain id of a generated file name, null for names uri() never requests (0.json, 01.json, ...)
+function tokenIdOfFile(fileName) {
+  const match = /^([1-9]\d*)\.json$/.exec(fileName);
+  return match ? parseInt(match[1], 10) - 1 : null;
+}
+
+function listImages(imagesDir) {
+  return fs
+    .readdirSync(imagesDir)
+    .filter((file) => IMAGE_EXTENSIONS.includes(path.extname(file).toLowerCase()))
+    .sort();
+}
+
+function assertNoProblems(problems, title) {
+  if (problems.length > 0) {
+    throw new Error(`${title}:\n` + problems.map((problem) => `  - ${problem}`).join("\n"));
+  }
+}
+
+// `spec` is the parsed spec file:
+//   imageBaseURI   where the images are hosted, the image of a token is imageBaseURI + its file (required)
+//   name, description, external_url   collection defaults, a token's own values win
+//   tokens         [{ tokenId, image, name, description, external_url, background_color, attributes }]
+// tokenId is the on-chain id (0 for the first token) and defaults to the position in the list. Without
+// `tokens` every image of the folder becomes a token, in file name order.
+// Returns one entry per token, sorted by id: { tokenId, fileName, metadata }. Every problem of the
+// spec is reported at once.
+function buildMetadata(spec, imagesDir) {
+  const problems = [];
+  const images = listImages(imagesDir);
+
+  if (typeof spec.imageBaseURI !== "string" || spec.imageBaseURI.length === 0) {
+    problems.push("imageBaseURI is required, it is where the images are uploaded");
+  }
+  const tokens = spec.tokens || images.map((image) => ({ image }));
+  if (!Array.isArray(tokens) || tokens.length === 0) {
+    problems.push(spec.tokens ? "tokens should be a non-empty list" : `No images in ${imagesDir}`);
+  }
+  assertNoProblems(problems, "Invalid metadata spec");
+
+  const seen = new Set();
+  const entries = tokens.map((token, index) => {
+    const tokenId = token.tokenId === undefined ? index : token.tokenId;
+    const label = `Token #${tokenId}`;
+
+    for (const key of Object.keys(token)) {
+      if (!TOKEN_KEYS.includes(key)) {
+        problems.push(`${label} has an unknown key "${key}"`);
+      }
+    }
+    if (!Number.isInteger(tokenId) || tokenId < 0) {
+      problems.push(`Token at position ${index} has an invalid tokenId ${token.tokenId}`);
+    } else if (seen.has(tokenId)) {
+      problems.push(`${label} is in the spec twice`);
+    }
+    seen.add(tokenId);
+
+    if (!images.includes(token.image)) {
+      problems.push(`${label} image ${token.image} is not in ${imagesDir}`);
+    }
+    const attributes = token.attributes || [];
+    if (!Array.isArray(attributes) || attributes.some((attribute) => attribute.value === undefined)) {
+      problems.push(`${label} attributes should be a list of { trait_type, value }`);
+    }
+
+    // Users see ids starting at 1, like the file names
+    const metadata = {
+      name: token.name || `${spec.name || "Token"} #${tokenId + 1}`,
+      description: token.description || spec.description || "",
+      image: `${spec.imageBaseURI}${token.image}`,
+    };
+    const externalUrl = token.external_url || spec.external_url;
+    if (externalUrl) metadata.external_url = externalUrl;
+    if (token.background_color) metadata.background_color = token.background_color;
+    metadata.attributes = attributes;
+
+    return { tokenId, fileName: metadataFileName(tokenId), metadata };
+  });
+  assertNoProblems(problems, "Invalid metadata spec");
+
+  return entries.sort((a, b) => a.tokenId - b.tokenId);
+}
+
+// Writes one file per entry of buildMetadata to `outDir`
+function writeMetadata(outDir, entries) {
+  fs.mkdirSync(outDir, { recursive: true });
+  for (const entry of entries) {
+    fs.writeFileSync(path.join(outDir, entry.fileName), JSON.stringify(entry.metadata, null, 2) + "\n");
+  }
+  return entries.map((entry) => path.join(outDir, entry.fileName));
+}
+
+// Compares the uri() of every minted id of `token` with the files in `dir`. When `baseURI` is given,
+// every uri() should also point there (the folder is uploaded to it). Returns
+//   { minted, problems, unminted }
+// problems lists the minted ids whose file is missing or whose uri() points elsewhere, and the files
+// uri() can never request. unminted are the ids with a file that aren't minted yet, which is fine.
+async function checkMetadata(token, dir, baseURI) {
+  const minted = (await token.tokenId()).toNumber();
+  const files = fs.readdirSync(dir).filter((file) => file.endsWith(".json"));
+  const problems = [];
+
+  for (let tokenId = 0; tokenId < minted; tokenId++) {
+    const uri = await token.uri(tokenId);
+    const fileName = metadataFileName(tokenId);
+    if (!files.includes(fileName)) {
+      problems.push(`#${tokenId}: uri() is ${uri}, there is no ${fileName} in ${dir}`);
+    }
+    if (baseURI !== undefined && uri !== metadataURI(baseURI, tokenId)) {
+      problems.push(`#${tokenId}: uri() is ${uri}, expected ${metadataURI(baseURI, tokenId)}`);
+    }
+  }
+
+  const unminted = [];
+  for (const file of files.sort()) {
+    const tokenId = tokenIdOfFile(file);
+    if (tokenId === null) {
+      problems.push(`${file} is never requested by uri(), the file of the first id is ${metadataFileName(0)}`);
+    } else if (tokenId >= minted) {
+      unminted.push(tokenId);
+    }
+  }
+
+  return { minted, problems, unminted: unminted.sort((a, b) => a - b) };
+}
+
+module.exports = {
+  metadataFileName,
+  metadataURI,
+  tokenIdOfFile,
+  buildMetadata,
+  writeMetadata,
+  checkMetadata,
+};
@@ -0,0 +1,201 @@
+const { AddressZero } = require("ethers").constants;
+const { formatEther } = require("ethers/lib/utils");
+
+/*
+    Multisig Helpers
+    - Reads proposals of a Multi_Sig into plain objects with decoded enums, a page at a time and
+      filtered by status, proposer or coin type
+    - Reports the quorum of each proposal as the contract counts it (votes of removed signers excluded)
+    - Formats proposals with their status (pending, approved, rejected, expired or executed)
+    - Builds CALL proposals from a contract name, function name and args with the compiled ABI
+*/
+
+// Same order as Multi_Sig.CoinType
+const COIN_TYPES = ["ETH", "E20", "CALL"];
+
+// Same order as Multi_Sig.TxStatus
+const PROPOSAL_STATUSES = ["pending", "approved", "rejected", "expired", "executed"];
+
+// Proposals per getTransactions call when the caller doesn't choose
+const PAGE_SIZE = 50;
+
+// Turns a Multi_Sig.TransactionView into a plain object
+function toProposal(view) {
+  return {
+    id: view.id.toNumber(),
+    reason: view.reason,
+    recipient: view.recepient,
+    amount: view.amount,
+    coinType: COIN_TYPES[view.coinType],
+    eth20Address: view.eth20Address,
+    proposer: view.proposer,
+    approve: view.approve.toNumber(),
+    reject: view.reject.toNumber(),
+    status: PROPOSAL_STATUSES[view.status],
+    deadline: view.deadline.toNumber(),
+  };
+}
+
+function enumIndex(values, value, label) {
+  const index = values.indexOf(value);
+  if (index === -1) {
+    throw new Error(`Unknown ${label} "${value}", expected one of ${values.join(", ")}`);
+  }
+  return index;
+}
+
+// Turns { status, proposer, coinType } (all optional, status and coinType by name) into a
+// Multi_Sig.TransactionFilter
+function toFilter({ status, proposer, coinType } = {}) {
+  return {
+    byStatus: status !== undefined,
+    status: status === undefined ? 0 : enumIndex(PROPOSAL_STATUSES, status, "status"),
+    proposer: proposer || AddressZero,
+    byCoinType: coinType !== undefined,
+    coinType: coinType === undefined ? 0 : enumIndex(COIN_TYPES, coinType, "coin type"),
+  };
+}
+
+function toTally({ votes, required }) {
+  return {
+    votes: votes.toNumber(),
+    required: required.toNumber(),
+    met: required.gt(0) && votes.gte(required),
+  };
+}
+
+// Same as Multi_Sig.requiredApprovals: strictly more than `quorumMajority` percent of the electorate
+function requiredApprovals(electorate, quorumMajority) {
+  return Math.min(Math.floor((electorate * quorumMajority) / 100) + 1, electorate);
+}
+
+// Reads a proposal together with its quorum and rejection tallies: the votes that count right now
+// and the votes each of them needs
+async function readProposal(multiSig, id) {
+  return withTallies(multiSig, toProposal(await multiSig.getTransaction(id)));
+}
+
+async function withTallies(multiSig, proposal) {
+  proposal.quorum = toTally(await multiSig.quorumStatus(proposal.id));
+  proposal.rejection = toTally(await multiSig.rejectionStatus(proposal.id));
+  return proposal;
+}
+
+function formatAmount(proposal) {
+  return proposal.coinType === "E20"
+    ? `${proposal.amount.toString()} tokens`
+    : `${formatEther(proposal.amount)} ETH`;
+}
+
+// Describes a proposal read by readProposal in a few indented lines. `call` is the description of
+// the calldata of CALL proposals, when the caller could decode it.
+function formatProposal(proposal, call) {
+  const lines = [
+    `#${proposal.id} ${proposal.reason}`,
+    `    status:    ${proposal.status}`,
+    `    recipient: ${proposal.recipient}`,
+    `    amount:    ${formatAmount(proposal)} (${proposal.coinType})`,
+  ];
+  if (proposal.coinType === "CALL") {
+    lines.push(`    call:      ${call}`);
+  }
+  lines.push(`    votes:     ${proposal.approve} approve / ${proposal.reject} reject`);
+  if (proposal.quorum) {
+    lines.push(
+      `    quorum:    ${proposal.quorum.met ? "met" : "not met"} (${proposal.quorum.votes} of ${proposal.quorum.required} votes)`
+    );
+  }
+  if (proposal.rejection) {
+    lines.push(`    rejection: ${proposal.rejection.votes} of ${proposal.rejection.required} votes`);
+  }
+  lines.push(`    deadline:  ${new Date(proposal.deadline * 1000).toISOString()}`);
+  return lines.join("\n");
+}
+
+// Current signers with the quorum expressed in absolute votes
+async function readSigners(multiSig) {
+  const signers = await multiSig.getSigners();
+  const quorumMajority = (await multiSig.quorumMajority()).toNumber();
+  return {
+    signers,
+    quorumMajority,
+    requiredApprovals: (await multiSig.requiredApprovals(signers.length)).toNumber(),
+    signerSetId: (await multiSig.signerSetId()).toNumber(),
+  };
+}
+
+async function countProposals(multiSig) {
+  return (await multiSig.getTransactionCount()).toNumber();
+}
+
+// Reads one page of the proposals matching `filter`, scanning ids from `cursor` on.
+// `done` tells there is nothing left to scan, otherwise pass `nextCursor` back for the next page.
+async function queryProposals(multiSig, filter = {}, { cursor = 0, limit = PAGE_SIZE } = {}) {
+  const [page, nextCursor] = await multiSig.getTransactions(cursor, limit, toFilter(filter));
+  return {
+    proposals: page.map(toProposal),
+    nextCursor: nextCursor.toNumber(),
+    done: nextCursor.gte(await multiSig.getTransactionCount()),
+  };
+}
+
+// Every proposal matching `filter` with its quorum and rejection tallies, see readProposal
+async function listProposals(multiSig, filter = {}, pageSize = PAGE_SIZE) {
+  const proposals = [];
+  let cursor = 0;
+  for (;;) {
+    const page = await queryProposals(multiSig, filter, { cursor, limit: pageSize });
+    for (const proposal of page.proposals) {
+      proposals.push(await withTallies(multiSig, proposal));
+    }
+    if (page.done) break;
+    cursor = page.nextCursor;
+  }
+  return proposals;
+}
+
+async function contractInterface(hre, contractName) {
+  const { abi } = await hre.artifacts.readArtifact(contractName);
+  return new hre.ethers.utils.Interface(abi);
+}
+
+// Builds the arguments of createCallTransaction for calling `functionName(...args)` on `target`,
+// a deployed `contractName`. `value` is the wei sent along with the call.
+async function buildCallProposal(hre, { contractName, target, functionName, args = [], value = 0, reason }) {
+  const data = (await contractInterface(hre, contractName)).encodeFunctionData(functionName, args);
+  return {
+    target,
+    value,
+    data,
+    reason: reason || `${contractName}.${functionName}(${args.join(", ")})`,
+  };
+}
+
+function proposeCall(multiSig, proposal) {
+  return multiSig.createCallTransaction(proposal.target, proposal.value, proposal.data, proposal.reason);
+}
+
+// Reverse of buildCallProposal, returns the function name and decoded args of some calldata
+async function decodeCall(hre, contractName, data) {
+  const parsed = (await contractInterface(hre, contractName)).parseTransaction({ data });
+  return { functionName: parsed.name, signature: parsed.signature, args: parsed.args };
+}
+
+module.exports = {
+  COIN_TYPES,
+  PROPOSAL_STATUSES,
+  PAGE_SIZE,
+  toProposal,
+  toFilter,
+  requiredApprovals,
+  readProposal,
+  formatAmount,
+  formatProposal,
+  readSigners,
+  countProposals,
+  queryProposals,
+  listProposals,
+  buildCallProposal,
+  proposeCall,
+  decodeCall,
+};
@@ -0,0 +1,151 @@
+/*
+    Property Testing
+    - checkProperty runs random sequences of actions against a model and checks the model's
+      invariants after every step
+    - Actions are plain data drawn from a seeded random source, so the same seed replays the same
+      sequences. The model interprets them against its state when they run (e.g. "the 2nd token
+      acct1 has staked"), which keeps any subsequence of a sequence meaningful
+    - A failing sequence is shrunk before it is reported: the steps after the failure are cut, then
+      chunks of steps and single steps are dropped, then the model simplifies single actions, for
+      as long as the sequence still fails
+    - Runs use a fixed seed by default, so `npx hardhat test` sends the same transactions every time
+      (the gas budgets of tasks/gas.js depend on it). PROPERTY_SEED explores other sequences or replays
+      a reported failure, PROPERTY_RUNS and PROPERTY_LENGTH search harder
+
+    A model is an object with:
+      setup()                 fresh state for a sequence (e.g. contracts from loadFixture and a ghost copy)
+      generate(random)        one random action
+      apply(state, action)    runs the action, throws when the contracts don't behave like the ghost
+      check(state)            throws when an invariant doesn't hold
+      describe(action)        one line for the report
+      simplify(action)        optional, simpler versions of an action to try while shrinking
+*/
+
+const DEFAULTS = {
+  seed: 1,
+  runs: 10,
+  length: 25,
+  shrinkBudget: 200, // sequences replayed at most while shrinking
+};
+
+// mulberry32, small and good enough to draw actions
+function createRandom(seed) {
+  let state = seed >>> 0;
+  function next() {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  return {
+    // In [0, max)
+    int(max) {
+      return Math.floor(next() * max);
+    },
+    pick(list) {
+      return list[Math.floor(next() * list.length)];
+    },
+    // `choices` are [weight, value] pairs
+    weighted(choices) {
+      const total = choices.reduce((sum, [weight]) => sum + weight, 0);
+      let roll = next() * total;
+      for (const [weight, value] of choices) {
+        roll -= weight;
+        if (roll < 0) return value;
+      }
+      return choices[choices.length - 1][1];
+    },
+  };
+}
+
+// Runs `actions` from a fresh state. Returns null when every step passed, otherwise the failing step
+// and its error.
+async function runSequence(model, actions) {
+  const state = await model.setup();
+  for (let step = 0; step < actions.length; step++) {
+    try {
+      await model.apply(state, actions[step]);
+      await model.check(state);
+    } catch (error) {
+      return { step, error };
+    }
+  }
+  return null;
+}
+
+async function shrink(model, actions, failure, budget) {
+  let current = actions.slice(0, failure.step + 1);
+  let currentFailure = failure;
+  let attempts = 0;
+
+  // Keeps `candidate` if it still fails, cut right after its new failing step
+  async function attempt(candidate) {
+    if (attempts >= budget) return false;
+    attempts += 1;
+    const result = await runSequence(model, candidate);
+    if (!result) return false;
+    current = candidate.slice(0, result.step + 1);
+    currentFailure = result;
+    return true;
+  }
+
+  for (let size = Math.floor(current.length / 2); size >= 1; size = Math.floor(size / 2)) {
+    let start = 0;
+    while (start + size <= current.length) {
+      const dropped = [...current.slice(0, start), ...current.slice(start + size)];
+      if (!(await attempt(dropped))) {
+        start += size;
+      }
+    }
+  }
+
+  if (model.simplify) {
+    for (let index = 0; index < current.length; index++) {
+      for (const simpler of model.simplify(current[index])) {
+        if (await attempt([...current.slice(0, index), simpler, ...current.slice(index + 1)])) break;
+      }
+    }
+  }
+
+  return { actions: current, failure: currentFailure, attempts };
+}
+
+function formatFailure(name, model, seed, run, original, shrunk) {
+  const steps = shrunk.actions.map((action, index) => `  ${index + 1}. ${model.describe(action)}`);
+  return (
+    `Property "${name}" failed on run ${run + 1} (seed ${seed}, replay with PROPERTY_SEED=${seed})\n` +
+    `Shrunk from ${original.length} to ${shrunk.actions.length} steps in ${shrunk.attempts} replays:\n` +
+    steps.join("\n") +
+    `\nStep ${shrunk.failure.step + 1} failed: ${shrunk.failure.error.message}`
+  );
+}
+
+// Throws the shrunk failing sequence of the first failing run. Returns what was run otherwise.
+async function checkProperty(name, model, options = {}) {
+  const env = process.env;
+  const seed = Number(env.PROPERTY_SEED || options.seed || DEFAULTS.seed);
+  const runs = Number(env.PROPERTY_RUNS || options.runs || DEFAULTS.runs);
+  const length = Number(env.PROPERTY_LENGTH || options.length || DEFAULTS.length);
+  const random = createRandom(seed);
+
+  for (let run = 0; run < runs; run++) {
+    const actions = Array.from({ length }, () => model.generate(random));
+    const failure = await runSequence(model, actions);
+    if (failure) {
+      const shrunk = await shrink(model, actions, failure, options.shrinkBudget || DEFAULTS.shrinkBudget);
+      const error = new Error(formatFailure(name, model, seed, run, actions, shrunk));
+      error.shrunk = shrunk;
+      throw error;
+    }
+  }
+  return { seed, runs, length };
+}
+
+module.exports = {
+  createRandom,
+  runSequence,
+  shrink,
+  checkProperty,
+};
@@ -0,0 +1,325 @@
+const fs = require("fs");
+const path = require("path");
+const { BigNumber } = require("ethers");
+const { getAddress, hexValue, formatEther } = require("ethers/lib/utils");
+const { seedManifest } = require("./manifest");
+
+/*
+    Simulation
+    - captureState saves what a network holds for a deployment: its manifest, then the code, balance,
+      nonce and storage of every recorded contract, of their deployers and of any other account asked for
+    - Storage can't be listed over RPC. Its slots come from tracing (debug_traceTransaction) the
+      transactions that touched the contracts: their deployments, the manifest steps and every
+      transaction they logged an event in. The node has to support debug_traceTransaction
+    - loadState writes a snapshot into the in-process hardhat network, no RPC involved. simulate runs a
+      script or task on top of it with the manifest of the snapshot, then lists what changed: balances,
+      contract owners, deployments and the values of the argument-less view functions of every contract
+    - The manifest of a simulation only lives in memory, the one of the captured network is never written
+*/
+
+const SNAPSHOT_VERSION = 1;
+
+const SNAPSHOTS_DIR = path.join(__dirname, "..", "snapshots");
+
+// Opcodes reading or writing the storage of the running context, and the ones switching it
+const STORAGE_OPS = ["SLOAD", "SSTORE"];
+const CALL_OPS = ["CALL", "STATICCALL"];
+const SAME_STORAGE_CALL_OPS = ["DELEGATECALL", "CALLCODE"];
+const CREATE_OPS = ["CREATE", "CREATE2"];
+
+// Storage of a context we couldn't place, read for every contract of the snapshot
+const UNKNOWN_CONTEXT = "unknown";
+
+function snapshotPath(networkName, dir = SNAPSHOTS_DIR) {
+  return path.join(dir, `${networkName}.json`);
+}
+
+function readSnapshot(file) {
+  const snapshot = JSON.parse(fs.readFileSync(file, "utf8"));
+  if (snapshot.version !== SNAPSHOT_VERSION) {
+    throw new Error(`Unsupported snapshot version ${snapshot.version} in ${file} (expected ${SNAPSHOT_VERSION})`);
+  }
+  return snapshot;
+}
+
+function writeSnapshot(file, snapshot) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(snapshot, null, 2) + "\n");
+}
+
+// Hashes of the transactions up to `toBlock` that may have written the storage of the manifest contracts
+async function touchingTransactions(provider, manifest, toBlock, blockStep) {
+  const hashes = new Set();
+  for (const entry of [...Object.values(manifest.contracts), ...Object.values(manifest.steps)]) {
+    if (entry.txHash && entry.blockNumber !== null && entry.blockNumber <= toBlock) hashes.add(entry.txHash);
+  }
+
+  // Every state change we care about logs an event, a few blocks at a time so public RPCs don't refuse the range
+  for (const record of Object.values(manifest.contracts)) {
+    const fromBlock = record.blockNumber === null ? 0 : record.blockNumber;
+    for (let start = fromBlock; start <= toBlock; start += blockStep) {
+      const end = Math.min(start + blockStep - 1, toBlock);
+      for (const log of await provider.getLogs({ address: record.address, fromBlock: start, toBlock: end })) {
+        hashes.add(log.transactionHash);
+      }
+    }
+  }
+  return [...hashes];
+}
+
+// Storage slots the transactions read or wrote, per lowercase address of the storage they belong to
+async function touchedSlots(hre, txHashes) {
+  const slots = new Map();
+  function add(context, slot) {
+    const key = context || UNKNOWN_CONTEXT;
+    if (!slots.has(key)) slots.set(key, new Set());
+    slots.get(key).add(slot);
+  }
+
+  for (const hash of txHashes) {
+    const receipt = await hre.ethers.provider.getTransactionReceipt(hash);
+    const trace = await hre.network.provider.send("debug_traceTransaction", [
+      hash,
+      { disableMemory: true, disableStorage: true },
+    ]);
+    // The context of each call depth, the top of the stack is its last element
+    const contexts = [null, (receipt.to || receipt.contractAddress).toLowerCase()];
+    for (const log of trace.structLogs) {
+      const stack = log.stack;
+      if (STORAGE_OPS.includes(log.op)) {
+        add(contexts[log.depth], hexValue("0x" + stack[stack.length - 1]));
+      } else if (CALL_OPS.includes(log.op)) {
+        contexts[log.depth + 1] = "0x" + stack[stack.length - 2].slice(-40);
+      } else if (SAME_STORAGE_CALL_OPS.includes(log.op)) {
+        contexts[log.depth + 1] = contexts[log.depth];
+      } else if (CREATE_OPS.includes(log.op)) {
+        // Its address is only known once it returns
+        contexts[log.depth + 1] = null;
+      }
+    }
+  }
+  return slots;
+}
+
+// Saves the state of the contracts recorded in `manifest` and of their deployers at `blockNumber`
+// (the latest block by default). `accounts` are saved too, e.g. signers or an ERC20 paying rewards.
+async function captureState(hre, manifest, { accounts = [], blockNumber, blockStep = 2000 } = {}) {
+  const provider = hre.ethers.provider;
+  const block = await provider.getBlock(blockNumber === undefined ? "latest" : blockNumber);
+
+  const addresses = new Set(accounts.map((account) => getAddress(account)));
+  for (const record of Object.values(manifest.contracts)) {
+    addresses.add(getAddress(record.address));
+    if (record.deployer) addresses.add(getAddress(record.deployer));
+  }
+
+  const txHashes = await touchingTransactions(provider, manifest, block.number, blockStep);
+  const slots = await touchedSlots(hre, txHashes);
+
+  const state = {};
+  for (const address of [...addresses].sort()) {
+    const code = await provider.getCode(address, block.number);
+    const storage = {};
+    if (code !== "0x") {
+      const candidates = new Set([...(slots.get(address.toLowerCase()) || []), ...(slots.get(UNKNOWN_CONTEXT) || [])]);
+      for (const slot of [...candidates].sort()) {
+        const value = await provider.getStorageAt(address, slot, block.number);
+        if (!BigNumber.from(value).isZero()) storage[slot] = value;
+      }
+    }
+    state[address] = {
+      balance: (await provider.getBalance(address, block.number)).toString(),
+      nonce: await provider.getTransactionCount(address, block.number),
+      code,
+      storage,
+    };
+  }
+
+  return {
+    version: SNAPSHOT_VERSION,
+    network: manifest.network,
+    chainId: manifest.chainId,
+    blockNumber: block.number,
+    timestamp: block.timestamp,
+    manifest,
+    accounts: state,
+  };
+}
+
+// Writes the accounts of `snapshot` into the in-process hardhat network
+async function loadState(hre, snapshot) {
+  if (hre.network.name !== "hardhat") {
+    throw new Error(`Snapshots load into the in-process hardhat network, not ${hre.network.name}`);
+  }
+  const send = (method, params) => hre.network.provider.send(method, params);
+
+  for (const [address, account] of Object.entries(snapshot.accounts)) {
+    await send("hardhat_setBalance", [address, hexValue(BigNumber.from(account.balance))]);
+    await send("hardhat_setCode", [address, account.code]);
+    // Nonces can't go down, the accounts of the local network may have sent transactions already
+    if (account.nonce > (await hre.ethers.provider.getTransactionCount(address))) {
+      await send("hardhat_setNonce", [address, hexValue(account.nonce)]);
+    }
+    for (const [slot, value] of Object.entries(account.storage)) {
+      await send("hardhat_setStorageAt", [address, slot, value]);
+    }
+  }
+
+  // Time only moves forward: the simulation runs at the time of the snapshot, or later
+  const latest = await hre.ethers.provider.getBlock("latest");
+  if (snapshot.timestamp > latest.timestamp) {
+    await send("evm_setNextBlockTimestamp", [snapshot.timestamp]);
+    await send("evm_mine", []);
+  }
+}
+
+// BigNumbers as strings and results as arrays, so states compare as JSON
+function plainValue(value) {
+  if (BigNumber.isBigNumber(value)) return value.toString();
+  if (Array.isArray(value)) return value.map(plainValue);
+  return value;
+}
+
+// Balances of `addresses`, then per contract of the manifest its address, owner and view function values
+async function readState(hre, manifest, addresses) {
+  const state = { balances: {}, owners: {}, contracts: {}, values: {} };
+  for (const address of addresses) {
+    state.balances[address] = (await hre.ethers.provider.getBalance(address)).toString();
+  }
+
+  // Implementations hold no state, their proxy does
+  const records = Object.entries(manifest.contracts);
+  const implementations = new Set(records.filter(([, record]) => record.proxy).map(([, record]) => record.proxy.implementation.address));
+  for (const [name, record] of records) {
+    state.contracts[name] = record.address;
+    if (implementations.has(record.address)) continue;
+
+    const contract = await hre.ethers.getContractAt(record.contractName, record.address);
+    for (const fragment of Object.values(contract.interface.functions)) {
+      if (fragment.inputs.length > 0 || !["view", "pure"].includes(fragment.stateMutability)) continue;
+      let value;
+      try {
+        value = plainValue(await contract[fragment.format()]());
+      } catch (error) {
+        // Restricted to some accounts, e.g. the multisig agents
+        continue;
+      }
+      if (fragment.name === "owner") {
+        state.owners[name] = value;
+      } else {
+        state.values[`${name}.${fragment.name}`] = value;
+      }
+    }
+  }
+  return state;
+}
+
+// Everything that differs between two readState results: { section, key, before, after }, null when
+// missing on one side
+function diffStates(before, after) {
+  const changes = [];
+  for (const section of ["balances", "owners", "contracts", "values"]) {
+    const keys = new Set([...Object.keys(before[section]), ...Object.keys(after[section])]);
+    for (const key of keys) {
+      const previous = key in before[section] ? before[section][key] : null;
+      const next = key in after[section] ? after[section][key] : null;
+      if (JSON.stringify(previous) !== JSON.stringify(next)) {
+        changes.push({ section, key, before: previous, after: next });
+      }
+    }
+  }
+  return changes;
+}
+
+const SECTION_TITLES = {
+  balances: "Balances (ETH)",
+  owners: "Owners",
+  contracts: "Deployments",
+  values: "Contract state",
+};
+
+// `manifest` names the addresses it knows
+function formatDiff(changes, manifest) {
+  if (changes.length === 0) {
+    return "No changes";
+  }
+  const names = {};
+  for (const [name, record] of Object.entries(manifest.contracts)) {
+    names[record.address] = name;
+  }
+  const show = (value) => (value === null ? "-" : typeof value === "string" ? value : JSON.stringify(value));
+
+  const lines = [];
+  for (const section of Object.keys(SECTION_TITLES)) {
+    const inSection = changes.filter((change) => change.section === section);
+    if (inSection.length === 0) continue;
+    lines.push(SECTION_TITLES[section]);
+    for (const { key, before, after } of inSection) {
+      if (section === "balances") {
+        const label = names[key] ? `${names[key]} ${key}` : key;
+        const ether = (wei) => (wei === null ? "-" : formatEther(wei));
+        lines.push(`  ${label}: ${ether(before)} -> ${ether(after)}`);
+      } else {
+        lines.push(`  ${key}: ${show(before)} -> ${show(after)}`);
+      }
+    }
+  }
+  return lines.join("\n");
+}
+
+// Scripts and tasks send from the first signer by default, during a simulation that is `address`.
+// Returns the function putting the signers back.
+async function impersonateFirstSigner(hre, address) {
+  await hre.network.provider.send("hardhat_impersonateAccount", [address]);
+  const impersonated = await hre.ethers.getSigner(address);
+  const getSigners = hre.ethers.getSigners;
+  hre.ethers.getSigners = async () => {
+    const [, ...others] = await getSigners();
+    return [impersonated, ...others];
+  };
+  return () => {
+    hre.ethers.getSigners = getSigners;
+  };
+}
+
+// Loads `snapshot`, runs `run()` on it and returns what changed: { changes, manifest, result }. `as`
+// is the default sender of the run, `watch` more accounts to compare the balance of.
+async function simulate(hre, snapshot, run, { as, watch = [] } = {}) {
+  await loadState(hre, snapshot);
+  const { chainId } = await hre.ethers.provider.getNetwork();
+  const manifest = { ...JSON.parse(JSON.stringify(snapshot.manifest)), network: hre.network.name, chainId };
+
+  seedManifest(hre.network.name, manifest);
+  const restoreSigners = as ? await impersonateFirstSigner(hre, getAddress(as)) : () => {};
+  try {
+    const accounts = [...Object.keys(snapshot.accounts), ...watch, ...(as ? [as] : [])];
+    const addresses = [...new Set(accounts.map((account) => getAddress(account)))];
+    const before = await readState(hre, manifest, addresses);
+
+    const result = await run();
+
+    // The contracts the run deployed have a balance too
+    for (const record of Object.values(manifest.contracts)) {
+      if (!addresses.includes(record.address)) addresses.push(record.address);
+    }
+    const after = await readState(hre, manifest, addresses);
+    return { changes: diffStates(before, after), manifest, result };
+  } finally {
+    restoreSigners();
+    seedManifest(hre.network.name, null);
+  }
+}
+
+module.exports = {
+  SNAPSHOT_VERSION,
+  SNAPSHOTS_DIR,
+  snapshotPath,
+  readSnapshot,
+  writeSnapshot,
+  captureState,
+  loadState,
+  readState,
+  diffStates,
+  formatDiff,
+  simulate,
+};
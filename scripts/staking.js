@@ -0,0 +1,127 @@
+const { BigNumber } = require("ethers");
+const { AddressZero } = require("ethers").constants;
+
+/*
+    Staking Helpers
+    - Reads the reward state of an NFT_Staker, its collections and its stakers into plain objects
+    - Amounts stay BigNumbers (wei or token base units), durations and timestamps are seconds
+    - Token ids of positions stay BigNumbers too, a listed collection can use any uint256 id
+    - The runway tells how long the reward funds last at the current reward rates
+*/
+
+async function readCollection(staker, address) {
+  const collection = await staker.collections(address);
+  return {
+    address,
+    listed: collection.listed,
+    lockInPeriod: collection.lockInPeriod.toNumber(),
+    rewardPerSecond: collection.rewardPerSecond,
+    rewardPerToken: await staker.rewardPerToken(address),
+  };
+}
+
+async function readStaker(staker) {
+  const collections = [];
+  for (const address of await staker.getCollections()) {
+    collections.push(await readCollection(staker, address));
+  }
+  return {
+    address: staker.address,
+    isStaking: await staker.isStaking(),
+    targetNFT: await staker.targetNFT(),
+    collections,
+    rewardToken: await staker.rewardToken(),
+    balance: await staker.provider.getBalance(staker.address),
+  };
+}
+
+// 2^53, where js numbers stop being exact
+const UNSAFE_SECONDS = BigNumber.from(2).pow(53);
+
+// `secondsLeft` is null when the funds outlast anything a js number holds, e.g. while nothing is staked
+async function readRunway(staker) {
+  const { funds, owed, rate, secondsLeft } = await staker.rewardRunway();
+  return {
+    rewardToken: await staker.rewardToken(),
+    funds,
+    owed,
+    available: funds.gt(owed) ? funds.sub(owed) : BigNumber.from(0),
+    rate,
+    secondsLeft: secondsLeft.gte(UNSAFE_SECONDS) ? null : secondsLeft.toNumber(),
+  };
+}
+
+// 93784 -> "1d 2h 3m 4s"
+function formatDuration(seconds) {
+  const units = [["d", 86400], ["h", 3600], ["m", 60], ["s", 1]];
+  const parts = [];
+  let left = seconds;
+  for (const [unit, size] of units) {
+    if (left >= size || (unit === "s" && parts.length === 0)) {
+      parts.push(`${Math.floor(left / size)}${unit}`);
+      left %= size;
+    }
+  }
+  return parts.join(" ");
+}
+
+// What `owner` has staked and can claim right now. `settled` is the part already moved to
+// accruedRewards by their last stake, unstake or claim, `pending` includes it.
+async function readRewards(staker, owner) {
+  return {
+    owner,
+    stakes: (await staker.hasStake(owner)).toNumber(),
+    settled: await staker.accruedRewards(owner),
+    pending: await staker.pendingReward(owner),
+  };
+}
+
+// A staked token with its owner, how long it has been staked, whether the lock-in period of its
+// collection is over and the reward it earned so far. Returns null when the token isn't staked.
+async function readStake(staker, collection, tokenId) {
+  const stake = await staker.stakes(collection, tokenId);
+  if (stake.owner === AddressZero) {
+    return null;
+  }
+  const duration = (await staker.durationOfStake(collection, tokenId)).toNumber();
+  const { lockInPeriod } = await staker.collections(collection);
+  return {
+    collection,
+    tokenId,
+    owner: stake.owner,
+    stakedAt: stake.timestamp.toNumber(),
+    duration,
+    unlocked: duration > lockInPeriod.toNumber(),
+    reward: await staker.stakeReward(collection, tokenId),
+  };
+}
+
+// Every token `owner` has staked, ordered by collection and token id
+async function readPositions(staker, owner) {
+  const now = (await staker.provider.getBlock("latest")).timestamp;
+  const positions = (await staker.getPositions(owner)).map((position) => ({
+    collection: position.collection,
+    tokenId: position.tokenId,
+    stakedAt: position.stakedAt.toNumber(),
+    duration: now - position.stakedAt.toNumber(),
+    unlocked: position.unlocked,
+    reward: position.reward,
+  }));
+  return positions.sort((a, b) => {
+    if (a.collection !== b.collection) {
+      return a.collection.toLowerCase() < b.collection.toLowerCase() ? -1 : 1;
+    }
+    if (a.tokenId.eq(b.tokenId)) return 0;
+    return a.tokenId.lt(b.tokenId) ? -1 : 1;
+  });
+}
+
+module.exports = {
+  readCollection,
+  readStaker,
+  readRunway,
+  formatDuration,
+  readRewards,
+  readStake,
+  readPositions,
+};
@@ -0,0 +1,110 @@
+const { saveManifest, recordDeployment, serializeArgs } = require("./manifest");
+
+/*
+    Deploy Steps
+    - Every contract deployment and every post-deploy setup call is a named step
+    - Finished steps are stored in the network manifest and skipped on the next run
+    - A failing step is stored as failed together with its error, re-running the script resumes from it
+    - Deploy steps also store their constructor arguments: resuming with other arguments (e.g. another
+      --lockin) is refused instead of attaching to a contract deployed with the old ones
+    - The manifest is saved after every step so a crash never loses what already went through
+*/
+
+function deployStepId(name) {
+  return `${name}.deploy`;
+}
+
+function isStepDone(manifest, id) {
+  const step = manifest.steps[id];
+  return step !== undefined && step.status === "done";
+}
+
+// Runs `action` unless the step already completed. `action` should send a single transaction
+// and return it, the step is only marked done once that transaction is mined.
+async function runStep(manifest, id, action) {
+  if (isStepDone(manifest, id)) {
+    console.log(`[step] ${id}: already done, skipping`);
+    return false;
+  }
+
+  try {
+    const tx = await action();
+    const receipt = await tx.wait();
+    manifest.steps[id] = {
+      status: "done",
+      txHash: receipt.transactionHash,
+      blockNumber: receipt.blockNumber,
+    };
+    console.log(`[step] ${id}: done`);
+  } catch (error) {
+    manifest.steps[id] = { status: "failed", error: error.message };
+    console.log(`[step] ${id}: failed`);
+    throw error;
+  } finally {
+    saveManifest(manifest);
+  }
+  return true;
+}
+
+// Arguments as the manifest stores them, case and number types aside (addresses, "30" and 30)
+function normalizeArgs(args) {
+  return JSON.stringify(serializeArgs(args), (key, value) =>
+    Array.isArray(value) ? value : String(value).toLowerCase()
+  );
+}
+
+// Constructor arguments a finished deploy step went through with. Steps recorded before they were
+// stored fall back to the contract record (the proxy's own arguments for a proxy)
+function recordedArgs(manifest, name) {
+  const { args } = manifest.steps[deployStepId(name)];
+  if (args) return args;
+  const record = manifest.contracts[name];
+  return record.proxy ? record.proxy.args : record.args;
+}
+
+// Deploys `name` through `factory` unless the manifest already has it, in which case the recorded
+// address is attached to instead. A recorded address without code (e.g. a restarted local node)
+// is a stale manifest, and a recorded deployment with other arguments is not the one asked for:
+// we refuse to guess in both cases.
+async function deployStep(manifest, name, factory, args = [], overrides = {}) {
+  const id = deployStepId(name);
+
+  if (isStepDone(manifest, id)) {
+    const recorded = recordedArgs(manifest, name);
+    if (recorded && normalizeArgs(recorded) !== normalizeArgs(args)) {
+      throw new Error(
+        `${name} is already deployed on ${manifest.network} with the arguments ${JSON.stringify(recorded)}, ` +
+          `not ${JSON.stringify(serializeArgs(args))}. Remove its record and its ${id} step from ` +
+          `deployments/${manifest.network}.json to deploy it again`
+      );
+    }
+    const { address } = manifest.contracts[name];
+    const code = await factory.signer.provider.getCode(address);
+    if (code === "0x") {
+      throw new Error(
+        `${name} is recorded at ${address} on ${manifest.network} but there is no contract there. ` +
+          `Remove the stale deployments/${manifest.network}.json to deploy from scratch`
+      );
+    }
+    console.log(`[step] ${id}: already done, skipping`);
+    return factory.attach(address);
+  }
+
+  let contract;
+  await runStep(manifest, id, async () => {
+    contract = await factory.deploy(...args, overrides);
+    await contract.deployed();
+    await recordDeployment(manifest, name, contract, args);
+    return contract.deployTransaction;
+  });
+  manifest.steps[id].args = serializeArgs(args);
+  saveManifest(manifest);
+  return contract;
+}
+
+module.exports = {
+  deployStepId,
+  isStepDone,
+  runStep,
+  deployStep,
+};
@@ -0,0 +1,192 @@
+const { parseEther } = require("ethers/lib/utils");
+const { deployStep, runStep } = require("./steps");
+const { deployProxy } = require("./upgrades");
+
+/*
+    Contract Systems
+    - The three systems this project deploys: ERC1155 token, NFT staking pair and ERC20 + multisig
+    - Each deploy function takes the Hardhat runtime, the network manifest and its parameters,
+      so scripts/deploy.js and the deploy:* tasks share the exact same steps
+    - Parameters left out fall back to the defaults below
+    - With `proxy` the contracts holding state are deployed behind ERC1967 proxies, upgradeable with the
+      upgrade task (see scripts/upgrades.js)
+*/
+
+const STAKING_DEFAULTS = {
+  lockin: 30, // in seconds
+  funding: "0.00005", // in ether, initial balance used to pay ETH rewards
+  reward: undefined, // in wei per second, undefined keeps the contract default (0.001 ether)
+  rewardToken: undefined, // ERC20 paying the rewards instead of ETH, funded afterwards with staking:top-up
+  collections: [], // more collections to list: { address, lockin, reward } with reward in wei per second
+  proxy: false, // deploy NFT_Staker_Upgradeable behind a proxy
+};
+
+const MULTISIG_DEFAULTS = {
+  quorum: 50, // 50% of the total number of owners
+  signers: [],
+  tokenSupply: 100,
+  funding: "0.00005", // in ether
+  proxy: false, // deploy Multi_Sig_Upgradeable behind a proxy
+};
+
+async function logDeployer(hre) {
+  const [deployer] = await hre.ethers.getSigners();
+
+  console.log("Deploying contracts with the account:", deployer.address);
+
+  console.log("Account balance:", (await deployer.getBalance()).toString());
+
+  return deployer;
+}
+
+async function deploy_ERC1155_Token(hre, manifest, params = {}) {
+
+  console.log("Deploying ERC1155 Token");
+  console.log("------------------------------------------------------");
+  const deployer = await logDeployer(hre);
+
+  // The deployer receives the minted tokens unless another treasury is given
+  const treasury = params.treasury || deployer.address;
+
+  let contract;
+  if (params.proxy) {
+    contract = await deployProxy(hre, manifest, "ERC1155_Token", "ERC1155_Token_Upgradeable", [treasury]);
+  } else {
+    const ERC1155_Token = await hre.ethers.getContractFactory("ERC1155_Token");
+    contract = await deployStep(manifest, "ERC1155_Token", ERC1155_Token, [treasury]);
+  }
+
+  console.log("[ERC1155_Token] address:", contract.address);
+
+  return { contract };
+}
+
+async function deploy_NFT_Staker(hre, manifest, params = {}) {
+
+  console.log("Deploying NFT Staking and Token");
+  console.log("------------------------------------------------------");
+
+  const { lockin, funding, reward, rewardToken, collections, proxy } = { ...STAKING_DEFAULTS, ...params };
+
+  await logDeployer(hre);
+
+  const Token = await hre.ethers.getContractFactory("NFT_Token");
+
+  // FIRST: Deploy the NFT Token
+  const token = await deployStep(manifest, "NFT_Token", Token);
+
+  // THEN: Deploy the staker by passing the token address, the lockin period and an initial ether balance
+  // The ether balance pays the rewards, unless they are paid in a token
+  const value = rewardToken ? 0 : parseEther(`${funding}`);
+  let staker;
+  if (proxy) {
+    staker = await deployProxy(hre, manifest, "NFT_Staker", "NFT_Staker_Upgradeable", [token.address, lockin], { value });
+  } else {
+    const Staker = await hre.ethers.getContractFactory("NFT_Staker");
+    staker = await deployStep(manifest, "NFT_Staker", Staker, [token.address, lockin], { value });
+  }
+
+  // Only possible before anything is staked, hence before activateStake
+  if (rewardToken) {
+    await runStep(manifest, `NFT_Staker.setRewardToken(${rewardToken})`, () => staker.setRewardToken(rewardToken));
+  }
+
+  // The reward is part of the step id so asking for a different reward later sets it again
+  if (reward !== undefined) {
+    await runStep(manifest, `NFT_Staker.setReward(${reward})`, () => staker.setReward(reward));
+  }
+
+  for (const collection of collections) {
+    await list_Collection(manifest, staker, collection);
+  }
+
+  // IMPORTANT: You have to activate the Staker to accept tokens
+  await runStep(manifest, "NFT_Staker.activateStake", () => staker.activateStake());
+
+  console.log("[NFT_Token] address:", token.address);
+  console.log("[NFT_Staker] address:", staker.address);
+
+  return { token, staker };
+}
+
+// Lists another collection on a deployed staker, or updates its settings. The settings are part of the
+// step id so listing the same collection with other values sends them again.
+async function list_Collection(manifest, staker, { address, lockin, reward }) {
+  await runStep(manifest, `NFT_Staker.setCollection(${address},${lockin},${reward})`, () =>
+    staker.setCollection(address, lockin, reward)
+  );
+}
+
+async function deploy_MultiSig(hre, manifest, params = {}) {
+
+  console.log("Deploying MultiSig Wallet");
+  console.log("------------------------------------------------------");
+
+  const { quorum, signers, tokenSupply, funding, proxy } = { ...MULTISIG_DEFAULTS, ...params };
+
+  await logDeployer(hre);
+
+  const SimpleToken = await hre.ethers.getContractFactory("Simple_Token");
+
+  // We create a simple ERC20 Token for testing
+  const simpleToken = await deployStep(manifest, "Simple_Token", SimpleToken);
+
+  // We create a Multi Signature Wallet
+  // Important: The MultiSig Wallet should contain ether for transactions purposes
+  const value = parseEther(`${funding}`);
+  let multiSigWallet;
+  if (proxy) {
+    multiSigWallet = await deployProxy(hre, manifest, "Multi_Sig", "Multi_Sig_Upgradeable", [quorum], { value });
+  } else {
+    const MultiSigWallet = await hre.ethers.getContractFactory("Multi_Sig");
+    multiSigWallet = await deployStep(manifest, "Multi_Sig", MultiSigWallet, [quorum], { value });
+  }
+
+  for (const signer of signers) {
+    await runStep(manifest, `Multi_Sig.addSigner(${signer})`, () => multiSigWallet.addSigner(signer));
+  }
+
+  // Important: Multisig wallet should also contain tokens
+  await runStep(manifest, "Simple_Token.mint(Multi_Sig)", () =>
+    simpleToken.mint(multiSigWallet.address, tokenSupply)
+  );
+
+  console.log("[ERC20 Token] address:", simpleToken.address);
+  console.log("[MultiSig Wallet] address:", multiSigWallet.address);
+
+  return { simpleToken, multiSigWallet };
+}
+
+// All three systems, in the order scripts/deploy.js deploys them. `params` holds the parameters of each:
+// { erc1155, staking, multiSig }
+async function deploy_Systems(hre, manifest, params = {}) {
+  const { contract: erc1155 } = await deploy_ERC1155_Token(hre, manifest, params.erc1155);
+  console.log();
+  const { token, staker } = await deploy_NFT_Staker(hre, manifest, params.staking);
+  console.log();
+  const { simpleToken, multiSigWallet } = await deploy_MultiSig(hre, manifest, params.multiSig);
+  return { erc1155, token, staker, simpleToken, multiSigWallet };
+}
+
+function printManifest(manifest, title) {
+  const names = Object.keys(manifest.contracts);
+  if (names.length === 0) {
+    console.log(`${title}: nothing on ${manifest.network}`);
+    return;
+  }
+  console.log(`${title}:`);
+  for (const name of names) {
+    console.log(`  [${name}] address:`, manifest.contracts[name].address);
+  }
+}
+
+module.exports = {
+  STAKING_DEFAULTS,
+  MULTISIG_DEFAULTS,
+  deploy_ERC1155_Token,
+  deploy_NFT_Staker,
+  list_Collection,
+  deploy_MultiSig,
+  deploy_Systems,
+  printManifest,
+};
@@ -0,0 +1,240 @@
+const { Interface } = require("ethers/lib/utils");
+const { saveManifest, serializeArgs, abiHash, getDeployment } = require("./manifest");
+const { deployStep, runStep } = require("./steps");
+
+/*
+    Upgradeable Deployments
+    - deployProxy deploys the implementation of a contract (e.g. NFT_Staker_Upgradeable) and an ERC1967
+      proxy running it, initialized with initialize(...args) instead of a constructor
+    - The manifest record of the proxy describes the contract behind it (contractName, initializer args,
+      ABI hash), so the tasks reading the manifest use it like any other. The proxy itself, the current
+      implementation and its storage layout are kept under `proxy`
+    - upgradeProxy checks a new implementation against the recorded layout before deploying it and
+      pointing the proxy at it (upgradeTo, UUPS: the implementation decides who can upgrade). Both are
+      steps (see scripts/steps.js), an interrupted upgrade resumes with the implementation it deployed
+    - A name already recorded as a plain contract is never turned into a proxy
+    - Layouts come from the solc storageLayout output (see hardhat.config.js). Every variable of the
+      previous version has to keep its slot, offset and type, new ones can only take free slots: after
+      the previous variables or in a `__gap`
+*/
+
+const PROXY_CONTRACT = "ERC1967Proxy";
+
+// ERC-1967: bytes32(uint256(keccak256("eip1967.proxy.implementation")) - 1)
+const IMPLEMENTATION_SLOT = "0x360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc";
+
+// Implementation an ERC1967 proxy runs, null for any other contract
+async function implementationAddress(provider, address) {
+  const slot = await provider.getStorageAt(address, IMPLEMENTATION_SLOT);
+  const implementation = "0x" + slot.slice(-40);
+  return /^0x0{40}$/.test(implementation) ? null : implementation;
+}
+
+// Types without the AST ids solc puts in their names, those change with every compilation
+function describeType(types, id) {
+  const type = types[id];
+  const described = { label: type.label, bytes: Number(type.numberOfBytes) };
+  if (type.members) {
+    described.members = type.members.map((member) => ({
+      label: member.label,
+      slot: Number(member.slot),
+      offset: member.offset,
+      type: describeType(types, member.type),
+    }));
+  }
+  if (type.value) described.value = describeType(types, type.value);
+  if (type.base) described.base = describeType(types, type.base);
+  return described;
+}
+
+// Storage variables of a compiled contract in slot order: label, slot, offset and type. Solidity
+// forbids shadowing state variables, their labels are unique but for the `__gap`s
+async function readStorageLayout(hre, contractName) {
+  const artifact = await hre.artifacts.readArtifact(contractName);
+  const buildInfo = await hre.artifacts.getBuildInfo(`${artifact.sourceName}:${artifact.contractName}`);
+  const output = buildInfo && buildInfo.output.contracts[artifact.sourceName][artifact.contractName];
+  if (!output || !output.storageLayout) {
+    throw new Error(`No storage layout for ${contractName}, compile it with storageLayout in the outputSelection`);
+  }
+
+  const { storage, types } = output.storageLayout;
+  return storage.map((entry) => ({
+    label: entry.label,
+    slot: Number(entry.slot),
+    offset: entry.offset,
+    type: describeType(types, entry.type),
+  }));
+}
+
+function isGap(entry) {
+  return entry.label.startsWith("__gap");
+}
+
+function overlaps(a, b) {
+  const start = (entry) => entry.slot * 32 + entry.offset;
+  return start(a) < start(b) + b.type.bytes && start(b) < start(a) + a.type.bytes;
+}
+
+// Structs can get new members at their end, anything else has to stay the same type
+function typeProblems(name, previous, next) {
+  if (previous.members && next.members && previous.label === next.label) {
+    const problems = [];
+    previous.members.forEach((member, index) => {
+      const other = next.members[index];
+      if (!other || other.label !== member.label || other.slot !== member.slot || other.offset !== member.offset) {
+        problems.push(`${name}: member ${member.label} of ${previous.label} was moved, renamed or removed`);
+      } else {
+        problems.push(...typeProblems(`${name}.${member.label}`, member.type, other.type));
+      }
+    });
+    return problems;
+  }
+  if (previous.label !== next.label || previous.bytes !== next.bytes) {
+    return [`${name} changed type from ${previous.label} to ${next.label}`];
+  }
+  if (previous.value) return typeProblems(name, previous.value, next.value);
+  if (previous.base) return typeProblems(name, previous.base, next.base);
+  return [];
+}
+
+// Everything that would corrupt the state of a proxy going from the `previous` layout to `next`
+function compareStorageLayouts(previous, next) {
+  const problems = [];
+  const kept = previous.filter((entry) => !isGap(entry));
+  const nextByName = new Map(next.map((entry) => [entry.label, entry]));
+
+  for (const entry of kept) {
+    const name = entry.label;
+    const found = nextByName.get(name);
+    if (!found) {
+      problems.push(`${name} (slot ${entry.slot}) was renamed or removed`);
+      continue;
+    }
+    if (found.slot !== entry.slot || found.offset !== entry.offset) {
+      problems.push(`${name} moved from slot ${entry.slot} offset ${entry.offset} to slot ${found.slot} offset ${found.offset}`);
+    }
+    problems.push(...typeProblems(name, entry.type, found.type));
+  }
+
+  const keptNames = new Set(kept.map((entry) => entry.label));
+  for (const entry of next) {
+    if (keptNames.has(entry.label)) continue;
+    const overwritten = kept.find((old) => overlaps(old, entry));
+    if (overwritten) {
+      problems.push(`${entry.label} (slot ${entry.slot}) takes the storage of ${overwritten.label}`);
+    }
+  }
+  return problems;
+}
+
+// Reasons `contractName` can't replace the implementation behind the proxy recorded as `record`
+async function validateUpgrade(hre, record, contractName) {
+  const problems = [];
+  const artifact = await hre.artifacts.readArtifact(contractName);
+  const contractInterface = new Interface(artifact.abi);
+
+  if (contractInterface.deploy.inputs.length > 0) {
+    problems.push(`${contractName} takes constructor arguments, implementations are set up through the proxy`);
+  }
+  // Without them the proxy could never be upgraded again (and upgradeTo refuses it anyway)
+  for (const signature of ["upgradeTo(address)", "proxiableUUID()"]) {
+    if (!Object.keys(contractInterface.functions).includes(signature)) {
+      problems.push(`${contractName} has no ${signature}, it is not a UUPS implementation`);
+    }
+  }
+
+  // The recorded layout is only worth something if it is the one the proxy runs
+  const running = await implementationAddress(hre.ethers.provider, record.address);
+  const recorded = record.proxy.implementation;
+  if (running === null || running.toLowerCase() !== recorded.address.toLowerCase()) {
+    problems.push(`The proxy runs ${running}, the manifest says ${recorded.contractName} at ${recorded.address}`);
+  }
+
+  problems.push(...compareStorageLayouts(record.proxy.storageLayout, await readStorageLayout(hre, contractName)));
+  return problems;
+}
+
+// Deploys `contractName` and an ERC1967 proxy running it, recorded as `name` and initialized with
+// initialize(...args). `overrides` go with the proxy deployment, e.g. the ether the initializer takes.
+// Returns the proxy with the ABI of the implementation.
+async function deployProxy(hre, manifest, name, contractName, args = [], overrides = {}) {
+  const existing = manifest.contracts[name];
+  if (existing && !existing.proxy && existing.contractName !== PROXY_CONTRACT) {
+    throw new Error(
+      `${name} is already deployed on ${manifest.network} as a plain ${existing.contractName} at ${existing.address}, ` +
+        "not behind a proxy. Deploy the proxy under another name"
+    );
+  }
+
+  const Implementation = await hre.ethers.getContractFactory(contractName);
+  const Proxy = await hre.ethers.getContractFactory(PROXY_CONTRACT);
+
+  // Proxies of the same contract share its implementation
+  const implementation = await deployStep(manifest, contractName, Implementation);
+  const data = Implementation.interface.encodeFunctionData("initialize", args);
+  const proxy = await deployStep(manifest, name, Proxy, [implementation.address, data], overrides);
+
+  const record = manifest.contracts[name];
+  if (!record.proxy) {
+    record.proxy = {
+      contractName: PROXY_CONTRACT,
+      args: record.args,
+      implementation: { contractName, address: implementation.address },
+      storageLayout: await readStorageLayout(hre, contractName),
+      upgrades: [],
+    };
+    record.contractName = contractName;
+    record.args = serializeArgs(args);
+    record.abiHash = abiHash(Implementation.interface);
+    saveManifest(manifest);
+  }
+  return Implementation.attach(proxy.address);
+}
+
+// Validates `contractName` as the next implementation of the proxy recorded as `name`, deploys it and
+// upgrades the proxy, sent by `signer` (its owner). Returns the proxy with the new ABI.
+async function upgradeProxy(hre, manifest, name, contractName, signer) {
+  const record = getDeployment(manifest, name);
+  if (!record.proxy) {
+    throw new Error(`${name} is not deployed behind a proxy on ${manifest.network}`);
+  }
+  const problems = await validateUpgrade(hre, record, contractName);
+  if (problems.length > 0) {
+    throw new Error(
+      `${contractName} can't replace ${record.contractName} behind ${name}:\n` +
+        problems.map((problem) => `  - ${problem}`).join("\n")
+    );
+  }
+
+  const Implementation = await hre.ethers.getContractFactory(contractName, signer);
+  const proxy = Implementation.attach(record.address);
+  const owner = await proxy.owner();
+  if (owner !== signer.address) {
+    throw new Error(`Only the owner of ${name} can upgrade it, that is ${owner} and not ${signer.address}`);
+  }
+
+  // Recorded steps like the rest of the deployment: a failed upgrade resumes with the same implementation
+  const implementation = await deployStep(manifest, contractName, Implementation);
+  const id = `${name}.upgradeTo(${implementation.address})`;
+  await runStep(manifest, id, () => proxy.upgradeTo(implementation.address));
+
+  const { txHash, blockNumber } = manifest.steps[id];
+  const to = { contractName, address: implementation.address };
+  record.proxy.upgrades.push({ from: record.proxy.implementation, to, txHash, blockNumber });
+  record.proxy.implementation = to;
+  record.proxy.storageLayout = await readStorageLayout(hre, contractName);
+  record.contractName = contractName;
+  record.abiHash = abiHash(Implementation.interface);
+  saveManifest(manifest);
+  return proxy;
+}
+
+module.exports = {
+  IMPLEMENTATION_SLOT,
+  implementationAddress,
+  readStorageLayout,
+  compareStorageLayouts,
+  validateUpgrade,
+  deployProxy,
+  upgradeProxy,
+};
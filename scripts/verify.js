@@ -0,0 +1,134 @@
+const {
+  toVerifyRequest,
+  toCheckStatusRequest,
+} = require("@nomiclabs/hardhat-etherscan/dist/src/etherscan/EtherscanVerifyContractRequest");
+const {
+  verifyContract,
+  getVerificationStatus,
+} = require("@nomiclabs/hardhat-etherscan/dist/src/etherscan/EtherscanService");
+const { abiHash } = require("./manifest");
+
+/*
+    Contract Verification
+    - Builds one Etherscan verification request per contract recorded in a network manifest
+    - Constructor arguments come from the manifest, or are decoded from the deployment
+      transaction when an older record doesn't have them
+    - Sources are sent as the standard JSON input of the build that produced the artifact
+    - Proxies are verified as the ERC1967 proxy they are, their implementation has its own record
+    - Records whose ABI hash is missing or differs from the compiled contract are skipped with the
+      reason: the sources we have are not known to be the ones that were deployed
+*/
+
+// Returns the constructor arguments of a record, decoding them from its deployment transaction if needed
+async function constructorArguments(hre, record, artifact) {
+  if (record.args) {
+    return record.args;
+  }
+  if (!record.txHash) {
+    throw new Error(`${record.contractName} has no recorded constructor arguments nor deployment transaction`);
+  }
+
+  const tx = await hre.ethers.provider.getTransaction(record.txHash);
+  const encoded = "0x" + tx.data.slice(artifact.bytecode.length);
+  const constructorFragment = new hre.ethers.utils.Interface(artifact.abi).deploy;
+  return hre.ethers.utils.defaultAbiCoder.decode(constructorFragment.inputs, encoded).map((arg) =>
+    arg._isBigNumber ? arg.toString() : arg
+  );
+}
+
+// Why the compiled sources can't be trusted to be the ones of a record, null when they can. Proxies
+// record the ABI of the contract behind them.
+async function sourceMismatch(hre, record) {
+  if (!record.abiHash) {
+    return `the manifest has no ABI hash for ${record.contractName}, nothing says it was deployed from these sources`;
+  }
+  const artifact = await hre.artifacts.readArtifact(record.contractName);
+  const compiled = abiHash(new hre.ethers.utils.Interface(artifact.abi));
+  if (compiled !== record.abiHash) {
+    return `the compiled ${record.contractName} doesn't match the deployed one (ABI hash ${compiled}, recorded ${record.abiHash})`;
+  }
+  return null;
+}
+
+// Builds the verification request of every contract in the manifest, or only of `names` when given.
+// Contracts that can't be verified from the compiled sources come back with the reason in `skipped`
+// and no request.
+async function buildVerificationRequests(hre, manifest, apiKey, names) {
+  const requests = [];
+  const selected = names && names.length > 0 ? names : Object.keys(manifest.contracts);
+
+  for (const name of selected) {
+    const record = manifest.contracts[name];
+    if (!record) {
+      throw new Error(`${name} is not deployed on ${manifest.network}`);
+    }
+    const skipped = await sourceMismatch(hre, record);
+    if (skipped) {
+      requests.push({ name, address: record.address, skipped });
+      continue;
+    }
+
+    const deployed = record.proxy ? { ...record.proxy, txHash: record.txHash } : record;
+    const artifact = await hre.artifacts.readArtifact(deployed.contractName);
+    const fullyQualifiedName = `${artifact.sourceName}:${artifact.contractName}`;
+    const buildInfo = await hre.artifacts.getBuildInfo(fullyQualifiedName);
+    if (!buildInfo) {
+      throw new Error(`No build info for ${fullyQualifiedName}, run npx hardhat compile first`);
+    }
+
+    const args = await constructorArguments(hre, deployed, artifact);
+    const contractInterface = new hre.ethers.utils.Interface(artifact.abi);
+    // encodeDeploy returns 0x-prefixed data, etherscan expects the bare hex
+    const encodedArgs = contractInterface.encodeDeploy(args).slice(2);
+
+    requests.push({
+      name,
+      address: record.address,
+      constructorArguments: args,
+      request: toVerifyRequest({
+        apiKey,
+        contractAddress: record.address,
+        sourceCode: JSON.stringify(buildInfo.input),
+        sourceName: artifact.sourceName,
+        contractName: artifact.contractName,
+        compilerVersion: `v${buildInfo.solcLongVersion}`,
+        constructorArguments: encodedArgs,
+      }),
+    });
+  }
+
+  return requests;
+}
+
+// Submits one request and waits for etherscan to finish checking it.
+// Contracts that are already verified are reported as such instead of failing.
+async function submitVerification(apiUrl, verification) {
+  if (verification.skipped) {
+    return { name: verification.name, status: "skipped", reason: verification.skipped };
+  }
+  let response;
+  try {
+    response = await verifyContract(apiUrl, verification.request);
+  } catch (error) {
+    if (/already verified/i.test(error.message)) {
+      return { name: verification.name, status: "already verified" };
+    }
+    throw error;
+  }
+
+  const status = await getVerificationStatus(
+    apiUrl,
+    toCheckStatusRequest({ apiKey: verification.request.apikey, guid: response.message })
+  );
+
+  if (status.isVerificationSuccess()) {
+    return { name: verification.name, status: "verified", guid: response.message };
+  }
+  return { name: verification.name, status: "failed", guid: response.message, reason: status.message };
+}
+
+module.exports = {
+  constructorArguments,
+  buildVerificationRequests,
+  submitVerification,
+};
@@ -0,0 +1,71 @@
+const { task, types } = require("hardhat/config");
+const { loadManifest, manifestPath, isPersisted } = require("../scripts/manifest");
+const {
+  STAKING_DEFAULTS,
+  MULTISIG_DEFAULTS,
+  deploy_ERC1155_Token,
+  deploy_NFT_Staker,
+  deploy_MultiSig,
+} = require("../scripts/systems");
+const { parseAddress, parseAddressList, parseCollectionList } = require("./utils");
+
+/*
+    Deploy Tasks
+    - One task per contract system, each taking that system's parameters
+    - Runs the same steps as scripts/deploy.js and records them in the same manifest
+*/
+
+// Loads the manifest, runs the deploy and reports where it was written. Returns the deployed contracts.
+async function withManifest(hre, deploy) {
+  const { chainId } = await hre.ethers.provider.getNetwork();
+  const manifest = loadManifest(hre.network.name, chainId);
+
+  const contracts = await deploy(manifest);
+
+  if (isPersisted(hre.network.name)) {
+    console.log("Manifest written to", manifestPath(hre.network.name));
+  }
+  return contracts;
+}
+
+task("deploy:erc1155", "Deploys the ERC1155 token")
+  .addOptionalParam("treasury", "Address receiving minted tokens (defaults to the deployer)")
+  .addFlag("proxy", "Deploy behind an upgradeable proxy (see the upgrade task)")
+  .setAction(async (taskArgs, hre) => {
+    const treasury = taskArgs.treasury && parseAddress(hre, taskArgs.treasury, "treasury");
+    const { proxy } = taskArgs;
+
+    return withManifest(hre, (manifest) => deploy_ERC1155_Token(hre, manifest, { treasury, proxy }));
+  });
+
+task("deploy:staking", "Deploys the NFT token and its staker")
+  .addOptionalParam("lockin", "Lock-in period in seconds", STAKING_DEFAULTS.lockin, types.int)
+  .addOptionalParam("funding", "Ether sent to the staker to pay rewards", STAKING_DEFAULTS.funding)
+  .addOptionalParam("reward", "Reward per second in wei (defaults to the contract's 0.001 ether)")
+  .addOptionalParam("collections", "More collections to list, comma separated address:lockin:reward entries")
+  .addOptionalParam("rewardToken", "ERC20 paying the rewards instead of ETH (no ether is sent then)")
+  .addFlag("proxy", "Deploy the staker behind an upgradeable proxy (see the upgrade task)")
+  .setAction(async (taskArgs, hre) => {
+    const { lockin, funding, reward, proxy } = taskArgs;
+    const collections = parseCollectionList(hre, taskArgs.collections);
+    const rewardToken = taskArgs.rewardToken && parseAddress(hre, taskArgs.rewardToken, "reward token");
+
+    return withManifest(hre, (manifest) =>
+      deploy_NFT_Staker(hre, manifest, { lockin, funding, reward, rewardToken, collections, proxy })
+    );
+  });
+
+task("deploy:multisig", "Deploys the ERC20 token and the multisig wallet")
+  .addOptionalParam("quorum", "Quorum majority in percent (50 - 100)", MULTISIG_DEFAULTS.quorum, types.int)
+  .addOptionalParam("signers", "Comma separated signer addresses to add after deployment")
+  .addOptionalParam("tokenSupply", "ERC20 tokens minted to the multisig", MULTISIG_DEFAULTS.tokenSupply, types.int)
+  .addOptionalParam("funding", "Ether sent to the multisig", MULTISIG_DEFAULTS.funding)
+  .addFlag("proxy", "Deploy the multisig behind an upgradeable proxy (see the upgrade task)")
+  .setAction(async (taskArgs, hre) => {
+    const { quorum, tokenSupply, funding, proxy } = taskArgs;
+    const signers = parseAddressList(hre, taskArgs.signers, "signer");
+
+    return withManifest(hre, (manifest) =>
+      deploy_MultiSig(hre, manifest, { quorum, signers, tokenSupply, funding, proxy })
+    );
+  });
@@ -0,0 +1,79 @@
+const { task } = require("hardhat/config");
+const { loadManifest } = require("../scripts/manifest");
+const { parseAddress, resolveSigner } = require("./utils");
+
+/*
+    Emergency Task
+    - `emergency` reports whether each contract is paused, `emergency pause` / `emergency unpause`
+      toggle them: ERC1155_Token mint and transfers, NFT_Staker staking/unstaking/claims, Multi_Sig execution
+    - Contracts come from the network manifest, --erc1155, --staker and --multisig override them
+    - --contracts limits the action to some of them, --signer picks the sender (their owner)
+*/
+
+const ACTIONS = ["status", "pause", "unpause"];
+
+// What pausing each contract stops, with the option overriding its address
+const EMERGENCY_CONTRACTS = {
+  ERC1155_Token: { option: "erc1155", pauses: "minting and transfers" },
+  NFT_Staker: { option: "staker", pauses: "staking, unstaking and claims (emergencyUnstake opens)" },
+  Multi_Sig: { option: "multisig", pauses: "proposal execution" },
+};
+
+async function describe(name, contract) {
+  const paused = await contract.paused();
+  let line = `  [${name}] ${contract.address}: ${paused ? "PAUSED" : "running"}`;
+  if (name === "NFT_Staker") {
+    line += `, ${(await contract.isStaking()) ? "accepting" : "not accepting"} new stakes`;
+  }
+  return { line, paused };
+}
+
+task("emergency", "Reports or toggles the pause of every deployed contract")
+  .addOptionalPositionalParam("action", `One of ${ACTIONS.join(", ")}`, "status")
+  .addOptionalParam("contracts", `Comma separated subset of ${Object.keys(EMERGENCY_CONTRACTS).join(", ")}`)
+  .addOptionalParam("erc1155", "ERC1155_Token address (defaults to the one in the deployment manifest)")
+  .addOptionalParam("staker", "NFT_Staker address (defaults to the one in the deployment manifest)")
+  .addOptionalParam("multisig", "Multi_Sig address (defaults to the one in the deployment manifest)")
+  .addOptionalParam("signer", "Account index or private key of the sender (defaults to account #0)")
+  .setAction(async (taskArgs, hre) => {
+    if (!ACTIONS.includes(taskArgs.action)) {
+      throw new Error(`Unknown action "${taskArgs.action}", expected one of ${ACTIONS.join(", ")}`);
+    }
+    const names = taskArgs.contracts
+      ? taskArgs.contracts.split(",").map((name) => name.trim())
+      : Object.keys(EMERGENCY_CONTRACTS);
+    for (const name of names) {
+      if (!EMERGENCY_CONTRACTS[name]) {
+        throw new Error(`Unknown contract ${name}, expected one of ${Object.keys(EMERGENCY_CONTRACTS).join(", ")}`);
+      }
+    }
+
+    const { chainId } = await hre.ethers.provider.getNetwork();
+    const manifest = loadManifest(hre.network.name, chainId);
+    const signer = await resolveSigner(hre, taskArgs.signer);
+    const report = {};
+
+    console.log(`Emergency ${taskArgs.action} on ${hre.network.name}`);
+    for (const name of names) {
+      const { option, pauses } = EMERGENCY_CONTRACTS[name];
+      const override = taskArgs[option];
+      const record = manifest.contracts[name];
+      if (!override && !record) {
+        console.log(`  [${name}] not deployed, skipping`);
+        continue;
+      }
+      const address = override ? parseAddress(hre, override, name) : record.address;
+      const contract = await hre.ethers.getContractAt(name, address, signer);
+
+      const wanted = taskArgs.action === "pause";
+      if (taskArgs.action !== "status" && (await contract.paused()) !== wanted) {
+        const tx = await (wanted ? contract.pause() : contract.unpause());
+        const receipt = await tx.wait();
+        console.log(`  [${name}] ${taskArgs.action}d ${pauses} (tx ${receipt.transactionHash})`);
+      }
+      const { line, paused } = await describe(name, contract);
+      console.log(line);
+      report[name] = { address, paused };
+    }
+    return report;
+  });
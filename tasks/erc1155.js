@@ -0,0 +1,99 @@
+const { task, types } = require("hardhat/config");
+const { ROYALTY_DENOMINATOR, readMintList, mintList, formatFee, readRoyalties } = require("../scripts/erc1155");
+const { parseAddress, resolveSigner, resolveAddress } = require("./utils");
+
+/*
+    ERC1155 Tasks
+    - erc1155:mint-batch mints one new token id per entry of a CSV or JSON list (see scripts/erc1155.js),
+      to the treasury or to --to, --batch-size ids per transaction
+    - erc1155:royalty updates the default or per-token royalty and the contractURI, then prints them
+    - The token defaults to the ERC1155_Token recorded in the network manifest, --address overrides it
+    - --signer picks the account sending the transactions (the token owner), by index or private key
+*/
+
+async function connectToken(hre, taskArgs) {
+  const address = await resolveAddress(hre, taskArgs.address, "ERC1155_Token");
+  const signer = await resolveSigner(hre, taskArgs.signer);
+  const token = await hre.ethers.getContractAt("ERC1155_Token", address, signer);
+  return { token, signer };
+}
+
+async function send(label, tx) {
+  const receipt = await tx.wait();
+  console.log(`${label} (tx ${receipt.transactionHash}, block ${receipt.blockNumber})`);
+}
+
+task("erc1155:mint-batch", "Mints one new token id per entry of a CSV or JSON mint list")
+  .addParam("file", "CSV (uri,amount,maxSupply header) or JSON list of the tokens to mint")
+  .addOptionalParam("to", "Recipient of the tokens (defaults to the treasury)")
+  .addOptionalParam("batchSize", "Token ids minted per transaction", 50, types.int)
+  .addOptionalParam("address", "ERC1155_Token address (defaults to the one in the deployment manifest)")
+  .addOptionalParam("signer", "Account index or private key of the sender (defaults to account #0)")
+  .setAction(async (taskArgs, hre) => {
+    // Read the whole list first, a malformed entry fails before anything is sent
+    const entries = readMintList(taskArgs.file);
+    if (entries.length === 0) {
+      throw new Error(`${taskArgs.file} has no tokens to mint`);
+    }
+
+    const { token, signer } = await connectToken(hre, taskArgs);
+    const to = taskArgs.to ? parseAddress(hre, taskArgs.to, "recipient") : await token.treasury();
+
+    console.log(`Minting ${entries.length} tokens of ${taskArgs.file} to ${to} as ${signer.address}`);
+    const batches = await mintList(token, to, entries, taskArgs.batchSize, (batch) => {
+      const ids = batch.tokenIds;
+      console.log(
+        `  ids ${ids[0]}-${ids[ids.length - 1]} (tx ${batch.transactionHash}, block ${batch.blockNumber})`
+      );
+    });
+    return batches.flatMap((batch) => batch.tokenIds);
+  });
+
+task("erc1155:royalty", "Updates the royalty settings and contractURI of the token, then prints them")
+  .addOptionalParam("fee", "Royalty in basis points of the sale price (500 = 5%)", undefined, types.int)
+  .addOptionalParam("receiver", "Royalty receiver (defaults to the treasury)")
+  .addOptionalParam("tokenId", "Only set, reset or show the royalty of this token", undefined, types.int)
+  .addFlag("reset", "Put --token-id back on the default royalty")
+  .addOptionalParam("contractUri", "New collection metadata URI")
+  .addOptionalParam("price", "Sale price in ether the royalty of --token-id is shown for", "1")
+  .addOptionalParam("address", "ERC1155_Token address (defaults to the one in the deployment manifest)")
+  .addOptionalParam("signer", "Account index or private key of the sender (defaults to account #0)")
+  .setAction(async (taskArgs, hre) => {
+    const { fee, tokenId } = taskArgs;
+    if (fee !== undefined && (fee < 0 || fee > ROYALTY_DENOMINATOR)) {
+      throw new Error(`--fee should be between 0 and ${ROYALTY_DENOMINATOR} basis points`);
+    }
+    if (taskArgs.receiver && fee === undefined) {
+      throw new Error("--receiver needs a --fee");
+    }
+    if (taskArgs.reset && (tokenId === undefined || fee !== undefined)) {
+      throw new Error("--reset needs a --token-id and no --fee");
+    }
+    const receiver = taskArgs.receiver
+      ? parseAddress(hre, taskArgs.receiver, "receiver")
+      : hre.ethers.constants.AddressZero;
+    const { token } = await connectToken(hre, taskArgs);
+
+    if (taskArgs.reset) {
+      await send(`Token #${tokenId} is back on the default royalty`, await token.resetTokenRoyalty(tokenId));
+    } else if (fee !== undefined && tokenId !== undefined) {
+      await send(`Royalty of token #${tokenId} set to ${formatFee(fee)}`, await token.setTokenRoyalty(tokenId, receiver, fee));
+    } else if (fee !== undefined) {
+      await send(`Default royalty set to ${formatFee(fee)}`, await token.setDefaultRoyalty(receiver, fee));
+    }
+    if (taskArgs.contractUri !== undefined) {
+      await send(`contractURI set to ${taskArgs.contractUri}`, await token.setContractURI(taskArgs.contractUri));
+    }
+
+    const salePrice = hre.ethers.utils.parseEther(taskArgs.price);
+    const royalties = await readRoyalties(token, tokenId === undefined ? [] : [tokenId], salePrice);
+    console.log(`ERC1155_Token ${token.address}`);
+    console.log(`  contractURI: ${royalties.contractURI || "(not set)"}`);
+    const treasury = royalties.followsTreasury ? " (the treasury)" : "";
+    console.log(`  default royalty: ${formatFee(royalties.defaultFee)} to ${royalties.defaultReceiver}${treasury}`);
+    for (const { tokenId, receiver, amount } of royalties.tokens) {
+      const paid = hre.ethers.utils.formatEther(amount);
+      console.log(`  token #${tokenId} sold for ${taskArgs.price} ETH: ${paid} ETH to ${receiver}`);
+    }
+    return royalties;
+  });
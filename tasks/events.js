@@ -0,0 +1,63 @@
+const { task, types } = require("hardhat/config");
+const { loadManifest } = require("../scripts/manifest");
+const { COLLECTIONS, indexEvents, mergeIndex, indexPath, loadIndex, saveIndex } = require("../scripts/indexer");
+
+/*
+    Event Tasks
+    - events:index scans the contracts recorded in the network manifest and appends their events
+      to events/<network>.json, picking up after the last block it indexed
+*/
+
+// Contracts of the manifest that emit the events we index
+const INDEXED_CONTRACTS = ["ERC1155_Token", "NFT_Staker", "Multi_Sig"];
+
+task("events:index", "Indexes the events of the deployed contracts into a local JSON store")
+  .addOptionalParam("fromBlock", "First block to scan (defaults to after the last indexed block)", undefined, types.int)
+  .addOptionalParam("toBlock", "Last block to scan (defaults to the latest block)", undefined, types.int)
+  .addOptionalParam("out", "Store file (defaults to events/<network>.json)")
+  .setAction(async (taskArgs, hre) => {
+    const { chainId } = await hre.ethers.provider.getNetwork();
+    const manifest = loadManifest(hre.network.name, chainId);
+    const file = taskArgs.out || indexPath(hre.network.name);
+    const stored = loadIndex(file);
+
+    const contracts = {};
+    const deployBlocks = [];
+    for (const name of INDEXED_CONTRACTS) {
+      const record = manifest.contracts[name];
+      if (!record) continue;
+      contracts[name] = await hre.ethers.getContractAt(name, record.address);
+      if (record.blockNumber !== null) deployBlocks.push(record.blockNumber);
+    }
+    if (Object.keys(contracts).length === 0) {
+      throw new Error(`Nothing to index, none of ${INDEXED_CONTRACTS.join(", ")} is deployed on ${hre.network.name}`);
+    }
+
+    // Resume after the last indexed block, or start where the first contract was deployed
+    let fromBlock = taskArgs.fromBlock;
+    if (fromBlock === undefined) {
+      if (stored.lastBlock !== null) {
+        fromBlock = stored.lastBlock + 1;
+      } else {
+        fromBlock = deployBlocks.length > 0 ? Math.min(...deployBlocks) : 0;
+      }
+    }
+    const toBlock = taskArgs.toBlock !== undefined ? taskArgs.toBlock : await hre.ethers.provider.getBlockNumber();
+
+    if (fromBlock > toBlock) {
+      console.log(`Already indexed up to block ${stored.lastBlock}`);
+      return stored;
+    }
+
+    const scanned = await indexEvents(contracts, fromBlock, toBlock);
+    const index = mergeIndex(stored, scanned);
+    saveIndex(file, index);
+
+    console.log(`Indexed blocks ${fromBlock} - ${toBlock} into ${file}`);
+    for (const collection of COLLECTIONS) {
+      if (scanned[collection].length > 0) {
+        console.log(`  ${collection}: +${scanned[collection].length}`);
+      }
+    }
+    return index;
+  });
@@ -0,0 +1,96 @@
+const fs = require("fs");
+const path = require("path");
+const { extendConfig, subtask } = require("hardhat/config");
+const { TASK_TEST_RUN_MOCHA_TESTS } = require("hardhat/builtin-tasks/task-names");
+const {
+  createGasRecorder,
+  summarizeGas,
+  compareGas,
+  formatGasMarkdown,
+  readGasBaseline,
+  updateGasBaseline,
+} = require("../scripts/gas");
+
+/*
+    Gas Report
+    - `npx hardhat test` records the gas of every transaction the tests send, per contract function,
+      and writes the table to gas-report.json and gas-report.md (see scripts/gas.js)
+    - The max gas of each function is compared with its budget in the committed baseline
+      (gas-baseline.json): going over by more than `tolerance` percent fails the test run
+    - UPDATE_GAS_BASELINE=true takes the measured gas as the new budgets, GAS_TOLERANCE overrides the
+      tolerance of the config
+    - Property runs exploring other sequences than the default ones (PROPERTY_SEED, PROPERTY_RUNS or
+      PROPERTY_LENGTH, see scripts/properties.js) reach other maxima: the budgets are only reported then
+*/
+
+const GAS_REPORTER_DEFAULTS = {
+  enabled: true,
+  baseline: "gas-baseline.json",
+  tolerance: 5, // in percent
+  outputJson: "gas-report.json",
+  outputMarkdown: "gas-report.md",
+};
+
+extendConfig((config, userConfig) => {
+  const options = { ...GAS_REPORTER_DEFAULTS, ...userConfig.gasReporter };
+  for (const key of ["baseline", "outputJson", "outputMarkdown"]) {
+    options[key] = path.resolve(config.paths.root, options[key]);
+  }
+  config.gasReporter = options;
+});
+
+function printRegressions(report) {
+  console.error(`\nGas over budget by more than ${report.tolerance}%:`);
+  for (const { key, budget, max, change } of report.regressions) {
+    console.error(`  ${key}: ${max} gas, budget ${budget} (+${change}%)`);
+  }
+  console.error("Bring it back down, or run UPDATE_GAS_BASELINE=true npx hardhat test to accept the new budgets");
+}
+
+function exploringProperties() {
+  return ["PROPERTY_SEED", "PROPERTY_RUNS", "PROPERTY_LENGTH"].some((name) => process.env[name] !== undefined);
+}
+
+subtask(TASK_TEST_RUN_MOCHA_TESTS).setAction(async (taskArgs, hre, runSuper) => {
+  const options = hre.config.gasReporter;
+  // Parallel runs send their transactions from other processes
+  if (!options.enabled || taskArgs.parallel) {
+    return runSuper(taskArgs);
+  }
+
+  const recorder = await createGasRecorder(hre.network.provider, hre.artifacts);
+  recorder.start();
+  let failures;
+  try {
+    failures = await runSuper(taskArgs);
+  } finally {
+    recorder.stop();
+  }
+
+  const rows = summarizeGas(recorder.calls);
+  let budgets = readGasBaseline(options.baseline);
+  if (process.env.UPDATE_GAS_BASELINE === "true") {
+    budgets = updateGasBaseline(budgets, rows);
+    fs.writeFileSync(options.baseline, JSON.stringify(budgets, null, 2) + "\n");
+    console.log(`Gas budgets of ${rows.length} functions written to ${path.relative(process.cwd(), options.baseline)}`);
+  }
+
+  const tolerance = process.env.GAS_TOLERANCE === undefined ? options.tolerance : Number(process.env.GAS_TOLERANCE);
+  const report = compareGas(rows, budgets, tolerance);
+  fs.writeFileSync(options.outputJson, JSON.stringify(report, null, 2) + "\n");
+  fs.writeFileSync(options.outputMarkdown, formatGasMarkdown(report));
+
+  console.log(`\nGas of ${rows.length} functions written to ${path.relative(process.cwd(), options.outputMarkdown)}`);
+  if (report.unbudgeted.length > 0) {
+    console.log(`  no budget yet: ${report.unbudgeted.join(", ")}`);
+  }
+  if (report.regressions.length > 0) {
+    printRegressions(report);
+    if (exploringProperties()) {
+      console.error("Not failing the run, the property runs are not the ones the budgets were measured on");
+      return failures;
+    }
+    return failures + report.regressions.length;
+  }
+  return failures;
+});
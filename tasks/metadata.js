@@ -0,0 +1,52 @@
+const fs = require("fs");
+const { task } = require("hardhat/config");
+const { buildMetadata, writeMetadata, checkMetadata } = require("../scripts/metadata");
+const { resolveAddress } = require("./utils");
+
+/*
+    Metadata Tasks
+    - metadata:build writes the metadata files of the ERC1155_Token ids from a spec file and a folder of
+      images (see scripts/metadata.js for the spec), named the way uri() requests them
+    - metadata:check compares the uri() of every minted id with a folder of generated files, and fails
+      when a file is missing or a uri() points elsewhere than --base-uri
+    - The token defaults to the ERC1155_Token recorded in the network manifest, --address overrides it
+*/
+
+task("metadata:build", "Builds the metadata files of the ERC1155 token ids from a spec and a folder of images")
+  .addParam("spec", "JSON spec file: imageBaseURI, collection defaults and the tokens")
+  .addParam("images", "Folder with the images of the tokens")
+  .addOptionalParam("out", "Folder the metadata files are written to", "metadata")
+  .setAction(async (taskArgs) => {
+    const spec = JSON.parse(fs.readFileSync(taskArgs.spec, "utf8"));
+    const entries = buildMetadata(spec, taskArgs.images);
+    writeMetadata(taskArgs.out, entries);
+
+    console.log(`Wrote ${entries.length} metadata files to ${taskArgs.out}`);
+    for (const entry of entries) {
+      console.log(`  id ${entry.tokenId} -> ${entry.fileName}: ${entry.metadata.name}`);
+    }
+    return entries;
+  });
+
+task("metadata:check", "Checks that every minted ERC1155 id has its metadata file where uri() points")
+  .addParam("dir", "Folder of generated metadata files")
+  .addOptionalParam("baseUri", "Base URI the folder is uploaded to, every uri() should point there")
+  .addOptionalParam("address", "ERC1155_Token address (defaults to the one in the deployment manifest)")
+  .setAction(async (taskArgs, hre) => {
+    const address = await resolveAddress(hre, taskArgs.address, "ERC1155_Token");
+    const token = await hre.ethers.getContractAt("ERC1155_Token", address);
+    const report = await checkMetadata(token, taskArgs.dir, taskArgs.baseUri);
+
+    console.log(`ERC1155_Token ${address}: ${report.minted} ids minted`);
+    if (report.unminted.length > 0) {
+      console.log(`  files ready for ids not minted yet: ${report.unminted.join(", ")}`);
+    }
+    if (report.problems.length > 0) {
+      throw new Error(
+        `Metadata of ${address} doesn't match ${taskArgs.dir}:\n` +
+          report.problems.map((problem) => `  - ${problem}`).join("\n")
+      );
+    }
+    console.log(`  every minted id has its metadata file in ${taskArgs.dir}`);
+    return report;
+  });
@@ -0,0 +1,274 @@
+const fs = require("fs");
+const { task, types } = require("hardhat/config");
+const { loadManifest } = require("../scripts/manifest");
+const {
+  COIN_TYPES,
+  PROPOSAL_STATUSES,
+  PAGE_SIZE,
+  readProposal,
+  formatAmount,
+  formatProposal,
+  readSigners,
+  countProposals,
+  listProposals,
+  buildCallProposal,
+  proposeCall,
+  decodeCall,
+} = require("../scripts/multisig");
+const { signApproval, aggregateApprovals, executeWithSignatures } = require("../scripts/approvals");
+const { parseAddress, resolveSigner, resolveAddress } = require("./utils");
+
+/*
+    Multisig Tasks
+    - Lets signers propose, list, approve, reject, revoke, cancel and execute multisig transactions from the terminal
+    - The multisig defaults to the Multi_Sig recorded in the network manifest, --address overrides it
+    - --signer picks the account sending the transaction, by index or private key
+    - multisig:sign and multisig:execute-signed approve off-chain, see scripts/approvals.js
+*/
+
+async function connectMultiSig(hre, taskArgs) {
+  const address = await resolveAddress(hre, taskArgs.address, "Multi_Sig");
+  const signer = await resolveSigner(hre, taskArgs.signer);
+  const multiSig = await hre.ethers.getContractAt("Multi_Sig", address, signer);
+  return { multiSig, signer };
+}
+
+// Every multisig task takes the same two options
+function multisigTask(name, description) {
+  return task(name, description)
+    .addOptionalParam("address", "Multi_Sig address (defaults to the one in the deployment manifest)")
+    .addOptionalParam("signer", "Account index or private key of the signer (defaults to account #0)");
+}
+
+async function send(label, txPromise) {
+  const tx = await txPromise;
+  const receipt = await tx.wait();
+  console.log(`${label} (tx ${receipt.transactionHash}, block ${receipt.blockNumber})`);
+  return receipt;
+}
+
+// Describes the calldata of a CALL proposal, decoded when the target is a contract of the manifest
+async function describeCall(hre, multiSig, proposal) {
+  const data = await multiSig.viewTransactionData(proposal.id);
+  const { chainId } = await hre.ethers.provider.getNetwork();
+  const record = Object.values(loadManifest(hre.network.name, chainId).contracts).find(
+    (candidate) => candidate.address === proposal.recipient
+  );
+  if (!record) {
+    return data;
+  }
+  const { signature, args } = await decodeCall(hre, record.contractName, data);
+  return `${record.contractName}.${signature} with (${args.map((arg) => arg.toString()).join(", ")})`;
+}
+
+multisigTask("multisig:propose-eth", "Proposes sending ether from the multisig")
+  .addParam("to", "Recipient address")
+  .addParam("amount", "Amount in ether")
+  .addParam("reason", "Why the transaction is needed")
+  .setAction(async (taskArgs, hre) => {
+    const { multiSig, signer } = await connectMultiSig(hre, taskArgs);
+    const to = parseAddress(hre, taskArgs.to, "recipient");
+    const amount = hre.ethers.utils.parseEther(taskArgs.amount);
+
+    await send(
+      `Proposed ${taskArgs.amount} ETH to ${to} as ${signer.address}`,
+      multiSig.createEthTransaction(to, amount, taskArgs.reason)
+    );
+  });
+
+multisigTask("multisig:propose-erc20", "Proposes sending ERC20 tokens from the multisig")
+  .addParam("to", "Recipient address")
+  .addParam("amount", "Amount in the token's smallest unit")
+  .addParam("reason", "Why the transaction is needed")
+  .addOptionalParam("token", "ERC20 address (defaults to the Simple_Token in the deployment manifest)")
+  .setAction(async (taskArgs, hre) => {
+    const { multiSig, signer } = await connectMultiSig(hre, taskArgs);
+    const to = parseAddress(hre, taskArgs.to, "recipient");
+    const token = await resolveAddress(hre, taskArgs.token, "Simple_Token");
+
+    await send(
+      `Proposed ${taskArgs.amount} of ${token} to ${to} as ${signer.address}`,
+      multiSig.createE20Transaction(to, taskArgs.amount, token, taskArgs.reason)
+    );
+  });
+
+multisigTask("multisig:propose-call", "Proposes calling a function of another contract")
+  .addParam("contract", "Contract name of the target, e.g. NFT_Staker")
+  .addParam("function", "Function to call, e.g. setReward")
+  .addOptionalParam("args", "JSON array of the function arguments", "[]")
+  .addOptionalParam("target", "Target address (defaults to the contract in the deployment manifest)")
+  .addOptionalParam("value", "Ether sent along with the call", "0")
+  .addOptionalParam("reason", "Why the call is needed (defaults to the call itself)")
+  .setAction(async (taskArgs, hre) => {
+    const { multiSig, signer } = await connectMultiSig(hre, taskArgs);
+    const target = await resolveAddress(hre, taskArgs.target, taskArgs.contract);
+
+    let args;
+    try {
+      args = JSON.parse(taskArgs.args);
+    } catch (error) {
+      throw new Error(`--args should be a JSON array, got ${taskArgs.args}`);
+    }
+
+    const proposal = await buildCallProposal(hre, {
+      contractName: taskArgs.contract,
+      target,
+      functionName: taskArgs.function,
+      args,
+      value: hre.ethers.utils.parseEther(taskArgs.value),
+      reason: taskArgs.reason,
+    });
+
+    await send(`Proposed ${proposal.reason} on ${target} as ${signer.address}`, proposeCall(multiSig, proposal));
+  });
+
+multisigTask("multisig:signers", "Prints the current signers and the quorum in absolute votes")
+  .setAction(async (taskArgs, hre) => {
+    const { multiSig } = await connectMultiSig(hre, taskArgs);
+    const { signers, quorumMajority, requiredApprovals, signerSetId } = await readSigners(multiSig);
+
+    console.log(`Multi_Sig ${multiSig.address} (signer set #${signerSetId})`);
+    console.log(`Owner: ${await multiSig.owner()}`);
+    signers.forEach((signer, index) => console.log(`  ${index}: ${signer}`));
+    console.log(`Quorum: ${quorumMajority}%, ${requiredApprovals} of ${signers.length} votes`);
+    return { signers, quorumMajority, requiredApprovals, signerSetId };
+  });
+
+multisigTask("multisig:propose-remove-signer", "Proposes removing a signer (executed with quorum like any proposal)")
+  .addParam("who", "Signer to remove")
+  .setAction(async (taskArgs, hre) => {
+    const { multiSig, signer } = await connectMultiSig(hre, taskArgs);
+    const who = parseAddress(hre, taskArgs.who, "signer");
+    const proposal = await buildCallProposal(hre, {
+      contractName: "Multi_Sig",
+      target: multiSig.address,
+      functionName: "removeSigner",
+      args: [who],
+    });
+    await send(`Proposed ${proposal.reason} as ${signer.address}`, proposeCall(multiSig, proposal));
+  });
+
+multisigTask("multisig:propose-replace-signer", "Proposes replacing a signer (executed with quorum like any proposal)")
+  .addParam("old", "Signer to replace")
+  .addParam("new", "Signer taking its place")
+  .setAction(async (taskArgs, hre) => {
+    const { multiSig, signer } = await connectMultiSig(hre, taskArgs);
+    const proposal = await buildCallProposal(hre, {
+      contractName: "Multi_Sig",
+      target: multiSig.address,
+      functionName: "replaceSigner",
+      args: [parseAddress(hre, taskArgs.old, "old signer"), parseAddress(hre, taskArgs.new, "new signer")],
+    });
+    await send(`Proposed ${proposal.reason} as ${signer.address}`, proposeCall(multiSig, proposal));
+  });
+
+multisigTask("multisig:list", "Lists the proposals of the multisig, all of them unless filtered")
+  .addOptionalParam("status", `Only proposals with this status (${PROPOSAL_STATUSES.join(", ")})`)
+  .addOptionalParam("proposer", "Only proposals created by this address")
+  .addOptionalParam("coinType", `Only proposals of this type (${COIN_TYPES.join(", ")})`)
+  .addOptionalParam("pageSize", "Proposals read per call", PAGE_SIZE, types.int)
+  .setAction(async (taskArgs, hre) => {
+    const { multiSig } = await connectMultiSig(hre, taskArgs);
+    const { signers, quorumMajority } = await readSigners(multiSig);
+    const filter = {
+      status: taskArgs.status,
+      proposer: taskArgs.proposer && parseAddress(hre, taskArgs.proposer, "proposer"),
+      coinType: taskArgs.coinType,
+    };
+    const proposals = await listProposals(multiSig, filter, taskArgs.pageSize);
+
+    console.log(
+      `Multi_Sig ${multiSig.address}: ${signers.length} signers, quorum ${quorumMajority}%, ` +
+        `${await countProposals(multiSig)} proposals`
+    );
+    if (proposals.length === 0) {
+      console.log("No matching proposals");
+    }
+    for (const proposal of proposals) {
+      const call = proposal.coinType === "CALL" ? await describeCall(hre, multiSig, proposal) : undefined;
+      console.log(formatProposal(proposal, call));
+    }
+    return proposals;
+  });
+
+multisigTask("multisig:approve", "Approves a proposal")
+  .addParam("id", "Proposal id", undefined, types.int)
+  .setAction(async (taskArgs, hre) => {
+    const { multiSig, signer } = await connectMultiSig(hre, taskArgs);
+    await send(`Approved #${taskArgs.id} as ${signer.address}`, multiSig.approveTransaction(taskArgs.id));
+  });
+
+multisigTask("multisig:reject", "Votes against a proposal")
+  .addParam("id", "Proposal id", undefined, types.int)
+  .setAction(async (taskArgs, hre) => {
+    const { multiSig, signer } = await connectMultiSig(hre, taskArgs);
+    await send(`Rejected #${taskArgs.id} as ${signer.address}`, multiSig.rejectTransaction(taskArgs.id));
+  });
+
+multisigTask("multisig:revoke", "Revokes a previous approval or rejection")
+  .addParam("id", "Proposal id", undefined, types.int)
+  .setAction(async (taskArgs, hre) => {
+    const { multiSig, signer } = await connectMultiSig(hre, taskArgs);
+    await send(`Revoked vote on #${taskArgs.id} as ${signer.address}`, multiSig.revokeVoteTransaction(taskArgs.id));
+  });
+
+multisigTask("multisig:cancel", "Cancels a proposal (its proposer, or anyone once a majority rejected it)")
+  .addParam("id", "Proposal id", undefined, types.int)
+  .setAction(async (taskArgs, hre) => {
+    const { multiSig, signer } = await connectMultiSig(hre, taskArgs);
+    await send(`Cancelled #${taskArgs.id} as ${signer.address}`, multiSig.cancelTransaction(taskArgs.id));
+  });
+
+multisigTask("multisig:execute", "Executes a proposal that reached quorum")
+  .addParam("id", "Proposal id", undefined, types.int)
+  .setAction(async (taskArgs, hre) => {
+    const { multiSig, signer } = await connectMultiSig(hre, taskArgs);
+    const proposal = await readProposal(multiSig, taskArgs.id);
+
+    // Checked here first to give a readable reason instead of a bare revert
+    if (proposal.status === "executed" || proposal.status === "rejected" || proposal.status === "expired") {
+      throw new Error(`Proposal #${taskArgs.id} is ${proposal.status}`);
+    }
+    if (!proposal.quorum.met) {
+      throw new Error(
+        `Proposal #${taskArgs.id} has ${proposal.quorum.votes} of the ${proposal.quorum.required} votes it needs`
+      );
+    }
+
+    await send(
+      `Executed #${taskArgs.id}: ${formatAmount(proposal)} to ${proposal.recipient} as ${signer.address}`,
+      multiSig.finalizeTransaction(taskArgs.id)
+    );
+  });
+
+multisigTask("multisig:sign", "Signs an off-chain approval of a proposal")
+  .addParam("id", "Proposal id", undefined, types.int)
+  .addOptionalParam("out", "File to write the approval to (defaults to printing it)")
+  .setAction(async (taskArgs, hre) => {
+    const { multiSig, signer } = await connectMultiSig(hre, taskArgs);
+    const approval = await signApproval(signer, multiSig, taskArgs.id);
+    const json = JSON.stringify(approval, null, 2);
+
+    if (taskArgs.out) {
+      fs.writeFileSync(taskArgs.out, json + "\n");
+      console.log(`Approval of #${taskArgs.id} by ${signer.address} written to ${taskArgs.out}`);
+    } else {
+      console.log(json);
+    }
+    return approval;
+  });
+
+multisigTask("multisig:execute-signed", "Executes a proposal with off-chain approvals in one transaction")
+  .addParam("id", "Proposal id", undefined, types.int)
+  .addParam("approvals", "Comma separated files written by multisig:sign")
+  .setAction(async (taskArgs, hre) => {
+    const { multiSig, signer } = await connectMultiSig(hre, taskArgs);
+    const approvals = taskArgs.approvals
+      .split(",")
+      .map((file) => JSON.parse(fs.readFileSync(file.trim(), "utf8")));
+
+    const bundle = await aggregateApprovals(multiSig, taskArgs.id, approvals);
+    console.log(`Collected ${bundle.signatures.length} approvals: ${bundle.signers.join(", ")}`);
+
+    await send(`Executed #${taskArgs.id} as ${signer.address}`, executeWithSignatures(multiSig, bundle));
+  });
@@ -0,0 +1,88 @@
+const path = require("path");
+const { task, types } = require("hardhat/config");
+const { loadManifest } = require("../scripts/manifest");
+const {
+  snapshotPath,
+  readSnapshot,
+  writeSnapshot,
+  captureState,
+  simulate,
+  formatDiff,
+} = require("../scripts/simulation");
+const { parseAddress, parseAddressList } = require("./utils");
+
+/*
+    Simulation Tasks
+    - simulate:snapshot saves the state of the contracts in the network manifest to
+      snapshots/<network>.json (see scripts/simulation.js)
+    - simulate loads a snapshot into the in-process hardhat network, runs a script (--script) or a task
+      (--task with its --args) on it and prints what changed. No RPC is needed, nothing is sent to the
+      network the snapshot comes from and its manifest is left alone
+    - --as sends everything from an account of the snapshot (e.g. the owner), impersonated. Tasks also
+      take any address as --signer there
+*/
+
+task("simulate:snapshot", "Saves the state of the deployed contracts for offline simulations")
+  .addOptionalParam("out", "Snapshot file (defaults to snapshots/<network>.json)")
+  .addOptionalParam("accounts", "More comma separated accounts to save, e.g. signers or a reward token")
+  .addOptionalParam("block", "Block to save the state at (defaults to the latest)", undefined, types.int)
+  .setAction(async (taskArgs, hre) => {
+    const { chainId } = await hre.ethers.provider.getNetwork();
+    const manifest = loadManifest(hre.network.name, chainId);
+    if (Object.keys(manifest.contracts).length === 0) {
+      throw new Error(`Nothing to save, no contract is deployed on ${hre.network.name}`);
+    }
+    const accounts = parseAddressList(hre, taskArgs.accounts, "account");
+
+    const snapshot = await captureState(hre, manifest, { accounts, blockNumber: taskArgs.block });
+    const file = taskArgs.out || snapshotPath(hre.network.name);
+    writeSnapshot(file, snapshot);
+
+    const slots = Object.values(snapshot.accounts).reduce((count, account) => count + Object.keys(account.storage).length, 0);
+    console.log(
+      `Saved ${Object.keys(snapshot.accounts).length} accounts and ${slots} storage slots of ${hre.network.name} ` +
+        `at block ${snapshot.blockNumber} to ${file}`
+    );
+    return snapshot;
+  });
+
+task("simulate", "Runs a script or task on the state of a snapshot and prints what it changed")
+  .addParam("state", "Snapshot file written by simulate:snapshot")
+  .addOptionalParam("script", "Script exporting its main function, e.g. scripts/deploy.js")
+  .addOptionalParam("task", "Task to run instead, e.g. multisig:execute")
+  .addOptionalParam("args", "JSON object of the task arguments", "{}")
+  .addOptionalParam("as", "Account sending the transactions by default, impersonated")
+  .addOptionalParam("watch", "More comma separated accounts to compare the balance of")
+  .setAction(async (taskArgs, hre) => {
+    if (Boolean(taskArgs.script) === Boolean(taskArgs.task)) {
+      throw new Error("Give either a --script or a --task to simulate");
+    }
+    const snapshot = readSnapshot(taskArgs.state);
+    const as = taskArgs.as && parseAddress(hre, taskArgs.as, "--as");
+    const watch = parseAddressList(hre, taskArgs.watch, "watched");
+
+    let run;
+    if (taskArgs.script) {
+      const exported = require(path.resolve(taskArgs.script));
+      const main = typeof exported === "function" ? exported : exported.main;
+      if (typeof main !== "function") {
+        throw new Error(`${taskArgs.script} should export its main function to be simulated, like scripts/deploy.js`);
+      }
+      run = () => main(hre);
+    } else {
+      let args;
+      try {
+        args = JSON.parse(taskArgs.args);
+      } catch (error) {
+        throw new Error(`--args should be a JSON object: ${error.message}`);
+      }
+      run = () => hre.run(taskArgs.task, args);
+    }
+
+    console.log(`Simulating ${taskArgs.script || taskArgs.task} on ${snapshot.network} at block ${snapshot.blockNumber}`);
+    const { changes, manifest } = await simulate(hre, snapshot, run, { as, watch });
+
+    console.log();
+    console.log(formatDiff(changes, manifest));
+    return changes;
+  });
@@ -0,0 +1,150 @@
+const { task, types } = require("hardhat/config");
+const { loadManifest, manifestPath, isPersisted } = require("../scripts/manifest");
+const { list_Collection } = require("../scripts/systems");
+const { readStaker, readRunway, readPositions, formatDuration } = require("../scripts/staking");
+const { parseAddress, resolveSigner, resolveAddress } = require("./utils");
+
+/*
+    Staking Tasks
+    - Lists and configures the collections an NFT_Staker accepts after its deployment
+    - Reports the reward funds and how long they last (staking:status), tops them up (staking:top-up)
+    - Prints the tokens an owner has staked with their pending reward (staking:positions)
+    - The staker defaults to the NFT_Staker recorded in the network manifest, --address overrides it
+    - --signer picks the account sending the transaction (the staker owner), by index or private key
+*/
+
+async function connectStaker(hre, taskArgs) {
+  const address = await resolveAddress(hre, taskArgs.address, "NFT_Staker");
+  const signer = await resolveSigner(hre, taskArgs.signer);
+  const staker = await hre.ethers.getContractAt("NFT_Staker", address, signer);
+  return { staker, signer };
+}
+
+// Every staking task takes the same two options
+function stakingTask(name, description) {
+  return task(name, description)
+    .addOptionalParam("address", "NFT_Staker address (defaults to the one in the deployment manifest)")
+    .addOptionalParam("signer", "Account index or private key of the sender (defaults to account #0)");
+}
+
+// Symbol and decimals of the reward currency, ETH unless the staker pays in a token
+async function rewardCurrency(hre, rewardToken) {
+  if (rewardToken === hre.ethers.constants.AddressZero) {
+    return { symbol: "ETH", decimals: 18 };
+  }
+  const token = await hre.ethers.getContractAt("ERC20", rewardToken);
+  return { token, symbol: await token.symbol(), decimals: await token.decimals() };
+}
+
+function printCollections(collections, targetNFT) {
+  for (const collection of collections) {
+    const label = collection.address === targetNFT ? " (default)" : "";
+    console.log(`  ${collection.address}${label}: ${collection.listed ? "listed" : "delisted"}`);
+    console.log(`      lock-in: ${collection.lockInPeriod}s, reward: ${collection.rewardPerSecond.toString()} per second`);
+  }
+}
+
+stakingTask("staking:status", "Prints the reward funds of the staker and how long they last")
+  .setAction(async (taskArgs, hre) => {
+    const { staker } = await connectStaker(hre, taskArgs);
+    const { collections, isStaking, targetNFT } = await readStaker(staker);
+    const runway = await readRunway(staker);
+    const { symbol, decimals } = await rewardCurrency(hre, runway.rewardToken);
+    const format = (amount) => `${hre.ethers.utils.formatUnits(amount, decimals)} ${symbol}`;
+
+    console.log(`NFT_Staker ${staker.address}: ${isStaking ? "accepting" : "not accepting"} stakes`);
+    console.log(`Rewards paid in ${symbol}${symbol === "ETH" ? "" : ` (${runway.rewardToken})`}`);
+    console.log(`  funds:  ${format(runway.funds)}`);
+    console.log(`  owed:   ${format(runway.owed)}`);
+    console.log(`  rate:   ${format(runway.rate)} per second`);
+    if (runway.secondsLeft === null) {
+      console.log("  runway: unlimited at the current rate");
+    } else if (runway.secondsLeft === 0) {
+      console.log("  runway: exhausted, stakers are owed more than the funds");
+    } else {
+      const until = new Date(Date.now() + runway.secondsLeft * 1000).toISOString();
+      console.log(`  runway: ${formatDuration(runway.secondsLeft)} (until about ${until})`);
+    }
+    console.log("Collections:");
+    printCollections(collections, targetNFT);
+    return runway;
+  });
+
+stakingTask("staking:top-up", "Adds reward funds to the staker, in ether or in the reward token")
+  .addParam("amount", "Amount in ether, or in tokens (with decimals) for a token reward")
+  .setAction(async (taskArgs, hre) => {
+    const { staker, signer } = await connectStaker(hre, taskArgs);
+    const { token, symbol, decimals } = await rewardCurrency(hre, await staker.rewardToken());
+    const amount = hre.ethers.utils.parseUnits(taskArgs.amount, decimals);
+
+    let tx;
+    if (token) {
+      await (await token.connect(signer).approve(staker.address, amount)).wait();
+      tx = await staker.topUpRewards(amount);
+    } else {
+      tx = await staker.topUpRewards(amount, { value: amount });
+    }
+    const receipt = await tx.wait();
+    console.log(
+      `Topped up ${taskArgs.amount} ${symbol} as ${signer.address} (tx ${receipt.transactionHash}, block ${receipt.blockNumber})`
+    );
+  });
+
+stakingTask("staking:positions", "Prints the tokens an owner has staked, with their start time and pending reward")
+  .addParam("owner", "Address of the staker")
+  .setAction(async (taskArgs, hre) => {
+    const { staker } = await connectStaker(hre, taskArgs);
+    const owner = parseAddress(hre, taskArgs.owner, "owner");
+    const positions = await readPositions(staker, owner);
+    const { symbol, decimals } = await rewardCurrency(hre, await staker.rewardToken());
+    const format = (amount) => `${hre.ethers.utils.formatUnits(amount, decimals)} ${symbol}`;
+
+    console.log(`${owner} has ${positions.length} tokens staked in ${staker.address}`);
+    for (const position of positions) {
+      const stakedAt = new Date(position.stakedAt * 1000).toISOString();
+      console.log(`  ${position.collection} #${position.tokenId}`);
+      console.log(`      staked:  ${stakedAt} (${formatDuration(position.duration)} ago, ${position.unlocked ? "unlocked" : "locked"})`);
+      console.log(`      reward:  ${format(position.reward)}`);
+    }
+    console.log(`Pending reward: ${format(await staker.pendingReward(owner))}`);
+    return positions;
+  });
+
+stakingTask("staking:collections", "Prints the collections of the staker with their lock-in period and reward")
+  .setAction(async (taskArgs, hre) => {
+    const { staker } = await connectStaker(hre, taskArgs);
+    const { collections, isStaking, targetNFT } = await readStaker(staker);
+
+    console.log(`NFT_Staker ${staker.address}: ${isStaking ? "accepting" : "not accepting"} stakes`);
+    printCollections(collections, targetNFT);
+    return collections;
+  });
+
+stakingTask("staking:set-collection", "Lists a collection on the staker, or updates its settings")
+  .addParam("collection", "ERC721 collection address")
+  .addParam("lockin", "Lock-in period in seconds", undefined, types.int)
+  .addParam("reward", "Reward per second in wei")
+  .setAction(async (taskArgs, hre) => {
+    const { staker } = await connectStaker(hre, taskArgs);
+    const { chainId } = await hre.ethers.provider.getNetwork();
+    // Recorded as a step of the manifest like the collections listed at deployment
+    const manifest = loadManifest(hre.network.name, chainId);
+
+    await list_Collection(manifest, staker, {
+      address: parseAddress(hre, taskArgs.collection, "collection"),
+      lockin: taskArgs.lockin,
+      reward: taskArgs.reward,
+    });
+    if (isPersisted(hre.network.name)) {
+      console.log("Manifest written to", manifestPath(hre.network.name));
+    }
+  });
+
+stakingTask("staking:delist-collection", "Stops accepting stakes of a collection, staked tokens stay redeemable")
+  .addParam("collection", "ERC721 collection address")
+  .setAction(async (taskArgs, hre) => {
+    const { staker, signer } = await connectStaker(hre, taskArgs);
+    const collection = parseAddress(hre, taskArgs.collection, "collection");
+    const receipt = await (await staker.delistCollection(collection)).wait();
+    console.log(`Delisted ${collection} as ${signer.address} (tx ${receipt.transactionHash}, block ${receipt.blockNumber})`);
+  });
@@ -0,0 +1,52 @@
+const { task } = require("hardhat/config");
+const { TASK_COMPILE } = require("hardhat/builtin-tasks/task-names");
+const { loadManifest, getDeployment, manifestPath, isPersisted } = require("../scripts/manifest");
+const { validateUpgrade, upgradeProxy } = require("../scripts/upgrades");
+const { resolveSigner } = require("./utils");
+
+/*
+    Upgrade Task
+    - `upgrade --name NFT_Staker --contract NFT_Staker_V2` checks the new implementation against the
+      storage layout recorded for the proxy, deploys it and points the proxy at it
+    - --dry-run only runs the checks, nothing is sent
+    - The proxy has to be in the network manifest (deploy:* --proxy), --signer is its owner
+*/
+
+task("upgrade", "Upgrades a contract deployed behind a proxy to a new implementation")
+  .addParam("name", "Deployment name of the proxy in the manifest, e.g. NFT_Staker")
+  .addParam("contract", "Contract name of the new implementation, e.g. NFT_Staker_V2")
+  .addFlag("dryRun", "Only check the new implementation")
+  .addOptionalParam("signer", "Account index or private key of the sender (defaults to account #0)")
+  .setAction(async (taskArgs, hre) => {
+    // The layout has to be the one of the sources as they are now
+    await hre.run(TASK_COMPILE, { quiet: true });
+
+    const { chainId } = await hre.ethers.provider.getNetwork();
+    const manifest = loadManifest(hre.network.name, chainId);
+    const record = getDeployment(manifest, taskArgs.name);
+    if (!record.proxy) {
+      throw new Error(`${taskArgs.name} is not deployed behind a proxy on ${hre.network.name}`);
+    }
+
+    const { contractName, address } = record.proxy.implementation;
+    console.log(`[${taskArgs.name}] ${record.address} runs ${contractName} at ${address}`);
+
+    if (taskArgs.dryRun) {
+      const problems = await validateUpgrade(hre, record, taskArgs.contract);
+      if (problems.length > 0) {
+        throw new Error(`${taskArgs.contract} can't replace ${contractName}:\n` + problems.map((p) => `  - ${p}`).join("\n"));
+      }
+      console.log(`${taskArgs.contract} can replace it, storage layout compatible`);
+      return { problems };
+    }
+
+    const signer = await resolveSigner(hre, taskArgs.signer);
+    await upgradeProxy(hre, manifest, taskArgs.name, taskArgs.contract, signer);
+    const upgraded = record.proxy.implementation;
+    console.log(`[${taskArgs.name}] upgraded to ${upgraded.contractName} at ${upgraded.address}`);
+
+    if (isPersisted(hre.network.name)) {
+      console.log("Manifest written to", manifestPath(hre.network.name));
+    }
+    return upgraded;
+  });
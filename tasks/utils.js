@@ -0,0 +1,83 @@
+const { loadManifest, getDeployment } = require("../scripts/manifest");
+const { isLeaked, normalizeKey } = require("../scripts/config");
+
+/*
+    Task Helpers
+    - Parsing and validation of the parameters shared by several tasks
+*/
+
+function parseAddress(hre, value, label) {
+  if (!hre.ethers.utils.isAddress(value)) {
+    throw new Error(`Invalid ${label} address: ${value}`);
+  }
+  return hre.ethers.utils.getAddress(value);
+}
+
+function parseAddressList(hre, value, label) {
+  if (!value) return [];
+  return value.split(",").map((address) => parseAddress(hre, address.trim(), label));
+}
+
+// `address:lockin:reward` entries, comma separated: lock-in period in seconds and reward in wei per second
+function parseCollectionList(hre, value) {
+  if (!value) return [];
+  return value.split(",").map((entry) => {
+    const [address, lockin, reward] = entry.trim().split(":");
+    if (!/^\d+$/.test(lockin || "") || !/^\d+$/.test(reward || "")) {
+      throw new Error(`Invalid collection "${entry.trim()}", expected address:lockin:reward`);
+    }
+    return { address: parseAddress(hre, address, "collection"), lockin: parseInt(lockin, 10), reward };
+  });
+}
+
+// `--signer` is either the index of one of the configured accounts, a private key, or on the hardhat
+// network any address: it is impersonated, e.g. the owner of the contracts of a simulation. Like the
+// configured keys, a key once committed to this repository only signs on the hardhat network
+async function resolveSigner(hre, value) {
+  const signers = await hre.ethers.getSigners();
+  if (value === undefined) {
+    return signers[0];
+  }
+
+  if (/^\d+$/.test(value)) {
+    const signer = signers[parseInt(value, 10)];
+    if (!signer) {
+      throw new Error(`No account #${value}, the network has ${signers.length} accounts`);
+    }
+    return signer;
+  }
+
+  if (hre.ethers.utils.isAddress(value)) {
+    if (hre.network.name !== "hardhat") {
+      throw new Error(`--signer ${value}: only the hardhat network can send from an address without its key`);
+    }
+    await hre.network.provider.send("hardhat_impersonateAccount", [value]);
+    return hre.ethers.getSigner(value);
+  }
+
+  if (hre.network.name !== "hardhat" && isLeaked(normalizeKey(value))) {
+    throw new Error(`--signer was committed to this repository and must never be used on ${hre.network.name}`);
+  }
+  try {
+    return new hre.ethers.Wallet(value, hre.ethers.provider);
+  } catch (error) {
+    throw new Error("--signer should be an account index, a private key or an address");
+  }
+}
+
+// Returns `value` when given, otherwise the address recorded for `name` in the network manifest
+async function resolveAddress(hre, value, name) {
+  if (value) {
+    return parseAddress(hre, value, name);
+  }
+  const { chainId } = await hre.ethers.provider.getNetwork();
+  return getDeployment(loadManifest(hre.network.name, chainId), name).address;
+}
+
+module.exports = {
+  parseAddress,
+  parseAddressList,
+  parseCollectionList,
+  resolveSigner,
+  resolveAddress,
+};
@@ -0,0 +1,53 @@
+const { task } = require("hardhat/config");
+const { resolveEtherscanApiKey } = require("@nomiclabs/hardhat-etherscan/dist/src/resolveEtherscanApiKey");
+const { loadManifest } = require("../scripts/manifest");
+const { buildVerificationRequests, submitVerification } = require("../scripts/verify");
+
+/*
+    Verification Tasks
+    - verify:all submits every contract recorded for the selected network to etherscan
+    - --dry-run only prints the requests that would be sent, it never touches the network
+    - --api-url sends the requests somewhere else, e.g. a local stub server
+    - --manifest reads the records of another network, e.g. to dry run networks that no longer exist
+    - Contracts without an ABI hash matching the compiled one are skipped and reported, not submitted
+*/
+
+task("verify:all", "Verifies every contract recorded in the deployment manifest of the network")
+  .addOptionalParam("contracts", "Comma separated deployment names to verify (defaults to all)")
+  .addOptionalParam("manifest", "Network name of the manifest to read (defaults to the selected network)")
+  .addOptionalParam("apiUrl", "Verification API endpoint (defaults to the network's etherscan)")
+  .addFlag("dryRun", "Print the verification payloads instead of sending them")
+  .setAction(async (taskArgs, hre) => {
+    const { dryRun } = taskArgs;
+    const names = taskArgs.contracts ? taskArgs.contracts.split(",").map((name) => name.trim()) : [];
+
+    // The chain id is only checked when we are going to talk to the network anyway
+    const chainId = dryRun ? undefined : (await hre.ethers.provider.getNetwork()).chainId;
+    const manifest = loadManifest(taskArgs.manifest || hre.network.name, chainId);
+
+    // A dry run must work without any secret, the key is left out of the printed payloads
+    const apiKey = dryRun ? "" : resolveEtherscanApiKey(hre.config.etherscan.apiKey, hre.network.name);
+    const verifications = await buildVerificationRequests(hre, manifest, apiKey, names);
+
+    if (dryRun) {
+      // Hardhat exits as soon as the task returns, wait for the (large) payloads to be flushed first
+      await new Promise((resolve) => process.stdout.write(JSON.stringify(verifications, null, 2) + "\n", resolve));
+      return verifications;
+    }
+
+    const apiUrl = taskArgs.apiUrl || (await hre.run("verify:get-etherscan-endpoint")).urls.apiURL;
+
+    const results = [];
+    for (const verification of verifications) {
+      if (verification.skipped) {
+        console.log(`[${verification.name}] skipped: ${verification.skipped}`);
+        results.push(await submitVerification(apiUrl, verification));
+        continue;
+      }
+      console.log(`Verifying [${verification.name}] at ${verification.address}...`);
+      const result = await submitVerification(apiUrl, verification);
+      console.log(`[${verification.name}] ${result.status}${result.reason ? `: ${result.reason}` : ""}`);
+      results.push(result);
+    }
+    return results;
+  });
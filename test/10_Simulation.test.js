@@ -0,0 +1,143 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const { parseEther } = require("ethers/lib/utils");
+const { ethers } = require("hardhat");
+const hre = require("hardhat");
+const { loadFixture, systemsFixture } = require("../scripts/fixtures");
+const { loadManifest } = require("../scripts/manifest");
+const { captureState, loadState, simulate, formatDiff, writeSnapshot, readSnapshot } = require("../scripts/simulation");
+
+// Owns the staker and the token in the snapshot, nobody has its key
+const COLD_OWNER = "0x000000000000000000000000000000000000c0DE";
+
+describe("Simulation", function () {
+  let erc1155, token, staker, multiSigWallet, manifest;
+
+  // The three systems with a stake and a proposal ready to execute, saved then wiped from the chain:
+  // the simulations only have the snapshot to go on
+  async function capturedFixture() {
+    const [owner, acct1, acct2] = await ethers.getSigners();
+    const systems = await loadFixture(hre, systemsFixture, { staking: { funding: "1" }, multiSig: { funding: "2" } });
+    ({ erc1155, token, staker, multiSigWallet } = systems);
+    manifest = JSON.parse(JSON.stringify(systems.manifest));
+
+    await token.connect(acct1).mint();
+    await token.connect(acct1).setApprovalForAll(staker.address, true);
+    await staker.connect(acct1).stake(token.address, 0);
+    await multiSigWallet.addSigner(acct1.address);
+    await multiSigWallet.createEthTransaction(acct2.address, parseEther("1"), "Simulated");
+    await multiSigWallet.approveTransaction(0);
+    await multiSigWallet.connect(acct1).approveTransaction(0);
+    await staker.transferOwnership(COLD_OWNER);
+    await erc1155.transferOwnership(COLD_OWNER);
+    await owner.sendTransaction({ to: COLD_OWNER, value: parseEther("1") });
+
+    const snapshot = await captureState(hre, manifest, { accounts: [owner.address, acct1.address, acct2.address, COLD_OWNER] });
+    for (const [address, account] of Object.entries(snapshot.accounts)) {
+      await ethers.provider.send("hardhat_setCode", [address, "0x"]);
+      await ethers.provider.send("hardhat_setBalance", [address, "0x0"]);
+      for (const slot of Object.keys(account.storage)) {
+        await ethers.provider.send("hardhat_setStorageAt", [address, slot, ethers.utils.hexZeroPad("0x0", 32)]);
+      }
+    }
+    // As read back from its file
+    return JSON.parse(JSON.stringify(snapshot));
+  }
+
+  it("should save and load back the contracts with their storage and balances", async function () {
+    const [owner, acct1] = await ethers.getSigners();
+    const snapshot = await capturedFixture();
+
+    expect(snapshot.blockNumber).to.equal(await ethers.provider.getBlockNumber());
+    expect(Object.keys(snapshot.accounts)).to.include.members([staker.address, multiSigWallet.address, owner.address, COLD_OWNER]);
+    expect(Object.keys(snapshot.accounts[staker.address].storage)).to.not.be.empty;
+    expect(snapshot.accounts[multiSigWallet.address].balance).to.equal(parseEther("2").toString());
+    expect(await ethers.provider.getCode(staker.address)).to.equal("0x");
+
+    await loadState(hre, snapshot);
+    expect(await token.ownerOf(0)).to.equal(staker.address);
+    expect((await staker.stakes(token.address, 0)).owner).to.equal(acct1.address);
+    expect(await staker.owner()).to.equal(COLD_OWNER);
+    expect(await staker.isStaking()).to.equal(true);
+    expect(await erc1155.treasury()).to.equal(owner.address);
+    expect(await multiSigWallet.getSigners()).to.deep.equal([acct1.address]);
+    expect((await multiSigWallet.quorumStatus(0)).votes).to.equal(2);
+    expect(await ethers.provider.getBalance(multiSigWallet.address)).to.equal(parseEther("2"));
+  });
+
+  it("should report what admin calls change, sent as the owner without its key", async function () {
+    const [, acct1, acct2] = await ethers.getSigners();
+    const snapshot = await capturedFixture();
+
+    const { changes, manifest: simulated } = await simulate(
+      hre,
+      snapshot,
+      async () => {
+        const { chainId } = await ethers.provider.getNetwork();
+        const records = loadManifest("hardhat", chainId).contracts;
+        const [sender] = await ethers.getSigners();
+        await (await ethers.getContractAt("NFT_Staker", records.NFT_Staker.address, sender)).setReward(500);
+        await (await ethers.getContractAt("ERC1155_Token", records.ERC1155_Token.address, sender)).updateTreasury(acct2.address);
+        await (await ethers.getContractAt("NFT_Staker", records.NFT_Staker.address, sender)).transferOwnership(acct1.address);
+      },
+      { as: COLD_OWNER }
+    );
+
+    expect(changes).to.deep.include({ section: "values", key: "NFT_Staker.rewardPerSecond", before: parseEther("0.001").toString(), after: "500" });
+    expect(changes).to.deep.include({ section: "values", key: "ERC1155_Token.treasury", before: snapshot.manifest.contracts.ERC1155_Token.deployer, after: acct2.address });
+    expect(changes).to.deep.include({ section: "owners", key: "NFT_Staker", before: COLD_OWNER, after: acct1.address });
+    // Only the impersonated owner paid gas
+    expect(changes.filter((change) => change.section === "balances").map((change) => change.key)).to.deep.equal([COLD_OWNER]);
+
+    const printed = formatDiff(changes, simulated);
+    expect(printed).to.contain(`Owners\n  NFT_Staker: ${COLD_OWNER} -> ${acct1.address}`);
+    expect(printed).to.contain("  NFT_Staker.rewardPerSecond: 1000000000000000 -> 500");
+
+    // The manifest of the simulation is gone with it, the signers are back
+    const { chainId } = await ethers.provider.getNetwork();
+    expect(loadManifest("hardhat", chainId).contracts).to.deep.equal({});
+    expect((await ethers.getSigners())[0].address).to.not.equal(COLD_OWNER);
+  });
+
+  it("should execute a multisig proposal through its task from a snapshot file", async function () {
+    const [, acct1, acct2] = await ethers.getSigners();
+    const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "snapshot-")), "testnet.json");
+    writeSnapshot(file, await capturedFixture());
+
+    const changes = await hre.run("simulate", {
+      state: file,
+      task: "multisig:execute",
+      args: JSON.stringify({ id: 0, signer: acct1.address }),
+    });
+    const balances = Object.fromEntries(
+      changes.filter((change) => change.section === "balances").map((change) => [change.key, change])
+    );
+    expect(balances[multiSigWallet.address]).to.include({ before: parseEther("2").toString(), after: parseEther("1").toString() });
+    expect(ethers.BigNumber.from(balances[acct2.address].after).sub(balances[acct2.address].before)).to.equal(parseEther("1"));
+    expect(Object.keys(balances)).to.have.members([multiSigWallet.address, acct1.address, acct2.address]);
+  });
+
+  it("should rehearse the deploy script, resuming from the snapshot's manifest", async function () {
+    const snapshot = await capturedFixture();
+    snapshot.network = "rehearsal";
+    // Only the ERC1155 token made it to the network so far
+    for (const name of Object.keys(snapshot.manifest.contracts)) {
+      if (name !== "ERC1155_Token") delete snapshot.manifest.contracts[name];
+    }
+    snapshot.manifest.steps = { "ERC1155_Token.deploy": snapshot.manifest.steps["ERC1155_Token.deploy"] };
+    const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "snapshot-")), "rehearsal.json");
+    writeSnapshot(file, snapshot);
+
+    const { changes, manifest: simulated } = await simulate(hre, readSnapshot(file), () =>
+      require("../scripts/deploy")()
+    );
+    const deployed = changes.filter((change) => change.section === "contracts");
+    expect(deployed.map((change) => change.key)).to.deep.equal(["NFT_Token", "NFT_Staker", "Simple_Token", "Multi_Sig"]);
+    expect(deployed.every((change) => change.before === null)).to.equal(true);
+    expect(simulated.contracts.ERC1155_Token.address).to.equal(erc1155.address);
+    expect(await ethers.provider.getCode(simulated.contracts.Multi_Sig.address)).to.not.equal("0x");
+    expect(fs.existsSync(path.join(__dirname, "..", "deployments", "rehearsal.json"))).to.equal(false);
+  });
+});
@@ -1,27 +1,17 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
 const { expect } = require("chai");
-const { loadFixture } = require("ethereum-waffle");
+const { parseEther } = require("ethers/lib/utils");
 const { ethers } = require("hardhat");
+const hre = require("hardhat");
+const { parseMintCsv, parseMintJson, readToken, readRoyalties } = require("../scripts/erc1155");
+const { metadataFileName, tokenIdOfFile, buildMetadata, writeMetadata, checkMetadata } = require("../scripts/metadata");
+const { loadFixture, erc1155Fixture } = require("../scripts/fixtures");
 
-let contract;
-
-describe.only("ERC1155", function () {
-  beforeEach(async () => {
-    const [_, acct1] = await ethers.getSigners();
-
-    const ERC1155_Token = await ethers.getContractFactory("ERC1155_Token");
-    contract = await ERC1155_Token.deploy(acct1.address);
-    await contract.deployed();
-  });
-
-  // We define a fixture to reuse the same setup in every test.
-  // We use loadFixture to run this setup once, snapshot that state,
-  // and reset Hardhat Network to that snapshopt in every test.
-  async function testFixture() {
-    // Contracts are deployed using the first signer/account by default
-    const [owner, acct1, acct2] = await ethers.getSigners();
-
-    return { contract, owner, acct1, acct2 };
-  }
+describe("ERC1155", function () {
+  // loadFixture deploys the token once (acct1 is the treasury), snapshots that state and reverts
+  // Hardhat Network to that snapshot whenever a test loads it again
 
   /*
       ERC1155 Token
@@ -38,13 +28,15 @@ describe.only("ERC1155", function () {
   */
 
   it("should be deployable (and set the right owner)", async function () {
-    const { owner } = await loadFixture(testFixture);
+    const [owner, acct1] = await ethers.getSigners();
+    const { erc1155: contract } = await loadFixture(hre, erc1155Fixture, { treasury: acct1.address });
     expect(await contract.owner()).to.equal(owner.address);
   });
 
   describe("Tokens", async function () {
     it("should be able to be minted only by owner and only takes URI", async function () {
-      let { acct1 } = await loadFixture(testFixture);
+      const [, acct1] = await ethers.getSigners();
+      const { erc1155: contract } = await loadFixture(hre, erc1155Fixture, { treasury: acct1.address });
 
       await contract.mint("http://test.com/1.json");
 
@@ -58,7 +50,8 @@ describe.only("ERC1155", function () {
     });
 
     it("should track how many tokens were minted", async function () {
-      await loadFixture(testFixture);
+      const [, acct1] = await ethers.getSigners();
+      const { erc1155: contract } = await loadFixture(hre, erc1155Fixture, { treasury: acct1.address });
 
       expect(await contract.tokenId()).to.equal("0");
       await contract.mint("http://test.com/1.json");
@@ -68,7 +61,8 @@ describe.only("ERC1155", function () {
     });
 
     it("should acccept unique URI for each token", async function () {
-      await loadFixture(testFixture);
+      const [, acct1] = await ethers.getSigners();
+      const { erc1155: contract } = await loadFixture(hre, erc1155Fixture, { treasury: acct1.address });
 
       const baseURI1 = "http://testv1.com/";
       const baseURI2 = "http://testv2.com/";
@@ -79,7 +73,8 @@ describe.only("ERC1155", function () {
     });
 
     it("URI should be changeable by owner", async function () {
-      const { acct1 } = await loadFixture(testFixture);
+      const [, acct1] = await ethers.getSigners();
+      const { erc1155: contract } = await loadFixture(hre, erc1155Fixture, { treasury: acct1.address });
 
       const baseURI1 = "http://testv1.com/";
       const baseURI2 = "http://testv2.com/";
@@ -97,7 +92,8 @@ describe.only("ERC1155", function () {
     });
 
     it("ID should be autogenerated and incremental", async function () {
-      await loadFixture(testFixture);
+      const [, acct1] = await ethers.getSigners();
+      const { erc1155: contract } = await loadFixture(hre, erc1155Fixture, { treasury: acct1.address });
 
       await contract.mint("test");
       await contract.mint("b");
@@ -108,7 +104,8 @@ describe.only("ERC1155", function () {
     });
 
     it("should be minted to the treasury address", async function () {
-      const { acct1 } = await loadFixture(testFixture);
+      const [, acct1] = await ethers.getSigners();
+      const { erc1155: contract } = await loadFixture(hre, erc1155Fixture, { treasury: acct1.address });
 
       const treasuryAddress = await contract.treasury();
       // Acct1 is the declared treasury of this contract when it was created.
@@ -126,9 +123,368 @@ describe.only("ERC1155", function () {
     });
   });
 
+  describe("Editions", async function () {
+    it("should mint editions to any recipient up to their max supply", async function () {
+      const [, acct1, acct2] = await ethers.getSigners();
+      const { erc1155: contract } = await loadFixture(hre, erc1155Fixture, { treasury: acct1.address });
+
+      await contract.mint("http://one.com/");
+      await expect(contract.mintTo(acct2.address, "http://edition.com/", 3, 5))
+        .to.emit(contract, "TokenMinted").withArgs(1, acct2.address, "http://edition.com/", 5)
+        .and.to.emit(contract, "EditionMinted").withArgs(1, acct2.address, 3, 3);
+      expect(await contract.balanceOf(acct2.address, 1)).to.equal(3);
+
+      await contract.mintEdition(1, acct1.address, 2);
+      expect(await contract.tokenSupply(1)).to.equal(5);
+      await expect(contract.mintEdition(1, acct1.address, 1)).to.be.revertedWith("Max supply exceeded");
+      // Ids minted with mint() stay one of a kind
+      await expect(contract.mintEdition(0, acct2.address, 1)).to.be.revertedWith("Max supply exceeded");
+      await expect(contract.mintEdition(2, acct2.address, 1)).to.be.revertedWith("Token ID is out of range");
+
+      const edition = await readToken(contract, 1);
+      expect(edition.uri).to.equal("http://edition.com/2.json");
+      expect(edition.supply).to.equal(5);
+      expect(edition.maxSupply).to.equal(5);
+    });
+
+    it("should leave editions with no max supply open", async function () {
+      const [, acct1, acct2] = await ethers.getSigners();
+      const { erc1155: contract } = await loadFixture(hre, erc1155Fixture, { treasury: acct1.address });
+
+      await contract.mintTo(acct2.address, "http://open.com/", 10, 0);
+      await contract.mintEdition(0, acct2.address, 1000);
+      expect(await contract.balanceOf(acct2.address, 0)).to.equal(1010);
+      expect((await readToken(contract, 0)).maxSupply).to.equal(null);
+
+      await expect(contract.mintTo(acct2.address, "http://big.com/", 6, 5)).to.be.revertedWith("Max supply exceeded");
+      await expect(contract.mintTo(acct2.address, "http://none.com/", 0, 5)).to.be.revertedWith("Amount should be positive");
+      await expect(contract.connect(acct2).mintTo(acct2.address, "http://x.com/", 1, 1)).to.be.revertedWith(
+        "Ownable: caller is not the owner"
+      );
+    });
+  });
+
+  describe("Batch Minting", async function () {
+    it("should mint consecutive ids with their own URI and supply in one transaction", async function () {
+      const [owner, acct1, acct2] = await ethers.getSigners();
+      const { erc1155: contract } = await loadFixture(hre, erc1155Fixture, { treasury: acct1.address });
+
+      await contract.mint("http://first.com/");
+      const uris = ["http://a.com/", "http://b.com/", "http://c.com/"];
+      await expect(contract.mintBatch(acct2.address, uris, [1, 5, 2], [1, 10, 0]))
+        .to.emit(contract, "TransferBatch")
+        .withArgs(owner.address, ethers.constants.AddressZero, acct2.address, [1, 2, 3], [1, 5, 2]);
+
+      expect(await contract.tokenId()).to.equal(4);
+      expect(await contract.uri(2)).to.equal("http://b.com/3.json");
+      expect(await contract.balanceOfBatch([acct2.address, acct2.address, acct2.address], [1, 2, 3])).to.deep.equal(
+        [1, 5, 2].map((amount) => ethers.BigNumber.from(amount))
+      );
+      expect(await contract.maxSupply(2)).to.equal(10);
+
+      await expect(contract.mintBatch(acct2.address, [], [], [])).to.be.revertedWith("No tokens given");
+      await expect(contract.mintBatch(acct2.address, uris, [1, 1], [1, 1, 1])).to.be.revertedWith(
+        "Array lengths don't match"
+      );
+      // One bad entry reverts the whole batch
+      await expect(contract.mintBatch(acct2.address, uris, [1, 2, 1], [1, 1, 1])).to.be.revertedWith(
+        "Max supply exceeded"
+      );
+      expect(await contract.tokenId()).to.equal(4);
+    });
+
+    it("should read CSV and JSON mint lists", async function () {
+      const csv = "# drop 1\nuri,amount,maxSupply\nhttp://a.com/,,\nhttp://b.com/,5,\nhttp://c.com/,2,0\n";
+      expect(parseMintCsv(csv)).to.deep.equal([
+        { uri: "http://a.com/", amount: "1", maxSupply: "1" },
+        { uri: "http://b.com/", amount: "5", maxSupply: "5" },
+        { uri: "http://c.com/", amount: "2", maxSupply: "0" },
+      ]);
+      expect(parseMintJson('["http://a.com/", {"uri": "http://b.com/", "amount": 5, "maxSupply": 10}]')).to.deep.equal([
+        { uri: "http://a.com/", amount: "1", maxSupply: "1" },
+        { uri: "http://b.com/", amount: "5", maxSupply: "10" },
+      ]);
+
+      expect(() => parseMintCsv("uri,price\nhttp://a.com/,1")).to.throw('Unknown column "price"');
+      expect(() => parseMintCsv("uri,amount\nhttp://a.com/")).to.throw("Line 2 has 1 columns, the header has 2");
+      expect(() => parseMintCsv("uri,amount,maxSupply\nhttp://a.com/,3,2")).to.throw(
+        "Line 2 mints 3 units, over its max supply of 2"
+      );
+      expect(() => parseMintJson('[{"amount": 1}]')).to.throw("Entry #0 has no uri");
+      expect(() => parseMintJson('[{"uri": "a", "amount": -1}]')).to.throw("Entry #0 amount should be a whole number");
+    });
+
+    it("should be minted from a list by the mint-batch task", async function () {
+      const [, acct1, acct2] = await ethers.getSigners();
+      const { erc1155: contract } = await loadFixture(hre, erc1155Fixture, { treasury: acct1.address });
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), "mint-list-"));
+      const csv = path.join(dir, "drop.csv");
+      fs.writeFileSync(csv, "uri,amount\nhttp://a.com/,1\nhttp://b.com/,3\nhttp://c.com/,1\n");
+
+      const ids = await hre.run("erc1155:mint-batch", { file: csv, address: contract.address, batchSize: 2 });
+      expect(ids).to.deep.equal([0, 1, 2]);
+      expect(await contract.balanceOf(acct1.address, 1)).to.equal(3);
+      expect(await contract.maxSupply(1)).to.equal(3);
+
+      const json = path.join(dir, "drop.json");
+      fs.writeFileSync(json, JSON.stringify([{ uri: "http://d.com/", amount: 2, maxSupply: 0 }]));
+      await hre.run("erc1155:mint-batch", { file: json, address: contract.address, to: acct2.address });
+      expect(await contract.balanceOf(acct2.address, 3)).to.equal(2);
+    });
+  });
+
+  describe("Metadata", async function () {
+    let imagesDir;
+
+    beforeEach(() => {
+      imagesDir = fs.mkdtempSync(path.join(os.tmpdir(), "images-"));
+      for (const image of ["a.png", "b.png", "c.jpg", "notes.txt"]) {
+        fs.writeFileSync(path.join(imagesDir, image), "");
+      }
+    });
+
+    it("should name the files the way uri() requests them", async function () {
+      const [, acct1] = await ethers.getSigners();
+      const { erc1155: contract } = await loadFixture(hre, erc1155Fixture, { treasury: acct1.address });
+
+      expect(metadataFileName(0)).to.equal("1.json");
+      expect(tokenIdOfFile("1.json")).to.equal(0);
+      expect(tokenIdOfFile("0.json")).to.equal(null);
+      expect(tokenIdOfFile("01.json")).to.equal(null);
+
+      await contract.mint("ipfs://meta/");
+      await contract.mint("ipfs://meta/");
+      for (const tokenId of [0, 1]) {
+        expect(await contract.uri(tokenId)).to.equal(`ipfs://meta/${metadataFileName(tokenId)}`);
+      }
+    });
+
+    it("should build metadata from a spec and a folder of images", async function () {
+      const spec = {
+        name: "Drop",
+        description: "The first drop",
+        imageBaseURI: "ipfs://images/",
+        tokens: [
+          { tokenId: 1, image: "b.png", name: "Bee", attributes: [{ trait_type: "Wings", value: 2 }] },
+          { tokenId: 0, image: "a.png" },
+        ],
+      };
+      const entries = buildMetadata(spec, imagesDir);
+
+      expect(entries.map((entry) => entry.fileName)).to.deep.equal(["1.json", "2.json"]);
+      expect(entries[0].metadata).to.deep.equal({
+        name: "Drop #1",
+        description: "The first drop",
+        image: "ipfs://images/a.png",
+        attributes: [],
+      });
+      expect(entries[1].metadata).to.include({ name: "Bee", image: "ipfs://images/b.png" });
+
+      // Without tokens every image is a token, in file name order
+      const fromImages = buildMetadata({ imageBaseURI: "ipfs://images/" }, imagesDir);
+      expect(fromImages.map((entry) => [entry.tokenId, entry.metadata.image])).to.deep.equal([
+        [0, "ipfs://images/a.png"],
+        [1, "ipfs://images/b.png"],
+        [2, "ipfs://images/c.jpg"],
+      ]);
+
+      const specFile = path.join(imagesDir, "spec.json");
+      const out = path.join(imagesDir, "metadata");
+      fs.writeFileSync(specFile, JSON.stringify(spec));
+      await hre.run("metadata:build", { spec: specFile, images: imagesDir, out });
+      expect(fs.readdirSync(out).sort()).to.deep.equal(["1.json", "2.json"]);
+      expect(JSON.parse(fs.readFileSync(path.join(out, "2.json"), "utf8")).name).to.equal("Bee");
+    });
+
+    it("should report every problem of a spec at once", async function () {
+      const spec = {
+        tokens: [
+          { image: "a.png", colour: "red" },
+          { tokenId: 0, image: "z.png" },
+          { image: "b.png", attributes: [{ trait_type: "Wings" }] },
+        ],
+      };
+      expect(() => buildMetadata(spec, imagesDir)).to.throw("imageBaseURI is required");
+
+      spec.imageBaseURI = "ipfs://images/";
+      let message;
+      try {
+        buildMetadata(spec, imagesDir);
+      } catch (error) {
+        message = error.message;
+      }
+      expect(message).to.contain('Token #0 has an unknown key "colour"');
+      expect(message).to.contain("Token #0 is in the spec twice");
+      expect(message).to.contain("Token #0 image z.png is not in");
+      expect(message).to.contain("Token #2 attributes should be a list of { trait_type, value }");
+    });
+
+    it("should check every minted id against the generated files", async function () {
+      const [, acct1] = await ethers.getSigners();
+      const { erc1155: contract } = await loadFixture(hre, erc1155Fixture, { treasury: acct1.address });
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), "metadata-"));
+      writeMetadata(dir, buildMetadata({ imageBaseURI: "ipfs://images/" }, imagesDir));
+
+      await contract.mint("ipfs://meta/");
+      await contract.mint("ipfs://meta/");
+      let report = await checkMetadata(contract, dir, "ipfs://meta/");
+      expect(report).to.deep.equal({ minted: 2, problems: [], unminted: [2] });
+      expect((await hre.run("metadata:check", { dir, baseUri: "ipfs://meta/", address: contract.address })).minted)
+        .to.equal(2);
+
+      // A file named after the on-chain id, a token pointing elsewhere and one without a file
+      fs.writeFileSync(path.join(dir, "0.json"), "{}");
+      await contract.setURI(1, "ipfs://other/");
+      await contract.mint("ipfs://meta/");
+      await contract.mint("ipfs://meta/");
+      report = await checkMetadata(contract, dir, "ipfs://meta/");
+      expect(report.problems).to.deep.equal([
+        "#1: uri() is ipfs://other/2.json, expected ipfs://meta/2.json",
+        `#3: uri() is ipfs://meta/4.json, there is no 4.json in ${dir}`,
+        "0.json is never requested by uri(), the file of the first id is 1.json",
+      ]);
+
+      try {
+        await hre.run("metadata:check", { dir, address: contract.address });
+        expect.fail("metadata:check should fail");
+      } catch (error) {
+        expect(error.message).to.contain("there is no 4.json");
+        expect(error.message).to.not.contain("expected ipfs://meta/2.json");
+      }
+    });
+  });
+
+  describe("Royalties", async function () {
+    const SALE_PRICES = ["0", "1", "9999", "10000", "123456789", parseEther("1").toString(), parseEther("2.5").toString()];
+
+    function expectRoyalty(contract, receiver, fee) {
+      return Promise.all(
+        SALE_PRICES.map(async (price) => {
+          const [actualReceiver, amount] = await contract.royaltyInfo(0, price);
+          expect(actualReceiver).to.equal(receiver);
+          // EIP-2981 rounds down
+          expect(amount).to.equal(ethers.BigNumber.from(price).mul(fee).div(10000));
+        })
+      );
+    }
+
+    it("should advertise EIP-2981 next to ERC1155", async function () {
+      const [, acct1] = await ethers.getSigners();
+      const { erc1155: contract } = await loadFixture(hre, erc1155Fixture, { treasury: acct1.address });
+
+      expect(await contract.supportsInterface("0x2a55205a")).to.equal(true); // IERC2981
+      expect(await contract.supportsInterface("0xd9b67a26")).to.equal(true); // IERC1155
+      expect(await contract.supportsInterface("0xffffffff")).to.equal(false);
+    });
+
+    it("should pay the default royalty to the treasury, wherever it moves", async function () {
+      const [, acct1, acct2] = await ethers.getSigners();
+      const { erc1155: contract } = await loadFixture(hre, erc1155Fixture, { treasury: acct1.address });
+
+      await contract.mint("http://testv1.com/");
+      await expectRoyalty(contract, acct1.address, 0);
+
+      await expect(contract.setDefaultRoyalty(ethers.constants.AddressZero, 750))
+        .to.emit(contract, "DefaultRoyaltyUpdated").withArgs(acct1.address, 750);
+      await expectRoyalty(contract, acct1.address, 750);
+      expect((await contract.royaltyInfo(0, parseEther("1")))[1]).to.equal(parseEther("0.075"));
+
+      await contract.updateTreasury(acct2.address);
+      await expectRoyalty(contract, acct2.address, 750);
+    });
+
+    it("should keep a receiver set by the owner when the treasury moves", async function () {
+      const [owner, acct1, acct2] = await ethers.getSigners();
+      const { erc1155: contract } = await loadFixture(hre, erc1155Fixture, { treasury: acct1.address });
+
+      await contract.mint("http://testv1.com/");
+      await contract.setDefaultRoyalty(owner.address, 250);
+      await contract.updateTreasury(acct2.address);
+      await expectRoyalty(contract, owner.address, 250);
+
+      await expect(contract.connect(acct1).setDefaultRoyalty(acct1.address, 250)).to.be.revertedWith(
+        "Ownable: caller is not the owner"
+      );
+      await expect(contract.setDefaultRoyalty(owner.address, 10001)).to.be.revertedWith(
+        "ERC2981: royalty fee will exceed salePrice"
+      );
+    });
+
+    it("should let tokens override the default royalty", async function () {
+      const [owner, acct1, acct2] = await ethers.getSigners();
+      const { erc1155: contract } = await loadFixture(hre, erc1155Fixture, { treasury: acct1.address });
+
+      await contract.mint("http://testv1.com/");
+      await contract.mint("http://testv2.com/");
+      await contract.setDefaultRoyalty(ethers.constants.AddressZero, 500);
+      await expect(contract.setTokenRoyalty(0, acct2.address, 1000))
+        .to.emit(contract, "TokenRoyaltyUpdated").withArgs(0, acct2.address, 1000);
+
+      await expectRoyalty(contract, acct2.address, 1000);
+      expect(await contract.royaltyInfo(1, 10000)).to.deep.equal([acct1.address, ethers.BigNumber.from(500)]);
+      const royalties = await readRoyalties(contract, [0, 1], 10000);
+      expect(royalties.tokens.map((token) => token.amount.toNumber())).to.deep.equal([1000, 500]);
+      expect(royalties.defaultReceiver).to.equal(acct1.address);
+
+      // The default is back once the override is reset
+      await contract.resetTokenRoyalty(0);
+      await expectRoyalty(contract, acct1.address, 500);
+
+      await expect(contract.setTokenRoyalty(2, acct2.address, 1000)).to.be.revertedWith("Token ID is out of range");
+      await expect(contract.connect(acct2).setTokenRoyalty(0, acct2.address, 1000)).to.be.revertedWith(
+        "Ownable: caller is not the owner"
+      );
+      await expect(contract.connect(owner).setTokenRoyalty(0, ethers.constants.AddressZero, 300))
+        .to.emit(contract, "TokenRoyaltyUpdated").withArgs(0, acct1.address, 300);
+    });
+
+    it("should expose a contractURI set by the owner", async function () {
+      const [, acct1] = await ethers.getSigners();
+      const { erc1155: contract } = await loadFixture(hre, erc1155Fixture, { treasury: acct1.address });
+
+      expect(await contract.contractURI()).to.equal("");
+      await expect(contract.setContractURI("ipfs://collection.json"))
+        .to.emit(contract, "ContractURIUpdated").withArgs("ipfs://collection.json");
+      expect(await contract.contractURI()).to.equal("ipfs://collection.json");
+      await expect(contract.connect(acct1).setContractURI("x")).to.be.revertedWith("Ownable: caller is not the owner");
+    });
+
+    it("should be updated by the royalty task", async function () {
+      const [, acct1, acct2] = await ethers.getSigners();
+      const { erc1155: contract } = await loadFixture(hre, erc1155Fixture, { treasury: acct1.address });
+      const args = { address: contract.address };
+
+      await contract.mint("http://testv1.com/");
+      let royalties = await hre.run("erc1155:royalty", { ...args, fee: 500, contractUri: "ipfs://collection.json" });
+      expect(royalties).to.include({ defaultReceiver: acct1.address, followsTreasury: true, contractURI: "ipfs://collection.json" });
+      expect(royalties.defaultFee).to.equal(500);
+
+      royalties = await hre.run("erc1155:royalty", { ...args, tokenId: 0, fee: 1000, receiver: acct2.address, price: "2" });
+      expect(royalties.tokens[0]).to.include({ tokenId: 0, receiver: acct2.address });
+      expect(royalties.tokens[0].amount).to.equal(parseEther("0.2"));
+
+      royalties = await hre.run("erc1155:royalty", { ...args, tokenId: 0, reset: true });
+      expect(royalties.tokens[0].receiver).to.equal(acct1.address);
+
+      for (const [taskArgs, message] of [
+        [{ fee: 10001 }, "--fee should be between 0 and 10000 basis points"],
+        [{ receiver: acct2.address }, "--receiver needs a --fee"],
+        [{ reset: true }, "--reset needs a --token-id and no --fee"],
+      ]) {
+        try {
+          await hre.run("erc1155:royalty", { ...args, ...taskArgs });
+          expect.fail(`${message} expected`);
+        } catch (error) {
+          expect(error.message).to.equal(message);
+        }
+      }
+    });
+  });
+
   describe("Treasury", async function () {
     it("should be updatable by owner", async function () {
-      const { acct1, acct2 } = await loadFixture(testFixture);
+      const [, acct1, acct2] = await ethers.getSigners();
+      const { erc1155: contract } = await loadFixture(hre, erc1155Fixture, { treasury: acct1.address });
 
       let treasuryAddress = await contract.treasury();
       // Acct1 is the declared treasury of this contract when it was created.
@@ -169,4 +525,47 @@ describe.only("ERC1155", function () {
         .reverted;
     });
   });
+
+  describe("Events", async function () {
+    it("should be emitted on mint, URI change and treasury update", async function () {
+      const [, acct1, acct2] = await ethers.getSigners();
+      const { erc1155: contract } = await loadFixture(hre, erc1155Fixture, { treasury: acct1.address });
+
+      await expect(contract.mint("http://testv1.com/"))
+        .to.emit(contract, "TokenMinted")
+        .withArgs(0, acct1.address, "http://testv1.com/", 1)
+        .and.to.emit(contract, "EditionMinted")
+        .withArgs(0, acct1.address, 1, 1);
+
+      await expect(contract.setURI(0, "http://testv2.com/"))
+        .to.emit(contract, "TokenURIUpdated")
+        .withArgs(0, "http://testv2.com/");
+
+      await expect(contract.updateTreasury(acct2.address))
+        .to.emit(contract, "TreasuryUpdated")
+        .withArgs(acct1.address, acct2.address);
+    });
+  });
+
+  describe("Pause", async function () {
+    it("should stop minting and transfers until unpaused", async function () {
+      const [owner, acct1, acct2] = await ethers.getSigners();
+      const { erc1155: contract } = await loadFixture(hre, erc1155Fixture, { treasury: acct1.address });
+
+      await contract.mint("http://testv1.com/");
+      await expect(contract.connect(acct1).pause()).to.be.revertedWith("Ownable: caller is not the owner");
+      await expect(contract.pause()).to.emit(contract, "Paused").withArgs(owner.address);
+
+      await expect(contract.mint("http://testv2.com/")).to.be.revertedWith("Pausable: paused");
+      await expect(
+        contract.connect(acct1).safeTransferFrom(acct1.address, acct2.address, 0, 1, "0x")
+      ).to.be.revertedWith("ERC1155Pausable: token transfer while paused");
+
+      await contract.unpause();
+      await contract.connect(acct1).safeTransferFrom(acct1.address, acct2.address, 0, 1, "0x");
+      expect(await contract.balanceOf(acct2.address, 0)).to.equal(1);
+      await contract.mint("http://testv2.com/");
+      expect(await contract.tokenId()).to.equal(2);
+    });
+  });
 });
@@ -1,42 +1,18 @@
 const { expect } = require("chai");
-const { loadFixture } = require("ethereum-waffle");
 const { parseEther } = require("ethers/lib/utils");
 const { ethers } = require("hardhat");
+const hre = require("hardhat");
+const { readStaker, readRunway, readRewards, readStake, readPositions } = require("../scripts/staking");
+const { loadFixture, stakingFixture } = require("../scripts/fixtures");
 
-let token, staker;
 const LOCKIN_PERDIOD = 30; // in seconds
+// The NFT Token, then the staker with the lockin period and 1 ether to pay the rewards, activated to
+// accept tokens
+const STAKING_PARAMS = { lockin: LOCKIN_PERDIOD, funding: "1" };
 
 describe("NFT Token and Staking", function () {
-  beforeEach(async () => {
-    const [owner, acct1] = await ethers.getSigners();
-
-    const Token = await ethers.getContractFactory("NFT_Token");
-    const Staker = await ethers.getContractFactory("NFT_Staker");
-
-    // FIRST: Deploy the NFT Token
-    token = await Token.deploy();
-    await token.deployed();
-
-    // THEN: Deploy the staker by passing the token address, the lockin period and an initial ether balance
-    // Ether Balance was required in order for rewards to properly work
-    staker = await Staker.deploy(token.address, LOCKIN_PERDIOD, {
-      value: ethers.utils.parseEther("1"),
-    });
-    await staker.deployed();
-
-    // IMPORTANT: You have to activate the Staker to accept tokens
-    await staker.activateStake();
-  });
-
-  // We define a fixture to reuse the same setup in every test.
-  // We use loadFixture to run this setup once, snapshot that state,
-  // and reset Hardhat Network to that snapshopt in every test.
-  async function testFixture() {
-    // Contracts are deployed using the first signer/account by default
-    const [owner, acct1, acct2] = await ethers.getSigners();
-
-    return { token, staker, owner, acct1, acct2 };
-  }
+  // loadFixture deploys the system once, snapshots that state and reverts Hardhat Network to that
+  // snapshot whenever a test loads it again
 
   /*
     NFT Staking
@@ -54,12 +30,14 @@ describe("NFT Token and Staking", function () {
 
   describe("Token", async function () {
     it("should be deployable", async function () {
-      const { owner } = await loadFixture(testFixture);
+      const [owner] = await ethers.getSigners();
+      const { token } = await loadFixture(hre, stakingFixture, STAKING_PARAMS);
       expect(await token.owner()).to.equal(owner.address);
     });
 
     it("should be able to mint (max of 100)", async function () {
-      const { owner } = await loadFixture(testFixture);
+      const [owner] = await ethers.getSigners();
+      const { token } = await loadFixture(hre, stakingFixture, STAKING_PARAMS);
       await token.mint();
       expect(await token.ownerOf(0)).to.equal(owner.address);
 
@@ -80,12 +58,26 @@ describe("NFT Token and Staking", function () {
 
   describe("Staker", async function () {
     it("should be deployable", async function () {
-      const { owner } = await loadFixture(testFixture);
+      const [owner] = await ethers.getSigners();
+      const { staker } = await loadFixture(hre, stakingFixture, STAKING_PARAMS);
       expect(await staker.owner()).to.equal(owner.address);
     });
 
+    it("should hand ownership over only by owner", async function () {
+      const [, acct1] = await ethers.getSigners();
+      const { staker } = await loadFixture(hre, stakingFixture, STAKING_PARAMS);
+
+      await expect(staker.connect(acct1).transferOwnership(acct1.address)).to.be.revertedWith(
+        "Only accessible to owner"
+      );
+
+      await staker.transferOwnership(acct1.address);
+      expect(await staker.owner()).to.equal(acct1.address);
+      await expect(staker.setReward(1)).to.be.revertedWith("Only accessible to owner");
+    });
+
     it("should have a changeable lockin period", async function () {
-      await loadFixture(testFixture);
+      const { staker } = await loadFixture(hre, stakingFixture, STAKING_PARAMS);
 
       // The default lockin period
       expect(await staker.lockInPeriod()).to.equal(LOCKIN_PERDIOD);
@@ -98,9 +90,9 @@ describe("NFT Token and Staking", function () {
     });
 
     it("should accept a token address for staking", async function () {
-      await loadFixture(testFixture);
+      const { token, staker } = await loadFixture(hre, stakingFixture, STAKING_PARAMS);
 
-      // The method is already initialized on the beforeEach of the test
+      // The method is already initialized by the fixture
       // where you have to supply an address of the token contract
 
       // The token address should be the same as the one we supplied
@@ -108,7 +100,8 @@ describe("NFT Token and Staking", function () {
     });
 
     it("should be able to stake a token", async function () {
-      const { owner } = await loadFixture(testFixture);
+      const [owner] = await ethers.getSigners();
+      const { token, staker } = await loadFixture(hre, stakingFixture, STAKING_PARAMS);
 
       // We first mint a token to our address
       await token.mint();
@@ -119,7 +112,7 @@ describe("NFT Token and Staking", function () {
       expect(await token.isApprovedForAll(owner.address, staker.address)).to.equal(true);
 
       // Then, we stake a token
-      await staker.stake(0);
+      await staker.stake(token.address, 0);
 
       // The token should be staked and the staker should now (temporarily) own it
       expect(await token.ownerOf(0)).to.equal(staker.address);
@@ -127,7 +120,8 @@ describe("NFT Token and Staking", function () {
 
     it("should only return token after lockin period", async function () {
 
-      const { owner } = await loadFixture(testFixture);
+      const [owner] = await ethers.getSigners();
+      const { token, staker } = await loadFixture(hre, stakingFixture, STAKING_PARAMS);
 
       // We first mint a token to our address
       await token.mint();
@@ -138,18 +132,18 @@ describe("NFT Token and Staking", function () {
       expect(await token.isApprovedForAll(owner.address, staker.address)).to.equal(true);
 
       // Then, we stake a token
-      await staker.stake(0);
+      await staker.stake(token.address, 0);
 
       // The token should be staked and the staker should now (temporarily) own it
       expect(await token.ownerOf(0)).to.equal(staker.address);
 
       // Pulling out too early will fail
-      await expect(staker.unstake(0)).to.be.revertedWith("You're pulling out too early");
+      await expect(staker.unstake(token.address, 0)).to.be.revertedWith("You're pulling out too early");
 
       // After the lockin period, the token should be returned to the owner
       await ethers.provider.send("evm_increaseTime", [LOCKIN_PERDIOD + 1]);
 
-      await staker.unstake(0);
+      await staker.unstake(token.address, 0);
 
       // After unstaking, you should now be the owner of the token again
       expect(await token.ownerOf(0)).to.equal(owner.address);
@@ -157,7 +151,8 @@ describe("NFT Token and Staking", function () {
 
     it("should be able to giveout proper rewards", async function () {
       
-      const { owner } = await loadFixture(testFixture);
+      const [owner] = await ethers.getSigners();
+      const { token, staker } = await loadFixture(hre, stakingFixture, STAKING_PARAMS);
 
       // We first mint a token to our address
       await token.mint();
@@ -168,7 +163,7 @@ describe("NFT Token and Staking", function () {
       expect(await token.isApprovedForAll(owner.address, staker.address)).to.equal(true);
 
       // Then, we stake a token
-      await staker.stake(0);
+      await staker.stake(token.address, 0);
 
       // The token should be staked and the staker should now (temporarily) own it
       expect(await token.ownerOf(0)).to.equal(staker.address);
@@ -179,11 +174,573 @@ describe("NFT Token and Staking", function () {
       // After unstaking, you should now be the owner of the token again 
       //  and earn some reward ( 0.001 eth  * duration of lockin period )
       const currentEthBalance = await ethers.provider.getBalance(owner.address);
-      await staker.unstake(0)
+      await staker.unstake(token.address, 0)
       let afterChangeEthBalance = await ethers.provider.getBalance(owner.address);
       parseEther(`${0.001 * (LOCKIN_PERDIOD + 1)}`);
       afterChangeEthBalance = afterChangeEthBalance.sub(currentEthBalance);
       expect(afterChangeEthBalance).to.gte(parseEther(`${0.001 * (LOCKIN_PERDIOD)}`));
     });
+
+    it("should emit events when staking and unstaking", async function () {
+      const [owner] = await ethers.getSigners();
+      const { token, staker } = await loadFixture(hre, stakingFixture, STAKING_PARAMS);
+
+      await token.mint();
+      await token.setApprovalForAll(staker.address, true);
+
+      const stakeTx = await staker.stake(token.address, 0);
+      const { timestamp: stakedAt } = await ethers.provider.getBlock(stakeTx.blockNumber);
+      await expect(stakeTx).to.emit(staker, "Staked").withArgs(token.address, owner.address, 0, stakedAt);
+
+      await ethers.provider.send("evm_increaseTime", [LOCKIN_PERDIOD + 1]);
+
+      const unstakeTx = await staker.unstake(token.address, 0);
+      const { timestamp: unstakedAt } = await ethers.provider.getBlock(unstakeTx.blockNumber);
+      const duration = unstakedAt - stakedAt;
+      await expect(unstakeTx)
+        .to.emit(staker, "Unstaked")
+        .withArgs(token.address, owner.address, 0, duration, parseEther("0.001").mul(duration));
+    });
+  });
+
+  describe("Rewards", async function () {
+    const RATE = parseEther("0.001");
+
+    // Mints the next token to `signer` and stakes it, returns its id and the staking timestamp
+    async function mintAndStake(token, staker, signer) {
+      const tokenId = (await token.currentSupply()).toNumber();
+      await token.connect(signer).mint();
+      await token.connect(signer).setApprovalForAll(staker.address, true);
+      return { tokenId, stakedAt: await timestampOf(staker.connect(signer).stake(token.address, tokenId)) };
+    }
+
+    async function timestampOf(txPromise) {
+      const tx = await txPromise;
+      return (await ethers.provider.getBlock(tx.blockNumber)).timestamp;
+    }
+
+    async function increaseTime(seconds) {
+      await ethers.provider.send("evm_increaseTime", [seconds]);
+      await ethers.provider.send("evm_mine", []);
+      return (await ethers.provider.getBlock("latest")).timestamp;
+    }
+
+    it("should only apply a new rate from the moment it is set", async function () {
+      const [owner] = await ethers.getSigners();
+      const { token, staker } = await loadFixture(hre, stakingFixture, STAKING_PARAMS);
+      const rates = [RATE, parseEther("0.003"), parseEther("0.0005")];
+
+      const { tokenId, stakedAt } = await mintAndStake(token, staker, owner);
+      await increaseTime(100);
+      const secondRateAt = await timestampOf(staker.setReward(rates[1]));
+      await increaseTime(50);
+      const thirdRateAt = await timestampOf(staker.setReward(rates[2]));
+      const now = await increaseTime(20);
+
+      const expected = rates[0].mul(secondRateAt - stakedAt)
+        .add(rates[1].mul(thirdRateAt - secondRateAt))
+        .add(rates[2].mul(now - thirdRateAt));
+      expect(await staker.pendingReward(owner.address)).to.equal(expected);
+      expect(await staker.stakeReward(token.address, tokenId)).to.equal(expected);
+
+      const rewards = await readRewards(staker, owner.address);
+      expect(rewards.stakes).to.equal(1);
+      expect(rewards.pending).to.equal(expected);
+      expect((await readStaker(staker)).collections[0].rewardPerSecond).to.equal(rates[2]);
+    });
+
+    it("should accrue per staker across rate changes", async function () {
+      const [owner, acct1] = await ethers.getSigners();
+      const { token, staker } = await loadFixture(hre, stakingFixture, STAKING_PARAMS);
+      const newRate = parseEther("0.002");
+
+      const first = await mintAndStake(token, staker, owner);
+      await increaseTime(100);
+      const rateChangedAt = await timestampOf(staker.setReward(newRate));
+      const second = await mintAndStake(token, staker, acct1);
+      const now = await increaseTime(50);
+
+      expect(await staker.pendingReward(owner.address)).to.equal(
+        RATE.mul(rateChangedAt - first.stakedAt).add(newRate.mul(now - rateChangedAt))
+      );
+      expect(await staker.pendingReward(acct1.address)).to.equal(newRate.mul(now - second.stakedAt));
+    });
+
+    it("should claim without unstaking", async function () {
+      const [owner] = await ethers.getSigners();
+      const { token, staker } = await loadFixture(hre, stakingFixture, STAKING_PARAMS);
+
+      const { tokenId, stakedAt } = await mintAndStake(token, staker, owner);
+      await increaseTime(10);
+
+      const claimTx = await staker.claim();
+      const claimedAt = await timestampOf(claimTx);
+      await expect(claimTx).to.emit(staker, "RewardClaimed").withArgs(owner.address, RATE.mul(claimedAt - stakedAt));
+      expect(await staker.pendingReward(owner.address)).to.equal(0);
+      expect(await token.ownerOf(tokenId)).to.equal(staker.address);
+
+      // Only what was earned since the claim is paid when unstaking
+      await increaseTime(LOCKIN_PERDIOD);
+      const unstakeTx = await staker.unstake(token.address, tokenId);
+      const unstakedAt = await timestampOf(unstakeTx);
+      await expect(unstakeTx).to.emit(staker, "RewardClaimed").withArgs(owner.address, RATE.mul(unstakedAt - claimedAt));
+      await expect(unstakeTx)
+        .to.emit(staker, "Unstaked")
+        .withArgs(token.address, owner.address, tokenId, unstakedAt - stakedAt, RATE.mul(unstakedAt - stakedAt));
+
+      await expect(staker.claim()).to.be.revertedWith("Nothing to claim");
+    });
+
+    it("should pay the recorded owner of a stake", async function () {
+      const [owner, acct1] = await ethers.getSigners();
+      const { token, staker } = await loadFixture(hre, stakingFixture, STAKING_PARAMS);
+
+      await mintAndStake(token, staker, owner);
+      const { tokenId, stakedAt } = await mintAndStake(token, staker, acct1);
+      await increaseTime(LOCKIN_PERDIOD + 1);
+
+      // Having a stake of your own isn't enough to pull out someone else's
+      await expect(staker.unstake(token.address, tokenId)).to.be.revertedWith("Only the owner of the stake can unstake it");
+
+      const unstakeTx = await staker.connect(acct1).unstake(token.address, tokenId);
+      const unstakedAt = await timestampOf(unstakeTx);
+      await expect(unstakeTx).to.emit(staker, "RewardClaimed").withArgs(acct1.address, RATE.mul(unstakedAt - stakedAt));
+      expect(await token.ownerOf(tokenId)).to.equal(acct1.address);
+      expect(await staker.hasStake(acct1.address)).to.equal(0);
+      expect(await staker.hasStake(owner.address)).to.equal(1);
+    });
+
+    it("should describe stakes", async function () {
+      const [owner] = await ethers.getSigners();
+      const { token, staker } = await loadFixture(hre, stakingFixture, STAKING_PARAMS);
+
+      const { tokenId, stakedAt } = await mintAndStake(token, staker, owner);
+      expect(await readStake(staker, token.address, tokenId)).to.include({ owner: owner.address, stakedAt, unlocked: false });
+
+      await increaseTime(LOCKIN_PERDIOD + 1);
+      const stake = await readStake(staker, token.address, tokenId);
+      expect(stake.unlocked).to.equal(true);
+      expect(stake.reward).to.equal(RATE.mul(stake.duration));
+
+      await staker.unstake(token.address, tokenId);
+      expect(await readStake(staker, token.address, tokenId)).to.equal(null);
+      await expect(staker.stakeReward(token.address, tokenId)).to.be.revertedWith("Token is not staked");
+    });
+  });
+
+  describe("Collections", async function () {
+    // The staking system and another NFT collection, not listed yet
+    async function collectionsFixture(hre) {
+      const { token, staker } = await loadFixture(hre, stakingFixture, STAKING_PARAMS);
+      const Token = await hre.ethers.getContractFactory("NFT_Token");
+      const other = await Token.deploy();
+      await other.deployed();
+      return { token, staker, other };
+    }
+
+    async function mintAndStake(collection, staker, signer) {
+      const tokenId = (await collection.currentSupply()).toNumber();
+      await collection.connect(signer).mint();
+      await collection.connect(signer).setApprovalForAll(staker.address, true);
+      const tx = await staker.connect(signer).stake(collection.address, tokenId);
+      return { tokenId, stakedAt: (await ethers.provider.getBlock(tx.blockNumber)).timestamp };
+    }
+
+    it("should list the constructor's collection", async function () {
+      const { token, staker } = await loadFixture(hre, stakingFixture, STAKING_PARAMS);
+
+      expect(await staker.getCollections()).to.deep.equal([token.address]);
+      const { collections } = await readStaker(staker);
+      expect(collections[0]).to.include({ address: token.address, listed: true, lockInPeriod: LOCKIN_PERDIOD });
+      expect(collections[0].rewardPerSecond).to.equal(parseEther("0.001"));
+    });
+
+    it("should refuse tokens minted straight to the staker", async function () {
+      const { staker } = await loadFixture(hre, stakingFixture, STAKING_PARAMS);
+      const Collection = await ethers.getContractFactory("ERC721_Collection");
+      const collection = await Collection.deploy();
+      await staker.setCollection(collection.address, LOCKIN_PERDIOD, parseEther("0.001"));
+
+      await expect(collection.mint(staker.address, 0)).to.be.revertedWith("Tokens can't be minted to the staker");
+      expect(await staker.totalStaked()).to.equal(0);
+      expect((await staker.stakes(collection.address, 0)).owner).to.equal(ethers.constants.AddressZero);
+    });
+
+    it("should refuse tokens of unlisted collections", async function () {
+      const [owner] = await ethers.getSigners();
+      const { staker, other } = await loadFixture(hre, collectionsFixture);
+
+      await other.mint();
+      await other.setApprovalForAll(staker.address, true);
+      await expect(staker.stake(other.address, 0)).to.be.revertedWith("Collection is not accepted for staking");
+
+      // Sending the token directly doesn't get around the allow-list
+      await expect(
+        other["safeTransferFrom(address,address,uint256)"](owner.address, staker.address, 0)
+      ).to.be.revertedWith("Collection is not accepted for staking");
+      expect(await other.ownerOf(0)).to.equal(owner.address);
+    });
+
+    it("should apply the lock-in period and reward of each collection", async function () {
+      const [owner, acct1] = await ethers.getSigners();
+      const { token, staker, other } = await loadFixture(hre, collectionsFixture);
+      const otherRate = parseEther("0.004");
+
+      await expect(staker.connect(acct1).setCollection(other.address, 120, otherRate)).to.be.revertedWith(
+        "Only accessible to owner"
+      );
+      await expect(staker.setCollection(other.address, 120, otherRate))
+        .to.emit(staker, "CollectionListed").withArgs(other.address, 120, otherRate);
+
+      // Token #0 of both collections, staked side by side
+      const first = await mintAndStake(token, staker, owner);
+      const second = await mintAndStake(other, staker, owner);
+      expect(await staker.hasStake(owner.address)).to.equal(2);
+
+      await ethers.provider.send("evm_increaseTime", [LOCKIN_PERDIOD + 1]);
+      await ethers.provider.send("evm_mine", []);
+      const now = (await ethers.provider.getBlock("latest")).timestamp;
+      expect(await staker.stakeReward(token.address, 0)).to.equal(parseEther("0.001").mul(now - first.stakedAt));
+      expect(await staker.stakeReward(other.address, 0)).to.equal(otherRate.mul(now - second.stakedAt));
+
+      await expect(staker.unstake(other.address, 0)).to.be.revertedWith("You're pulling out too early");
+      await staker.unstake(token.address, 0);
+      expect(await token.ownerOf(0)).to.equal(owner.address);
+      expect(await other.ownerOf(0)).to.equal(staker.address);
+    });
+
+    it("should keep delisted stakes redeemable", async function () {
+      const [owner] = await ethers.getSigners();
+      const { staker, other } = await loadFixture(hre, collectionsFixture);
+
+      await staker.setCollection(other.address, 0, parseEther("0.001"));
+      const { tokenId } = await mintAndStake(other, staker, owner);
+
+      await expect(staker.delistCollection(other.address))
+        .to.emit(staker, "CollectionDelisted").withArgs(other.address);
+      await expect(mintAndStake(other, staker, owner)).to.be.revertedWith("Collection is not accepted for staking");
+      await expect(staker.delistCollection(other.address)).to.be.revertedWith("Collection is not listed");
+
+      await staker.unstake(other.address, tokenId);
+      expect(await other.ownerOf(tokenId)).to.equal(owner.address);
+    });
+
+    it("should register collections from the staking task", async function () {
+      const { staker, other } = await loadFixture(hre, collectionsFixture);
+
+      await hre.run("staking:set-collection", {
+        address: staker.address,
+        collection: other.address,
+        lockin: 60,
+        reward: "1000",
+      });
+
+      const { collections } = await readStaker(staker);
+      expect(collections[1]).to.include({ address: other.address, listed: true, lockInPeriod: 60 });
+      expect(collections[1].rewardPerSecond).to.equal(1000);
+    });
+  });
+
+  describe("Reward Funding", async function () {
+    const RATE = parseEther("0.001");
+
+    async function mintAndStake(token, staker, signer) {
+      const tokenId = (await token.currentSupply()).toNumber();
+      await token.connect(signer).mint();
+      await token.connect(signer).setApprovalForAll(staker.address, true);
+      const tx = await staker.connect(signer).stake(token.address, tokenId);
+      return { tokenId, stakedAt: (await ethers.provider.getBlock(tx.blockNumber)).timestamp };
+    }
+
+    async function increaseTime(seconds) {
+      await ethers.provider.send("evm_increaseTime", [seconds]);
+      await ethers.provider.send("evm_mine", []);
+      return (await ethers.provider.getBlock("latest")).timestamp;
+    }
+
+    it("should be topped up with ether", async function () {
+      const [, acct1] = await ethers.getSigners();
+      const { staker } = await loadFixture(hre, stakingFixture, STAKING_PARAMS);
+
+      await expect(staker.connect(acct1).topUpRewards(parseEther("1"), { value: parseEther("1") }))
+        .to.emit(staker, "RewardsToppedUp").withArgs(acct1.address, parseEther("1"));
+      expect(await staker.rewardFunds()).to.equal(parseEther("2"));
+
+      await expect(staker.topUpRewards(parseEther("2"), { value: parseEther("1") })).to.be.revertedWith(
+        "Send the amount as ether"
+      );
+    });
+
+    it("should tell how long the funds last", async function () {
+      const [owner] = await ethers.getSigners();
+      const { token, staker } = await loadFixture(hre, stakingFixture, STAKING_PARAMS);
+
+      // Nothing earns yet, the funds last forever
+      expect((await readRunway(staker)).secondsLeft).to.equal(null);
+
+      const { stakedAt } = await mintAndStake(token, staker, owner);
+      const now = await increaseTime(100);
+      const runway = await readRunway(staker);
+      const owed = RATE.mul(now - stakedAt);
+      expect(runway.funds).to.equal(parseEther("1"));
+      expect(runway.owed).to.equal(owed);
+      expect(runway.rate).to.equal(RATE);
+      expect(runway.secondsLeft).to.equal(parseEther("1").sub(owed).div(RATE).toNumber());
+    });
+
+    it("should keep unpaid rewards claimable when funds run out", async function () {
+      const [owner, acct1] = await ethers.getSigners();
+      const { token, staker } = await loadFixture(hre, stakingFixture, STAKING_PARAMS);
+
+      const { tokenId } = await mintAndStake(token, staker, acct1);
+      await expect(staker.connect(acct1).emergencyWithdraw(acct1.address, 1)).to.be.revertedWith(
+        "Only accessible to owner"
+      );
+      await expect(staker.emergencyWithdraw(owner.address, parseEther("2"))).to.be.revertedWith(
+        "Not enough reward funds"
+      );
+      await expect(staker.emergencyWithdraw(owner.address, parseEther("1")))
+        .to.emit(staker, "RewardsWithdrawn").withArgs(owner.address, parseEther("1"));
+
+      // The token comes back even though nothing can be paid
+      await increaseTime(LOCKIN_PERDIOD + 1);
+      await staker.connect(acct1).unstake(token.address, tokenId);
+      expect(await token.ownerOf(tokenId)).to.equal(acct1.address);
+      const owed = await staker.accruedRewards(acct1.address);
+      expect(owed).to.be.gt(0);
+      expect((await readRunway(staker)).secondsLeft).to.equal(0);
+      await expect(staker.connect(acct1).claim()).to.be.revertedWith("Not enough reward funds");
+
+      await staker.topUpRewards(parseEther("1"), { value: parseEther("1") });
+      await expect(staker.connect(acct1).claim()).to.emit(staker, "RewardClaimed").withArgs(acct1.address, owed);
+      expect(await staker.totalAccrued()).to.equal(0);
+    });
+
+    it("should pay rewards in an ERC20", async function () {
+      const [owner, acct1] = await ethers.getSigners();
+      const { token, staker } = await loadFixture(hre, stakingFixture, STAKING_PARAMS);
+      const SimpleToken = await ethers.getContractFactory("Simple_Token");
+      const rewardToken = await SimpleToken.deploy();
+      await rewardToken.deployed();
+
+      await expect(staker.setRewardToken(acct1.address)).to.be.revertedWith("Reward token is not a contract");
+      await expect(staker.setRewardToken(rewardToken.address))
+        .to.emit(staker, "RewardTokenUpdated").withArgs(rewardToken.address);
+
+      await rewardToken.mint(owner.address, parseEther("10"));
+      await rewardToken.approve(staker.address, parseEther("10"));
+      await expect(staker.topUpRewards(1, { value: 1 })).to.be.revertedWith("Rewards are paid in a token, not in ether");
+      await staker.topUpRewards(parseEther("10"));
+      expect(await staker.rewardFunds()).to.equal(parseEther("10"));
+
+      const { stakedAt } = await mintAndStake(token, staker, acct1);
+      await expect(staker.setRewardToken(ethers.constants.AddressZero)).to.be.revertedWith(
+        "Rewards are owed in the current token"
+      );
+
+      await increaseTime(10);
+      const claimTx = await staker.connect(acct1).claim();
+      const { timestamp: claimedAt } = await ethers.provider.getBlock(claimTx.blockNumber);
+      expect(await rewardToken.balanceOf(acct1.address)).to.equal(RATE.mul(claimedAt - stakedAt));
+      expect(await staker.rewardFunds()).to.equal(parseEther("10").sub(RATE.mul(claimedAt - stakedAt)));
+
+      const runway = await hre.run("staking:status", { address: staker.address });
+      expect(runway.rewardToken).to.equal(rewardToken.address);
+    });
+  });
+
+  describe("Batches and Positions", async function () {
+    const RATE = parseEther("0.001");
+
+    async function mintBatch(token, staker, signer, count) {
+      const first = (await token.currentSupply()).toNumber();
+      for (let i = 0; i < count; i++) {
+        await token.connect(signer).mint();
+      }
+      await token.connect(signer).setApprovalForAll(staker.address, true);
+      return Array.from({ length: count }, (_, i) => first + i);
+    }
+
+    it("should stake and unstake in batches", async function () {
+      const [owner] = await ethers.getSigners();
+      const { token, staker } = await loadFixture(hre, stakingFixture, STAKING_PARAMS);
+      const tokenIds = await mintBatch(token, staker, owner, 5);
+
+      const stakeTx = await staker.stakeBatch(token.address, tokenIds);
+      const { timestamp: stakedAt } = await ethers.provider.getBlock(stakeTx.blockNumber);
+      for (const tokenId of tokenIds) {
+        expect(await token.ownerOf(tokenId)).to.equal(staker.address);
+        await expect(stakeTx).to.emit(staker, "Staked").withArgs(token.address, owner.address, tokenId, stakedAt);
+      }
+      expect(await staker.hasStake(owner.address)).to.equal(5);
+      await expect(staker.stakeBatch(token.address, [])).to.be.revertedWith("No tokens given");
+
+      await ethers.provider.send("evm_increaseTime", [LOCKIN_PERDIOD + 1]);
+      const unstakeTx = await staker.unstakeBatch(token.address, [1, 3, 4]);
+      const { timestamp: unstakedAt } = await ethers.provider.getBlock(unstakeTx.blockNumber);
+      // One payment for the three tokens, the other two keep earning
+      await expect(unstakeTx)
+        .to.emit(staker, "RewardClaimed")
+        .withArgs(owner.address, RATE.mul(unstakedAt - stakedAt).mul(5));
+      expect(await staker.hasStake(owner.address)).to.equal(2);
+      expect(await token.ownerOf(3)).to.equal(owner.address);
+    });
+
+    it("should unstake nothing when one token of the batch can't be", async function () {
+      const [owner, acct1] = await ethers.getSigners();
+      const { token, staker } = await loadFixture(hre, stakingFixture, STAKING_PARAMS);
+      await mintBatch(token, staker, owner, 2);
+      const [othersToken] = await mintBatch(token, staker, acct1, 1);
+      await staker.stakeBatch(token.address, [0, 1]);
+      await staker.connect(acct1).stake(token.address, othersToken);
+
+      await ethers.provider.send("evm_increaseTime", [LOCKIN_PERDIOD + 1]);
+      await expect(staker.unstakeBatch(token.address, [0, othersToken])).to.be.revertedWith(
+        "Only the owner of the stake can unstake it"
+      );
+      expect(await token.ownerOf(0)).to.equal(staker.address);
+    });
+
+    it("should enumerate the positions of an owner", async function () {
+      const [owner, acct1] = await ethers.getSigners();
+      const { token, staker } = await loadFixture(hre, stakingFixture, STAKING_PARAMS);
+      await mintBatch(token, staker, owner, 3);
+      const [othersToken] = await mintBatch(token, staker, acct1, 1);
+      const stakeTx = await staker.stakeBatch(token.address, [0, 1, 2]);
+      const { timestamp: stakedAt } = await ethers.provider.getBlock(stakeTx.blockNumber);
+      await staker.connect(acct1).stake(token.address, othersToken);
+
+      await ethers.provider.send("evm_increaseTime", [LOCKIN_PERDIOD + 1]);
+      await staker.unstake(token.address, 0);
+      await ethers.provider.send("evm_mine", []);
+      const now = (await ethers.provider.getBlock("latest")).timestamp;
+
+      const positions = await readPositions(staker, owner.address);
+      expect(positions.map((position) => position.tokenId.toNumber())).to.deep.equal([1, 2]);
+      for (const position of positions) {
+        expect(position).to.include({ collection: token.address, stakedAt, duration: now - stakedAt, unlocked: true });
+        expect(position.reward).to.equal(RATE.mul(now - stakedAt));
+      }
+      expect((await readPositions(staker, acct1.address)).map((position) => position.tokenId.toNumber())).to.deep.equal([
+        othersToken,
+      ]);
+
+      const printed = await hre.run("staking:positions", { address: staker.address, owner: owner.address });
+      expect(printed).to.have.length(2);
+    });
+
+    it("should order the positions of other collections by their uint256 token ids", async function () {
+      const [owner] = await ethers.getSigners();
+      const { staker } = await loadFixture(hre, stakingFixture, STAKING_PARAMS);
+      const Collection = await ethers.getContractFactory("ERC721_Collection");
+      const collection = await Collection.deploy();
+      await staker.setCollection(collection.address, LOCKIN_PERDIOD, RATE);
+      await collection.setApprovalForAll(staker.address, true);
+
+      // Past 2^53, where js numbers would round them together or out of order
+      const ids = [ethers.constants.MaxUint256, ethers.BigNumber.from(2).pow(53).add(1), ethers.BigNumber.from(2).pow(53), 7];
+      for (const id of ids) {
+        await collection.mint(owner.address, id);
+        await staker.stake(collection.address, id);
+      }
+
+      const positions = await readPositions(staker, owner.address);
+      expect(positions.map((position) => position.tokenId.toString())).to.deep.equal([
+        "7",
+        "9007199254740992",
+        "9007199254740993",
+        ethers.constants.MaxUint256.toString(),
+      ]);
+      const printed = await hre.run("staking:positions", { address: staker.address, owner: owner.address });
+      expect(printed).to.have.length(4);
+    });
+  });
+
+  describe("Emergency", async function () {
+    async function mintAndStake(token, staker, signer) {
+      const tokenId = (await token.currentSupply()).toNumber();
+      await token.connect(signer).mint();
+      await token.connect(signer).setApprovalForAll(staker.address, true);
+      await staker.connect(signer).stake(token.address, tokenId);
+      return tokenId;
+    }
+
+    it("should keep new stakes closed after an unstake", async function () {
+      const [owner] = await ethers.getSigners();
+      const { token, staker } = await loadFixture(hre, stakingFixture, STAKING_PARAMS);
+
+      const tokenId = await mintAndStake(token, staker, owner);
+      await staker.deactivateStake();
+      await ethers.provider.send("evm_increaseTime", [LOCKIN_PERDIOD + 1]);
+      await staker.unstake(token.address, tokenId);
+
+      expect(await staker.isStaking()).to.equal(false);
+      await expect(staker.stake(token.address, tokenId)).to.be.revertedWith("Contract not accepting additional stakes now");
+    });
+
+    it("should stop staking, unstaking and claims while paused", async function () {
+      const [owner, acct1] = await ethers.getSigners();
+      const { token, staker } = await loadFixture(hre, stakingFixture, STAKING_PARAMS);
+
+      const tokenId = await mintAndStake(token, staker, owner);
+      await token.mint();
+      await expect(staker.connect(acct1).pause()).to.be.revertedWith("Only accessible to owner");
+      await staker.pause();
+
+      await expect(staker.stake(token.address, tokenId + 1)).to.be.revertedWith("Pausable: paused");
+      await ethers.provider.send("evm_increaseTime", [LOCKIN_PERDIOD + 1]);
+      await expect(staker.unstake(token.address, tokenId)).to.be.revertedWith("Pausable: paused");
+      await expect(staker.unstakeBatch(token.address, [tokenId])).to.be.revertedWith("Pausable: paused");
+      await expect(staker.claim()).to.be.revertedWith("Pausable: paused");
+
+      await staker.unpause();
+      await staker.unstake(token.address, tokenId);
+      expect(await token.ownerOf(tokenId)).to.equal(owner.address);
+    });
+
+    it("should return tokens without their reward while paused", async function () {
+      const [owner] = await ethers.getSigners();
+      const { token, staker } = await loadFixture(hre, stakingFixture, STAKING_PARAMS);
+
+      const tokenId = await mintAndStake(token, staker, owner);
+      await expect(staker.emergencyUnstake(token.address, [tokenId])).to.be.revertedWith("Pausable: not paused");
+
+      // Lock-in isn't over and there is nothing to pay the rewards with
+      await staker.emergencyWithdraw(owner.address, parseEther("1"));
+      await staker.pause();
+      await expect(staker.emergencyUnstake(token.address, [tokenId]))
+        .to.emit(staker, "Unstaked")
+        .and.not.to.emit(staker, "RewardClaimed");
+      expect(await token.ownerOf(tokenId)).to.equal(owner.address);
+      expect(await staker.hasStake(owner.address)).to.equal(0);
+
+      // The reward earned until then waits for the unpause and new funds
+      const owed = await staker.accruedRewards(owner.address);
+      expect(owed).to.be.gt(0);
+      await staker.unpause();
+      await staker.topUpRewards(parseEther("1"), { value: parseEther("1") });
+      await expect(staker.claim()).to.emit(staker, "RewardClaimed").withArgs(owner.address, owed);
+    });
+
+    it("should be paused and unpaused by the emergency task", async function () {
+      const { staker } = await loadFixture(hre, stakingFixture, STAKING_PARAMS);
+
+      const args = { contracts: "NFT_Staker", staker: staker.address };
+      expect(await hre.run("emergency", { ...args, action: "status" })).to.deep.equal({
+        NFT_Staker: { address: staker.address, paused: false },
+      });
+      expect((await hre.run("emergency", { ...args, action: "pause" })).NFT_Staker.paused).to.equal(true);
+      expect(await staker.paused()).to.equal(true);
+      // Already paused, nothing is sent
+      expect((await hre.run("emergency", { ...args, action: "pause" })).NFT_Staker.paused).to.equal(true);
+      expect((await hre.run("emergency", { ...args, action: "unpause" })).NFT_Staker.paused).to.equal(false);
+
+      try {
+        await hre.run("emergency", { ...args, action: "halt" });
+        expect.fail("halt should not be an action");
+      } catch (error) {
+        expect(error.message).to.contain('Unknown action "halt"');
+      }
+    });
   });
 });
@@ -1,43 +1,33 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
 const { expect } = require("chai");
-const { loadFixture } = require("ethereum-waffle");
 const { parseEther } = require("ethers/lib/utils");
 const { ethers } = require("hardhat");
+const hre = require("hardhat");
+const {
+  buildCallProposal,
+  proposeCall,
+  decodeCall,
+  readProposal,
+  formatProposal,
+  countProposals,
+  queryProposals,
+  listProposals,
+} = require("../scripts/multisig");
+const { signApproval, aggregateApprovals, executeWithSignatures } = require("../scripts/approvals");
+const { loadFixture, multiSigFixture } = require("../scripts/fixtures");
+const { LEAKED_SECRET_HASHES } = require("../scripts/config");
+const { resolveSigner } = require("../tasks/utils");
 
-let simpleToken, multiSigWallet;
 const ST_INITIAL_SUPPLY = 100;
 const MS_QUORUM_MAJORITY = 50; // 50% of the total number of owners
+// A simple ERC20 Token for testing, and a Multi Signature Wallet holding ether and tokens
+const MULTISIG_PARAMS = { quorum: MS_QUORUM_MAJORITY, funding: "5", tokenSupply: ST_INITIAL_SUPPLY };
 
 describe("Multi Signature Wallet", function () {
-  beforeEach(async () => {
-
-    const SimpleToken = await ethers.getContractFactory("Simple_Token");
-    const MultiSigWallet = await ethers.getContractFactory("Multi_Sig");
-
-    // We create a simple ERC20 Token for testing
-    simpleToken = await SimpleToken.deploy();
-    await simpleToken.deployed();
-
-    // We create a Multi Signature Wallet
-    // Important: The MultiSig Wallet should contain ether for transactions purposes
-    multiSigWallet = await MultiSigWallet.deploy(MS_QUORUM_MAJORITY, {
-      value: parseEther("5"),
-    });
-    await multiSigWallet.deployed();
-
-    // Important: Multisig wallet should also contain tokens
-    await simpleToken.mint(multiSigWallet.address, ST_INITIAL_SUPPLY);
-
-  });
-
-  // We define a fixture to reuse the same setup in every test.
-  // We use loadFixture to run this setup once, snapshot that state,
-  // and reset Hardhat Network to that snapshopt in every test.
-  async function testFixture() {
-    // Contracts are deployed using the first signer/account by default
-    const [owner, acct1, acct2] = await ethers.getSigners();
-
-    return { simpleToken, multiSigWallet, owner, acct1, acct2 };
-  }
+  // loadFixture deploys the system once, snapshots that state and reverts Hardhat Network to that
+  // snapshot whenever a test loads it again. The describes below set more up in their own fixtures
 
   /*
     Multisig Wallet
@@ -57,7 +47,8 @@ describe("Multi Signature Wallet", function () {
 
   describe("ERC20 Token", async function () {
     it("should be deployable", async function () {
-      const { owner } = await loadFixture(testFixture);
+      const [owner] = await ethers.getSigners();
+      const { simpleToken } = await loadFixture(hre, multiSigFixture, MULTISIG_PARAMS);
       expect(await simpleToken.owner()).to.equal(owner.address);
     });
   });
@@ -65,12 +56,13 @@ describe("Multi Signature Wallet", function () {
   describe("Multi Signature Wallet", async function () {
     
     it("should be deployable", async function () {
-      const { owner } = await loadFixture(testFixture);
+      const [owner] = await ethers.getSigners();
+      const { multiSigWallet } = await loadFixture(hre, multiSigFixture, MULTISIG_PARAMS);
       expect(await multiSigWallet.owner()).to.equal(owner.address);
     });
 
     it("should set quorum only to be majority", async function () {
-      await loadFixture(testFixture);
+      const { multiSigWallet } = await loadFixture(hre, multiSigFixture, MULTISIG_PARAMS);
 
       expect(await multiSigWallet.quorumMajority()).to.equal(MS_QUORUM_MAJORITY);
 
@@ -86,7 +78,8 @@ describe("Multi Signature Wallet", function () {
     });
 
     it("should add signers if you are the owner", async function () {
-      const { acct1 } = await loadFixture(testFixture);
+      const [, acct1] = await ethers.getSigners();
+      const { multiSigWallet } = await loadFixture(hre, multiSigFixture, MULTISIG_PARAMS);
 
       // We can't add signers if we are not the owner
       await expect(multiSigWallet.connect(acct1.address).addSigner(acct1.address)).to.be.reverted;
@@ -97,11 +90,41 @@ describe("Multi Signature Wallet", function () {
       
     });
 
+    it("should emit an event for every action", async function () {
+      const [owner, acct1, acct2] = await ethers.getSigners();
+      const { simpleToken, multiSigWallet } = await loadFixture(hre, multiSigFixture, MULTISIG_PARAMS);
+
+      await expect(multiSigWallet.setQuorumMajority(60))
+        .to.emit(multiSigWallet, "QuorumMajorityUpdated").withArgs(60);
+
+      await expect(multiSigWallet.addSigner(acct1.address))
+        .to.emit(multiSigWallet, "SignerAdded").withArgs(acct1.address);
+
+      await expect(multiSigWallet.connect(acct1).createEthTransaction(acct2.address, parseEther("0.1"), "Test"))
+        .to.emit(multiSigWallet, "TransactionCreated")
+        .withArgs(0, acct1.address, 0, acct2.address, parseEther("0.1"), ethers.constants.AddressZero, "0x", "Test");
+
+      await expect(multiSigWallet.createE20Transaction(acct2.address, 50, simpleToken.address, "Test"))
+        .to.emit(multiSigWallet, "TransactionCreated")
+        .withArgs(1, owner.address, 1, acct2.address, 50, simpleToken.address, "0x", "Test");
+
+      await expect(multiSigWallet.connect(acct1).approveTransaction(0))
+        .to.emit(multiSigWallet, "TransactionApproved").withArgs(0, acct1.address);
+
+      await expect(multiSigWallet.connect(acct1).revokeVoteTransaction(0))
+        .to.emit(multiSigWallet, "TransactionVoteRevoked").withArgs(0, acct1.address);
+
+      await multiSigWallet.connect(acct1).approveTransaction(0);
+      await expect(multiSigWallet.finalizeTransaction(0))
+        .to.emit(multiSigWallet, "TransactionExecuted").withArgs(0, owner.address);
+    });
+
     describe("Ether Transactions", async function () {
       
       it("should be created by owner and signers", async function () {
         
-        const { owner, acct1, acct2 } = await loadFixture(testFixture);
+        const [owner, acct1, acct2] = await ethers.getSigners();
+        const { multiSigWallet } = await loadFixture(hre, multiSigFixture, MULTISIG_PARAMS);
 
         // We add a signer
         await multiSigWallet.addSigner(acct1.address);
@@ -120,7 +143,8 @@ describe("Multi Signature Wallet", function () {
 
       it("should be viewable by owner and signers", async function () {
 
-        const { owner, acct1, acct2 } = await loadFixture(testFixture);
+        const [owner, acct1, acct2] = await ethers.getSigners();
+        const { multiSigWallet } = await loadFixture(hre, multiSigFixture, MULTISIG_PARAMS);
 
         // We add a signer
         await multiSigWallet.addSigner(acct1.address);
@@ -144,7 +168,8 @@ describe("Multi Signature Wallet", function () {
 
       it("should be approved and revoked by owner and signers", async function () {
         
-        const { owner, acct1, acct2 } = await loadFixture(testFixture);
+        const [owner, acct1, acct2] = await ethers.getSigners();
+        const { multiSigWallet } = await loadFixture(hre, multiSigFixture, MULTISIG_PARAMS);
 
         // We add a signer
         await multiSigWallet.addSigner(acct1.address);
@@ -175,7 +200,8 @@ describe("Multi Signature Wallet", function () {
 
       it("should be executed by owner and signers if quorum is met", async function () {
 
-        const { owner, acct1, acct2 } = await loadFixture(testFixture);
+        const [owner, acct1, acct2] = await ethers.getSigners();
+        const { multiSigWallet } = await loadFixture(hre, multiSigFixture, MULTISIG_PARAMS);
 
         // We add a signer
         await multiSigWallet.addSigner(acct1.address);
@@ -203,7 +229,8 @@ describe("Multi Signature Wallet", function () {
     describe("ERC20 Transactions", async function () {
       it("should be created by owner and signers", async function () {
         
-        const { owner, acct1, acct2 } = await loadFixture(testFixture);
+        const [owner, acct1, acct2] = await ethers.getSigners();
+        const { simpleToken, multiSigWallet } = await loadFixture(hre, multiSigFixture, MULTISIG_PARAMS);
 
         // We add a signer
         await multiSigWallet.addSigner(acct1.address);
@@ -223,7 +250,8 @@ describe("Multi Signature Wallet", function () {
 
       it("should be viewable by owner and signers", async function () {
 
-        const { owner, acct1, acct2 } = await loadFixture(testFixture);
+        const [owner, acct1, acct2] = await ethers.getSigners();
+        const { simpleToken, multiSigWallet } = await loadFixture(hre, multiSigFixture, MULTISIG_PARAMS);
 
         // We add a signer
         await multiSigWallet.addSigner(acct1.address);
@@ -247,7 +275,8 @@ describe("Multi Signature Wallet", function () {
 
       it("should be approved and revoked by owner and signers", async function () {
         
-        const { owner, acct1, acct2 } = await loadFixture(testFixture);
+        const [owner, acct1, acct2] = await ethers.getSigners();
+        const { simpleToken, multiSigWallet } = await loadFixture(hre, multiSigFixture, MULTISIG_PARAMS);
 
         // We add a signer
         await multiSigWallet.addSigner(acct1.address);
@@ -278,7 +307,8 @@ describe("Multi Signature Wallet", function () {
 
       it("should be executed by owner and signers if quorum is met", async function () {
 
-        const { owner, acct1, acct2 } = await loadFixture(testFixture);
+        const [owner, acct1, acct2] = await ethers.getSigners();
+        const { simpleToken, multiSigWallet } = await loadFixture(hre, multiSigFixture, MULTISIG_PARAMS);
 
         // We add a signer
         await multiSigWallet.addSigner(acct1.address);
@@ -308,6 +338,826 @@ describe("Multi Signature Wallet", function () {
 
       });
     });
+
+    describe("Signer Management", async function () {
+      // acct1, acct2 and acct3 sign
+      async function signersFixture(hre) {
+        const [, acct1, acct2, acct3] = await hre.ethers.getSigners();
+        const { multiSigWallet } = await loadFixture(hre, multiSigFixture, MULTISIG_PARAMS);
+
+        await multiSigWallet.addSigner(acct1.address);
+        await multiSigWallet.addSigner(acct2.address);
+        await multiSigWallet.addSigner(acct3.address);
+        return { multiSigWallet };
+      }
+
+      // Proposes calling the multisig itself and executes it with the votes of acct1 and acct2
+      async function governSelf(multiSigWallet, functionName, args) {
+        const [, acct1, acct2] = await ethers.getSigners();
+        const proposal = await buildCallProposal(hre, {
+          contractName: "Multi_Sig",
+          target: multiSigWallet.address,
+          functionName,
+          args,
+        });
+        await proposeCall(multiSigWallet, proposal);
+        const id = (await multiSigWallet.queryFilter("TransactionCreated")).length - 1;
+        await multiSigWallet.connect(acct1).approveTransaction(id);
+        await multiSigWallet.connect(acct2).approveTransaction(id);
+        return multiSigWallet.finalizeTransaction(id);
+      }
+
+      it("should not add the same signer twice", async function () {
+        const [, acct1, acct2, acct3] = await ethers.getSigners();
+        const { multiSigWallet } = await loadFixture(hre, signersFixture);
+
+        await expect(multiSigWallet.addSigner(acct1.address)).to.be.revertedWith("Already a signer");
+        expect(await multiSigWallet.signerCount()).to.equal(3);
+        expect(await multiSigWallet.getSigners()).to.deep.equal([acct1.address, acct2.address, acct3.address]);
+      });
+
+      it("should express the quorum in absolute votes", async function () {
+        const { multiSigWallet } = await loadFixture(hre, signersFixture);
+
+        expect(await multiSigWallet.requiredApprovals(2)).to.equal(2);
+        expect(await multiSigWallet.requiredApprovals(3)).to.equal(2);
+        expect(await multiSigWallet.requiredApprovals(4)).to.equal(3);
+
+        await multiSigWallet.setQuorumMajority(100);
+        expect(await multiSigWallet.requiredApprovals(3)).to.equal(3);
+      });
+
+      it("should only remove or replace signers through a proposal", async function () {
+        const [, acct1, acct2, acct3, acct4] = await ethers.getSigners();
+        const { multiSigWallet } = await loadFixture(hre, signersFixture);
+
+        await expect(multiSigWallet.removeSigner(acct3.address))
+          .to.be.revertedWith("Only callable through a multisig proposal");
+        await expect(multiSigWallet.replaceSigner(acct3.address, acct4.address))
+          .to.be.revertedWith("Only callable through a multisig proposal");
+
+        await expect(governSelf(multiSigWallet, "removeSigner", [acct3.address]))
+          .to.emit(multiSigWallet, "SignerRemoved").withArgs(acct3.address);
+        expect(await multiSigWallet.signerList(acct3.address)).to.equal(false);
+        expect(await multiSigWallet.signerCount()).to.equal(2);
+        expect(await multiSigWallet.getSigners()).to.deep.equal([acct1.address, acct2.address]);
+
+        await governSelf(multiSigWallet, "replaceSigner", [acct1.address, acct4.address]);
+        expect(await multiSigWallet.signerList(acct1.address)).to.equal(false);
+        expect(await multiSigWallet.signerList(acct4.address)).to.equal(true);
+        expect(await multiSigWallet.getSigners()).to.deep.equal([acct2.address, acct4.address]);
+      });
+
+      it("should discard the pending votes of removed signers", async function () {
+        const [, acct1, acct2, acct3] = await ethers.getSigners();
+        const { multiSigWallet } = await loadFixture(hre, signersFixture);
+
+        await multiSigWallet.createEthTransaction(acct2.address, parseEther("0.1"), "Test");
+        await multiSigWallet.connect(acct1).approveTransaction(0);
+        await multiSigWallet.connect(acct3).approveTransaction(0);
+        let [votes, required] = await multiSigWallet.quorumStatus(0);
+        expect([votes.toNumber(), required.toNumber()]).to.deep.equal([2, 2]);
+
+        await governSelf(multiSigWallet, "removeSigner", [acct3.address]);
+
+        // acct3's vote is gone and the electorate shrank to acct1 and acct2
+        [votes, required] = await multiSigWallet.quorumStatus(0);
+        expect([votes.toNumber(), required.toNumber()]).to.deep.equal([1, 2]);
+        await expect(multiSigWallet.finalizeTransaction(0)).to.be.revertedWith(
+          "Quorum Majority not met yet for transaction"
+        );
+      });
+
+      it("should not bring the votes of a removed signer back when it is added again", async function () {
+        const [, acct1, acct2, acct3] = await ethers.getSigners();
+        const { multiSigWallet } = await loadFixture(hre, signersFixture);
+
+        await multiSigWallet.createEthTransaction(acct2.address, parseEther("0.1"), "Test");
+        await multiSigWallet.connect(acct3).approveTransaction(0);
+        await governSelf(multiSigWallet, "removeSigner", [acct3.address]);
+        await multiSigWallet.addSigner(acct3.address);
+
+        // Back as a signer, but not as an elector of #0: its vote stays void and it can't vote again
+        await multiSigWallet.connect(acct1).approveTransaction(0);
+        const [votes, required] = await multiSigWallet.quorumStatus(0);
+        expect([votes.toNumber(), required.toNumber()]).to.deep.equal([1, 2]);
+        expect((await readProposal(multiSigWallet, 0)).status).to.equal("pending");
+        await expect(multiSigWallet.connect(acct3).revokeVoteTransaction(0)).to.not.be.reverted;
+        await expect(multiSigWallet.connect(acct3).approveTransaction(0))
+          .to.be.revertedWith("Signer joined after the proposal was created");
+
+        // It votes on the proposals created since
+        await multiSigWallet.createEthTransaction(acct2.address, parseEther("0.1"), "Test");
+        await multiSigWallet.connect(acct3).approveTransaction(2);
+        expect((await multiSigWallet.quorumStatus(2)).votes).to.equal(1);
+      });
+
+      it("should still count the owner once after it is removed as a signer", async function () {
+        const [owner, acct1, acct2] = await ethers.getSigners();
+        const { multiSigWallet } = await loadFixture(hre, signersFixture);
+        await multiSigWallet.addSigner(owner.address);
+
+        // The owner is an elector of #0 when it votes, then leaves the signers
+        await multiSigWallet.createEthTransaction(acct2.address, parseEther("0.1"), "Test");
+        await multiSigWallet.approveTransaction(0);
+        const removal = await buildCallProposal(hre, {
+          contractName: "Multi_Sig",
+          target: multiSigWallet.address,
+          functionName: "removeSigner",
+          args: [owner.address],
+        });
+        await proposeCall(multiSigWallet, removal);
+        for (const signer of [owner, acct1, acct2]) {
+          await multiSigWallet.connect(signer).approveTransaction(1);
+        }
+        await multiSigWallet.finalizeTransaction(1);
+        expect(await multiSigWallet.signerList(owner.address)).to.equal(false);
+
+        // Its vote now counts on top of acct1, acct2 and acct3, like its signature would
+        const [votes, required] = await multiSigWallet.quorumStatus(0);
+        expect([votes.toNumber(), required.toNumber()]).to.deep.equal([1, 2]);
+        await multiSigWallet.connect(acct1).approveTransaction(0);
+        expect((await readProposal(multiSigWallet, 0)).status).to.equal("approved");
+
+        const bundle = await aggregateApprovals(multiSigWallet, 0, [
+          await signApproval(owner, multiSigWallet, 0),
+          await signApproval(acct1, multiSigWallet, 0),
+        ]);
+        const before = await acct2.getBalance();
+        await executeWithSignatures(multiSigWallet, bundle);
+        expect((await acct2.getBalance()).sub(before)).to.equal(parseEther("0.1"));
+      });
+
+      it("should only let the signers of the proposal's snapshot vote", async function () {
+        const [, acct1, acct2, acct3, acct4] = await ethers.getSigners();
+        const { multiSigWallet } = await loadFixture(hre, signersFixture);
+
+        await multiSigWallet.createEthTransaction(acct2.address, parseEther("0.1"), "Test");
+        await multiSigWallet.addSigner(acct4.address);
+
+        expect(await multiSigWallet.getProposalSigners(0)).to.deep.equal([acct1.address, acct2.address, acct3.address]);
+        await expect(multiSigWallet.connect(acct4).approveTransaction(0))
+          .to.be.revertedWith("Signer joined after the proposal was created");
+      });
+    });
+
+    describe("Proposal Lifecycle", async function () {
+      const WEEK = 7 * 24 * 60 * 60;
+
+      // acct1, acct2 and acct3 sign, acct1 proposed #0
+      async function lifecycleFixture(hre) {
+        const [, acct1, acct2, acct3] = await hre.ethers.getSigners();
+        const { multiSigWallet } = await loadFixture(hre, multiSigFixture, MULTISIG_PARAMS);
+
+        await multiSigWallet.addSigner(acct1.address);
+        await multiSigWallet.addSigner(acct2.address);
+        await multiSigWallet.addSigner(acct3.address);
+        await multiSigWallet.connect(acct1).createEthTransaction(acct2.address, parseEther("0.1"), "Test");
+        return { multiSigWallet };
+      }
+
+      async function increaseTime(seconds) {
+        await ethers.provider.send("evm_increaseTime", [seconds]);
+        await ethers.provider.send("evm_mine", []);
+      }
+
+      it("should go from pending to approved to executed", async function () {
+        const [, acct1, acct2, acct3] = await ethers.getSigners();
+        const { multiSigWallet } = await loadFixture(hre, lifecycleFixture);
+
+        expect((await readProposal(multiSigWallet, 0)).status).to.equal("pending");
+        await multiSigWallet.connect(acct1).approveTransaction(0);
+        await multiSigWallet.connect(acct2).approveTransaction(0);
+        expect((await readProposal(multiSigWallet, 0)).status).to.equal("approved");
+
+        await multiSigWallet.finalizeTransaction(0);
+        expect((await readProposal(multiSigWallet, 0)).status).to.equal("executed");
+        await expect(multiSigWallet.connect(acct3).rejectTransaction(0)).to.be.revertedWith("Transaction already finished");
+      });
+
+      it("should count reject votes and let them be revoked", async function () {
+        const [, acct1, acct2] = await ethers.getSigners();
+        const { multiSigWallet } = await loadFixture(hre, lifecycleFixture);
+
+        await expect(multiSigWallet.connect(acct1).rejectTransaction(0))
+          .to.emit(multiSigWallet, "TransactionRejected").withArgs(0, acct1.address);
+        await expect(multiSigWallet.connect(acct1).approveTransaction(0)).to.be.revertedWith("You already voted");
+        await expect(multiSigWallet.connect(acct1).rejectTransaction(0)).to.be.revertedWith("You already voted");
+
+        await multiSigWallet.connect(acct2).approveTransaction(0);
+        let proposal = await readProposal(multiSigWallet, 0);
+        expect([proposal.approve, proposal.reject]).to.deep.equal([1, 1]);
+        expect(proposal.rejection).to.deep.equal({ votes: 1, required: 2, met: false });
+
+        await multiSigWallet.connect(acct1).revokeVoteTransaction(0);
+        proposal = await readProposal(multiSigWallet, 0);
+        expect([proposal.approve, proposal.reject]).to.deep.equal([1, 0]);
+        expect(proposal.status).to.equal("pending");
+      });
+
+      it("should be rejected and cancelled by a rejecting majority", async function () {
+        const [, acct1, acct2, acct3] = await ethers.getSigners();
+        const { multiSigWallet } = await loadFixture(hre, lifecycleFixture);
+
+        await multiSigWallet.connect(acct2).rejectTransaction(0);
+        await expect(multiSigWallet.connect(acct2).cancelTransaction(0))
+          .to.be.revertedWith("Only the proposer or a rejecting majority can cancel");
+
+        await multiSigWallet.connect(acct3).rejectTransaction(0);
+        expect((await readProposal(multiSigWallet, 0)).status).to.equal("rejected");
+        await expect(multiSigWallet.connect(acct1).approveTransaction(0)).to.be.revertedWith("Transaction was rejected");
+        await expect(multiSigWallet.finalizeTransaction(0)).to.be.revertedWith(
+          "Quorum Majority not met yet for transaction"
+        );
+
+        await expect(multiSigWallet.connect(acct2).cancelTransaction(0))
+          .to.emit(multiSigWallet, "TransactionCancelled").withArgs(0, acct2.address);
+        await expect(multiSigWallet.connect(acct2).cancelTransaction(0))
+          .to.be.revertedWith("Transaction already cancelled");
+      });
+
+      it("should be cancelled by its proposer", async function () {
+        const [, acct1, acct2] = await ethers.getSigners();
+        const { multiSigWallet } = await loadFixture(hre, lifecycleFixture);
+
+        await multiSigWallet.connect(acct1).approveTransaction(0);
+        await multiSigWallet.connect(acct2).approveTransaction(0);
+        await multiSigWallet.connect(acct1).cancelTransaction(0);
+
+        expect((await readProposal(multiSigWallet, 0)).status).to.equal("rejected");
+        await expect(multiSigWallet.finalizeTransaction(0)).to.be.revertedWith(
+          "Quorum Majority not met yet for transaction"
+        );
+      });
+
+      it("should expire after the proposal lifetime", async function () {
+        const [, acct1, acct2, acct3] = await ethers.getSigners();
+        const { multiSigWallet } = await loadFixture(hre, lifecycleFixture);
+
+        await multiSigWallet.connect(acct1).approveTransaction(0);
+        await multiSigWallet.connect(acct2).approveTransaction(0);
+        const approvals = [await signApproval(acct1, multiSigWallet, 0), await signApproval(acct2, multiSigWallet, 0)];
+        const bundle = await aggregateApprovals(multiSigWallet, 0, approvals);
+
+        await increaseTime(WEEK + 1);
+
+        const proposal = await readProposal(multiSigWallet, 0);
+        expect(proposal.status).to.equal("expired");
+        expect(formatProposal(proposal)).to.contain("status:    expired");
+        await expect(multiSigWallet.finalizeTransaction(0)).to.be.revertedWith(
+          "Quorum Majority not met yet for transaction"
+        );
+        await expect(executeWithSignatures(multiSigWallet, bundle)).to.be.revertedWith("Transaction expired");
+        await expect(multiSigWallet.connect(acct3).approveTransaction(0)).to.be.revertedWith("Transaction expired");
+      });
+
+      it("should give new proposals the current lifetime", async function () {
+        const [, acct1, acct2] = await ethers.getSigners();
+        const { multiSigWallet } = await loadFixture(hre, lifecycleFixture);
+
+        await expect(multiSigWallet.connect(acct1).setProposalLifetime(60)).to.be.revertedWith(
+          "Ownable: caller is not the owner"
+        );
+        await expect(multiSigWallet.setProposalLifetime(0)).to.be.revertedWith("Proposal lifetime should be positive");
+        await expect(multiSigWallet.setProposalLifetime(60))
+          .to.emit(multiSigWallet, "ProposalLifetimeUpdated").withArgs(60);
+        await multiSigWallet.createEthTransaction(acct2.address, parseEther("0.1"), "Short lived");
+
+        await increaseTime(61);
+        expect((await readProposal(multiSigWallet, 0)).status).to.equal("pending");
+        expect((await readProposal(multiSigWallet, 1)).status).to.equal("expired");
+      });
+
+      it("should hold approved proposals while paused", async function () {
+        const [, acct1, acct2, acct3] = await ethers.getSigners();
+        const { multiSigWallet } = await loadFixture(hre, lifecycleFixture);
+
+        await multiSigWallet.connect(acct1).approveTransaction(0);
+        await multiSigWallet.connect(acct2).approveTransaction(0);
+        const approvals = [await signApproval(acct1, multiSigWallet, 0), await signApproval(acct2, multiSigWallet, 0)];
+        const bundle = await aggregateApprovals(multiSigWallet, 0, approvals);
+
+        // Any signer can pull the brake, only the owner releases it
+        await expect(multiSigWallet.connect(acct3).pause()).to.emit(multiSigWallet, "Paused").withArgs(acct3.address);
+        await expect(multiSigWallet.finalizeTransaction(0)).to.be.revertedWith("Pausable: paused");
+        await expect(executeWithSignatures(multiSigWallet, bundle)).to.be.revertedWith("Pausable: paused");
+        await expect(multiSigWallet.connect(acct1).unpause()).to.be.revertedWith("Ownable: caller is not the owner");
+
+        await multiSigWallet.unpause();
+        expect((await readProposal(multiSigWallet, 0)).status).to.equal("approved");
+        await expect(() => multiSigWallet.finalizeTransaction(0)).to.changeEtherBalance(acct2, parseEther("0.1"));
+      });
+    });
+
+    describe("Proposal Queries", async function () {
+      async function queriesFixture(hre) {
+        const [owner, acct1, acct2] = await hre.ethers.getSigners();
+        const { simpleToken, multiSigWallet } = await loadFixture(hre, multiSigFixture, MULTISIG_PARAMS);
+
+        await multiSigWallet.addSigner(acct1.address);
+        await multiSigWallet.addSigner(acct2.address);
+        // #0 ETH by owner (executed), #1 E20 by acct1, #2 ETH by acct1 (cancelled), #3 E20 by owner
+        await multiSigWallet.connect(owner).createEthTransaction(acct2.address, parseEther("0.1"), "Zero");
+        await multiSigWallet.connect(acct1).createE20Transaction(acct2.address, 1, simpleToken.address, "One");
+        await multiSigWallet.connect(acct1).createEthTransaction(acct2.address, parseEther("0.2"), "Two");
+        await multiSigWallet.connect(owner).createE20Transaction(acct2.address, 3, simpleToken.address, "Three");
+        await multiSigWallet.connect(acct1).approveTransaction(0);
+        await multiSigWallet.connect(acct2).approveTransaction(0);
+        await multiSigWallet.finalizeTransaction(0);
+        await multiSigWallet.connect(acct1).cancelTransaction(2);
+        return { simpleToken, multiSigWallet };
+      }
+
+      it("should count proposals", async function () {
+        const { multiSigWallet } = await loadFixture(hre, queriesFixture);
+
+        expect(await multiSigWallet.getTransactionCount()).to.equal(4);
+        expect(await countProposals(multiSigWallet)).to.equal(4);
+      });
+
+      it("should read proposals a page at a time", async function () {
+        const [owner, acct1] = await ethers.getSigners();
+        const { simpleToken, multiSigWallet } = await loadFixture(hre, queriesFixture);
+
+        let page = await queryProposals(multiSigWallet, {}, { limit: 3 });
+        expect(page.proposals.map((proposal) => proposal.reason)).to.deep.equal(["Zero", "One", "Two"]);
+        expect(page.nextCursor).to.equal(3);
+        expect(page.done).to.equal(false);
+
+        page = await queryProposals(multiSigWallet, {}, { cursor: page.nextCursor, limit: 3 });
+        expect(page.proposals.map((proposal) => proposal.reason)).to.deep.equal(["Three"]);
+        expect(page.done).to.equal(true);
+
+        // Plain objects with decoded enums
+        const [zero, one] = (await queryProposals(multiSigWallet)).proposals;
+        expect(zero).to.include({ id: 0, coinType: "ETH", status: "executed", proposer: owner.address, approve: 2 });
+        expect(one).to.include({ id: 1, coinType: "E20", status: "pending", proposer: acct1.address });
+        expect(one.eth20Address).to.equal(simpleToken.address);
+
+        await expect(multiSigWallet.getTransactions(0, 0, {
+          byStatus: false, status: 0, proposer: ethers.constants.AddressZero, byCoinType: false, coinType: 0,
+        })).to.be.revertedWith("Limit should be positive");
+      });
+
+      it("should filter by status, proposer and coin type", async function () {
+        const [owner, acct1] = await ethers.getSigners();
+        const { multiSigWallet } = await loadFixture(hre, queriesFixture);
+        const ids = async (filter) => (await listProposals(multiSigWallet, filter, 1)).map((proposal) => proposal.id);
+
+        expect(await ids({})).to.deep.equal([0, 1, 2, 3]);
+        expect(await ids({ status: "pending" })).to.deep.equal([1, 3]);
+        expect(await ids({ status: "rejected" })).to.deep.equal([2]);
+        expect(await ids({ proposer: acct1.address })).to.deep.equal([1, 2]);
+        expect(await ids({ coinType: "E20" })).to.deep.equal([1, 3]);
+        expect(await ids({ proposer: owner.address, coinType: "ETH" })).to.deep.equal([0]);
+        expect(await ids({ status: "expired" })).to.deep.equal([]);
+
+        // A page only holds matches, the cursor skips the rest
+        const page = await queryProposals(multiSigWallet, { coinType: "E20" }, { limit: 1 });
+        expect(page.proposals.map((proposal) => proposal.id)).to.deep.equal([1]);
+        expect(page.nextCursor).to.equal(2);
+
+        try {
+          await listProposals(multiSigWallet, { status: "stale" });
+          expect.fail("should have thrown");
+        } catch (error) {
+          expect(error.message).to.contain('Unknown status "stale"');
+        }
+      });
+    });
+
+    describe("Off-chain Approvals", async function () {
+      async function approvalsFixture(hre) {
+        const [, acct1, acct2, acct3] = await hre.ethers.getSigners();
+        const { multiSigWallet } = await loadFixture(hre, multiSigFixture, MULTISIG_PARAMS);
+
+        // 3 signers: more than 50% means 2 of them
+        await multiSigWallet.addSigner(acct1.address);
+        await multiSigWallet.addSigner(acct2.address);
+        await multiSigWallet.addSigner(acct3.address);
+        await multiSigWallet.createEthTransaction(acct2.address, parseEther("0.1"), "Test");
+        await multiSigWallet.createEthTransaction(acct2.address, parseEther("0.2"), "Test 2");
+        return { multiSigWallet };
+      }
+
+      // Expects the promise to be rejected with `message`
+      async function expectRejected(promise, message) {
+        let error;
+        try {
+          await promise;
+        } catch (e) {
+          error = e;
+        }
+        expect(error, "expected a rejection").to.not.equal(undefined);
+        expect(error.message).to.contain(message);
+      }
+
+      it("should execute with a bundle of signatures in one transaction", async function () {
+        const [owner, acct1, acct2, acct3] = await ethers.getSigners();
+        const { multiSigWallet } = await loadFixture(hre, approvalsFixture);
+
+        const approvals = [];
+        for (const signer of [acct1, acct2, acct3]) {
+          approvals.push(await signApproval(signer, multiSigWallet, 0));
+        }
+        const bundle = await aggregateApprovals(multiSigWallet, 0, approvals);
+        expect(bundle.signers).to.deep.equal(
+          [acct1.address, acct2.address, acct3.address].sort((a, b) => (a.toLowerCase() < b.toLowerCase() ? -1 : 1))
+        );
+
+        // Nobody voted on-chain, the owner just submits the bundle
+        await expect(() => executeWithSignatures(multiSigWallet.connect(owner), bundle))
+          .to.changeEtherBalance(acct2, parseEther("0.1"));
+        expect(await multiSigWallet.nonce()).to.equal(1);
+      });
+
+      it("should not execute below quorum", async function () {
+        const [, acct1] = await ethers.getSigners();
+        const { multiSigWallet } = await loadFixture(hre, approvalsFixture);
+
+        // 1 of 3 signers, 2 are needed
+        const approvals = [await signApproval(acct1, multiSigWallet, 0)];
+        const bundle = await aggregateApprovals(multiSigWallet, 0, approvals);
+
+        await expect(executeWithSignatures(multiSigWallet, bundle)).to.be.revertedWith(
+          "Quorum Majority not met yet for transaction"
+        );
+      });
+
+      it("should count the owner's approval on top of the signers', like its on-chain vote", async function () {
+        const [owner, acct1, acct2] = await ethers.getSigners();
+        const { multiSigWallet } = await loadFixture(hre, approvalsFixture);
+
+        // The owner is an agent but not in signerList, with one signer that makes the 2 votes needed
+        const approvals = [await signApproval(owner, multiSigWallet, 0), await signApproval(acct1, multiSigWallet, 0)];
+        const bundle = await aggregateApprovals(multiSigWallet, 0, approvals);
+        expect(bundle.signers).to.have.members([owner.address, acct1.address]);
+
+        const before = await ethers.provider.getBalance(acct2.address);
+        await executeWithSignatures(multiSigWallet.connect(acct1), bundle);
+        expect((await ethers.provider.getBalance(acct2.address)).sub(before)).to.equal(parseEther("0.1"));
+        expect(await multiSigWallet.nonce()).to.equal(1);
+      });
+
+      it("should reject duplicates and non signers", async function () {
+        const [, acct1, , acct3, acct4] = await ethers.getSigners();
+        const { multiSigWallet } = await loadFixture(hre, approvalsFixture);
+        const approval = await signApproval(acct1, multiSigWallet, 0);
+
+        await expectRejected(aggregateApprovals(multiSigWallet, 0, [approval, approval]), "was already collected");
+        await expect(multiSigWallet.executeWithSignatures(0, [approval.signature, approval.signature]))
+          .to.be.revertedWith("Signatures should be unique and sorted by signer");
+
+        // Neither a signer nor the owner
+        const outsiderApproval = await signApproval(acct4, multiSigWallet, 0);
+        await expectRejected(aggregateApprovals(multiSigWallet, 0, [outsiderApproval]), "is neither a signer nor the owner");
+        await expect(multiSigWallet.executeWithSignatures(0, [outsiderApproval.signature]))
+          .to.be.revertedWith("Signature is not from a signer");
+
+        // A signature claiming to be from someone else
+        await expectRejected(
+          aggregateApprovals(multiSigWallet, 0, [{ ...approval, signer: acct3.address }]),
+          `is signed by ${acct1.address}`
+        );
+      });
+
+      it("should take signers in any letter case and refuse those who joined after the proposal", async function () {
+        const [, acct1, acct2, , acct4] = await ethers.getSigners();
+        const { multiSigWallet } = await loadFixture(hre, approvalsFixture);
+        await multiSigWallet.addSigner(acct4.address);
+
+        const lowercase = { ...(await signApproval(acct1, multiSigWallet, 0)), signer: acct1.address.toLowerCase() };
+        const bundle = await aggregateApprovals(multiSigWallet, 0, [lowercase, await signApproval(acct2, multiSigWallet, 0)]);
+        expect(bundle.signers).to.have.members([acct1.address, acct2.address]);
+
+        // A signer now, but not an elector of #0: refused before the contract reverts on it
+        const late = await signApproval(acct4, multiSigWallet, 0);
+        await expectRejected(aggregateApprovals(multiSigWallet, 0, [late]), `${acct4.address} joined the signers after #0 was created`);
+        expect(await multiSigWallet.canVote(0, acct4.address)).to.equal(false);
+        await expect(multiSigWallet.executeWithSignatures(0, [late.signature]))
+          .to.be.revertedWith("Signer joined after the proposal was created");
+      });
+
+      it("should not be replayable on another chain or multisig", async function () {
+        const [, acct1, acct2, acct3] = await ethers.getSigners();
+        const { multiSigWallet } = await loadFixture(hre, approvalsFixture);
+        const signers = [acct1, acct2, acct3];
+
+        // Signed for chain 1 while the multisig lives on the hardhat chain
+        const otherChain = [];
+        for (const signer of signers) {
+          otherChain.push(await signApproval(signer, multiSigWallet, 0, 1));
+        }
+        await expectRejected(aggregateApprovals(multiSigWallet, 0, otherChain), "is for chain 1");
+        const sorted = otherChain.sort((a, b) => (a.signer.toLowerCase() < b.signer.toLowerCase() ? -1 : 1));
+        // The contract recovers someone else entirely from a signature over another domain
+        await expect(multiSigWallet.executeWithSignatures(0, sorted.map((a) => a.signature)))
+          .to.be.revertedWith("Signature is not from a signer");
+
+        // Signed for another multisig with the same signers
+        const MultiSigWallet = await ethers.getContractFactory("Multi_Sig");
+        const otherMultiSig = await MultiSigWallet.deploy(MS_QUORUM_MAJORITY, { value: parseEther("1") });
+        for (const signer of signers) {
+          await otherMultiSig.addSigner(signer.address);
+        }
+        await otherMultiSig.createEthTransaction(acct2.address, parseEther("0.1"), "Test");
+        const otherContract = [];
+        for (const signer of signers) {
+          otherContract.push(await signApproval(signer, otherMultiSig, 0));
+        }
+        await expectRejected(aggregateApprovals(multiSigWallet, 0, otherContract), `is for multisig ${otherMultiSig.address}`);
+        const bundle = await aggregateApprovals(otherMultiSig, 0, otherContract);
+        await expect(executeWithSignatures(multiSigWallet, bundle)).to.be.revertedWith("Signature is not from a signer");
+      });
+
+      it("should not be reusable after execution", async function () {
+        const [, acct1, acct2, acct3] = await ethers.getSigners();
+        const { multiSigWallet } = await loadFixture(hre, approvalsFixture);
+
+        const approvals = [];
+        for (const signer of [acct1, acct2, acct3]) {
+          approvals.push(await signApproval(signer, multiSigWallet, 0));
+        }
+        const bundle = await aggregateApprovals(multiSigWallet, 0, approvals);
+        await executeWithSignatures(multiSigWallet, bundle);
+
+        // Same bundle again
+        await expect(executeWithSignatures(multiSigWallet, bundle)).to.be.revertedWith("Transaction already finished");
+        // Same signatures on the next proposal
+        await expect(multiSigWallet.executeWithSignatures(1, bundle.signatures))
+          .to.be.revertedWith("Signature is not from a signer");
+        // Approvals collected before the execution are stale now
+        await expectRejected(aggregateApprovals(multiSigWallet, 0, approvals), "the multisig is at nonce 1");
+      });
+    });
+
+    describe("Contract Call Transactions", async function () {
+      // The multisig owns the ERC1155 token and the NFT staker, so their admin functions
+      // can only be reached through multisig proposals
+      async function callsFixture(hre) {
+        const [, acct1, acct2] = await hre.ethers.getSigners();
+        const { multiSigWallet } = await loadFixture(hre, multiSigFixture, MULTISIG_PARAMS);
+
+        const erc1155 = await (await hre.ethers.getContractFactory("ERC1155_Token")).deploy(acct2.address);
+        const nftToken = await (await hre.ethers.getContractFactory("NFT_Token")).deploy();
+        const staker = await (await hre.ethers.getContractFactory("NFT_Staker")).deploy(nftToken.address, 30, {
+          value: parseEther("1"),
+        });
+
+        await erc1155.transferOwnership(multiSigWallet.address);
+        await staker.transferOwnership(multiSigWallet.address);
+
+        await multiSigWallet.addSigner(acct1.address);
+        await multiSigWallet.addSigner(acct2.address);
+        return { multiSigWallet, erc1155, staker };
+      }
+
+      // Proposes a call, gets it approved by the owner and acct1 and executes it
+      async function governCall(multiSigWallet, contractName, target, functionName, args) {
+        const [owner, acct1] = await ethers.getSigners();
+        const proposal = await buildCallProposal(hre, { contractName, target, functionName, args });
+
+        await proposeCall(multiSigWallet, proposal);
+        const id = (await multiSigWallet.queryFilter("TransactionCreated")).length - 1;
+        await multiSigWallet.connect(owner).approveTransaction(id);
+        await multiSigWallet.connect(acct1).approveTransaction(id);
+        return { id, execution: multiSigWallet.finalizeTransaction(id) };
+      }
+
+      it("should build proposals from the compiled ABI", async function () {
+        const { staker } = await loadFixture(hre, callsFixture);
+        const proposal = await buildCallProposal(hre, {
+          contractName: "NFT_Staker",
+          target: staker.address,
+          functionName: "setReward",
+          args: [parseEther("0.002")],
+        });
+
+        expect(proposal.target).to.equal(staker.address);
+        expect(proposal.data).to.equal(staker.interface.encodeFunctionData("setReward", [parseEther("0.002")]));
+
+        const decoded = await decodeCall(hre, "NFT_Staker", proposal.data);
+        expect(decoded.functionName).to.equal("setReward");
+        expect(decoded.args[0]).to.equal(parseEther("0.002"));
+      });
+
+      it("should administer the ERC1155 token", async function () {
+        const [, acct1, acct2] = await ethers.getSigners();
+        const { multiSigWallet, erc1155 } = await loadFixture(hre, callsFixture);
+
+        // Owner only functions can't be called directly anymore
+        await expect(erc1155.mint("http://test.com/")).to.be.reverted;
+
+        const mint = await governCall(multiSigWallet, "ERC1155_Token", erc1155.address, "mint", ["http://test.com/"]);
+        await expect(mint.execution).to.emit(multiSigWallet, "CallExecuted")
+          .withArgs(mint.id, ethers.utils.defaultAbiCoder.encode(["uint256"], [0]));
+        expect(await erc1155.balanceOf(acct2.address, 0)).to.equal(1);
+
+        const update = await governCall(
+          multiSigWallet, "ERC1155_Token", erc1155.address, "updateTreasury", [acct1.address]
+        );
+        await update.execution;
+        expect(await erc1155.treasury()).to.equal(acct1.address);
+      });
+
+      it("should administer the NFT staker", async function () {
+        const { multiSigWallet, staker } = await loadFixture(hre, callsFixture);
+
+        const setReward = await governCall(
+          multiSigWallet, "NFT_Staker", staker.address, "setReward", [parseEther("0.002")]
+        );
+        await expect(setReward.execution).to.emit(multiSigWallet, "TransactionExecuted");
+        expect(await staker.rewardPerSecond()).to.equal(parseEther("0.002"));
+
+        const activate = await governCall(multiSigWallet, "NFT_Staker", staker.address, "activateStake", []);
+        await activate.execution;
+        expect(await staker.isStaking()).to.equal(true);
+      });
+
+      it("should keep a failed call pending with the reason of the called contract", async function () {
+        const [, acct1] = await ethers.getSigners();
+        const { multiSigWallet, staker } = await loadFixture(hre, callsFixture);
+
+        // Hand the staker back, the multisig can't administer it anymore
+        const handBack = await governCall(
+          multiSigWallet, "NFT_Staker", staker.address, "transferOwnership", [acct1.address]
+        );
+        await handBack.execution;
+
+        const setReward = await governCall(multiSigWallet, "NFT_Staker", staker.address, "setReward", [1]);
+        await expect(setReward.execution).to.be.revertedWith("Only accessible to owner");
+
+        expect((await readProposal(multiSigWallet, setReward.id)).status).to.equal("approved");
+      });
+
+      it("should only target contracts", async function () {
+        const [, , acct2] = await ethers.getSigners();
+        const { multiSigWallet } = await loadFixture(hre, callsFixture);
+
+        await expect(multiSigWallet.createCallTransaction(acct2.address, 0, "0x", "Test"))
+          .to.be.revertedWith("Call target is not a contract");
+      });
+    });
+    describe("Tasks", async function () {
+      // acct1 and acct2 sign: both votes are needed
+      async function tasksFixture(hre) {
+        const [, acct1, acct2] = await hre.ethers.getSigners();
+        const { simpleToken, multiSigWallet } = await loadFixture(hre, multiSigFixture, MULTISIG_PARAMS);
+
+        await multiSigWallet.addSigner(acct1.address);
+        await multiSigWallet.addSigner(acct2.address);
+        return { simpleToken, multiSigWallet };
+      }
+
+      it("should print the signers and the quorum", async function () {
+        const [, acct1, acct2] = await ethers.getSigners();
+        const { multiSigWallet } = await loadFixture(hre, tasksFixture);
+
+        const printed = await hre.run("multisig:signers", { address: multiSigWallet.address });
+        expect(printed).to.deep.equal({
+          signers: [acct1.address, acct2.address],
+          quorumMajority: MS_QUORUM_MAJORITY,
+          requiredApprovals: 2,
+          signerSetId: (await multiSigWallet.signerSetId()).toNumber(),
+        });
+      });
+
+      it("should propose ether, tokens and contract calls", async function () {
+        const [owner, acct1, acct2] = await ethers.getSigners();
+        const { simpleToken, multiSigWallet } = await loadFixture(hre, tasksFixture);
+        const address = multiSigWallet.address;
+
+        await hre.run("multisig:propose-eth", {
+          address,
+          signer: "1",
+          to: acct2.address,
+          amount: "0.5",
+          reason: "Ether",
+        });
+        await hre.run("multisig:propose-erc20", {
+          address,
+          to: acct2.address,
+          amount: "7",
+          reason: "Tokens",
+          token: simpleToken.address,
+        });
+        await hre.run("multisig:propose-call", {
+          address,
+          contract: "Simple_Token",
+          function: "transfer",
+          args: JSON.stringify([acct1.address, 3]),
+          target: simpleToken.address,
+        });
+
+        const [eth, erc20, call] = (await queryProposals(multiSigWallet)).proposals;
+        expect(eth).to.include({ coinType: "ETH", status: "pending", recipient: acct2.address });
+        expect(eth.proposer).to.equal(acct1.address);
+        expect(eth.amount).to.equal(parseEther("0.5"));
+        expect(erc20).to.include({ coinType: "E20", recipient: acct2.address, eth20Address: simpleToken.address });
+        expect(erc20.amount).to.equal(7);
+        expect(call).to.include({ coinType: "CALL", recipient: simpleToken.address, proposer: owner.address });
+        expect(await multiSigWallet.viewTransactionData(2)).to.equal(
+          simpleToken.interface.encodeFunctionData("transfer", [acct1.address, 3])
+        );
+
+        try {
+          const call = { contract: "Simple_Token", function: "transfer", target: simpleToken.address, args: "[" };
+          await hre.run("multisig:propose-call", { address, ...call });
+          expect.fail("multisig:propose-call should fail");
+        } catch (error) {
+          expect(error.message).to.equal("--args should be a JSON array, got [");
+        }
+      });
+
+      it("should remove and replace signers through approved proposals", async function () {
+        const [, acct1, acct2, acct3] = await ethers.getSigners();
+        const { multiSigWallet } = await loadFixture(hre, tasksFixture);
+        const address = multiSigWallet.address;
+
+        await hre.run("multisig:propose-replace-signer", { address, old: acct2.address, new: acct3.address });
+        await hre.run("multisig:approve", { address, signer: "1", id: 0 });
+        try {
+          await hre.run("multisig:execute", { address, id: 0 });
+          expect.fail("multisig:execute should fail");
+        } catch (error) {
+          expect(error.message).to.equal("Proposal #0 has 1 of the 2 votes it needs");
+        }
+        await hre.run("multisig:approve", { address, signer: "2", id: 0 });
+        await hre.run("multisig:execute", { address, id: 0 });
+        expect((await hre.run("multisig:signers", { address })).signers).to.deep.equal([acct1.address, acct3.address]);
+
+        await hre.run("multisig:propose-remove-signer", { address, signer: "3", who: acct1.address });
+        await hre.run("multisig:approve", { address, signer: "1", id: 1 });
+        await hre.run("multisig:approve", { address, signer: "3", id: 1 });
+        await hre.run("multisig:execute", { address, id: 1 });
+        expect(await multiSigWallet.getSigners()).to.deep.equal([acct3.address]);
+      });
+
+      it("should list proposals by status, a page at a time", async function () {
+        const [, acct1, acct2] = await ethers.getSigners();
+        const { multiSigWallet } = await loadFixture(hre, tasksFixture);
+        const address = multiSigWallet.address;
+        for (const reason of ["Zero", "One", "Two", "Three"]) {
+          await hre.run("multisig:propose-eth", { address, to: acct2.address, amount: "0.1", reason });
+        }
+        // #1 approved, #2 cancelled, #0 and #3 pending
+        await hre.run("multisig:approve", { address, signer: "1", id: 1 });
+        await hre.run("multisig:approve", { address, signer: "2", id: 1 });
+        await hre.run("multisig:cancel", { address, id: 2 });
+
+        const list = async (filter) =>
+          (await hre.run("multisig:list", { address, ...filter })).map((proposal) => proposal.reason);
+        expect(await list({ pageSize: 1 })).to.deep.equal(["Zero", "One", "Two", "Three"]);
+        expect(await list({ status: "pending", pageSize: 1 })).to.deep.equal(["Zero", "Three"]);
+        expect(await list({ status: "approved", pageSize: 3 })).to.deep.equal(["One"]);
+        expect(await list({ status: "rejected" })).to.deep.equal(["Two"]);
+        expect(await list({ status: "executed", proposer: acct1.address })).to.deep.equal([]);
+      });
+
+      it("should execute with approvals signed off-chain", async function () {
+        const [, , acct2] = await ethers.getSigners();
+        const { multiSigWallet } = await loadFixture(hre, tasksFixture);
+        const address = multiSigWallet.address;
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), "approvals-"));
+        await hre.run("multisig:propose-eth", { address, to: acct2.address, amount: "1", reason: "Signed" });
+
+        const files = [];
+        for (const signer of ["1", "2"]) {
+          const out = path.join(dir, `acct${signer}.json`);
+          const approval = await hre.run("multisig:sign", { address, signer, id: 0, out });
+          expect(JSON.parse(fs.readFileSync(out, "utf8"))).to.deep.equal(approval);
+          files.push(out);
+        }
+
+        // Nobody voted on-chain, account #0 submits the approvals
+        const balance = await acct2.getBalance();
+        await hre.run("multisig:execute-signed", { address, id: 0, approvals: files.join(",") });
+        expect((await acct2.getBalance()).sub(balance)).to.equal(parseEther("1"));
+        expect((await readProposal(multiSigWallet, 0)).status).to.equal("executed");
+        expect((await readProposal(multiSigWallet, 0)).approve).to.equal(0);
+      });
+
+      it("should refuse a leaked private key as signer outside the hardhat network", async function () {
+        const wallet = ethers.Wallet.createRandom();
+        const testnet = { ...hre, network: { ...hre.network, name: "testnet" } };
+
+        // Stands in for the committed rinkeby keys, those stay out of the sources
+        LEAKED_SECRET_HASHES.push(ethers.utils.keccak256(ethers.utils.toUtf8Bytes(wallet.privateKey.slice(2))));
+        try {
+          try {
+            await resolveSigner(testnet, wallet.privateKey.toUpperCase().replace("0X", "0x"));
+            expect.fail("should have thrown");
+          } catch (error) {
+            expect(error.message).to.contain("--signer was committed to this repository and must never be used on testnet");
+          }
+          // Still fine for local tests
+          expect((await resolveSigner(hre, wallet.privateKey)).address).to.equal(wallet.address);
+        } finally {
+          LEAKED_SECRET_HASHES.pop();
+        }
+        expect((await resolveSigner(testnet, wallet.privateKey)).address).to.equal(wallet.address);
+      });
+    });
   
   });
 
@@ -0,0 +1,108 @@
+const http = require("http");
+const { expect } = require("chai");
+const { ethers, artifacts } = require("hardhat");
+const hre = require("hardhat");
+const { loadFixture, stakingFixture } = require("../scripts/fixtures");
+const { buildVerificationRequests, submitVerification } = require("../scripts/verify");
+
+let manifest, token, staker;
+const LOCKIN_PERDIOD = 30; // in seconds
+
+// A tiny etherscan stand-in: accepts every submission and reports it verified on the first poll
+function startStubServer(received) {
+  const server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", () => {
+      res.setHeader("Content-Type", "application/json");
+      if (req.method === "POST") {
+        received.push(Object.fromEntries(new URLSearchParams(body)));
+        res.end(JSON.stringify({ status: "1", message: "OK", result: `guid-${received.length}` }));
+      } else {
+        res.end(JSON.stringify({ status: "1", message: "OK", result: "Pass - Verified" }));
+      }
+    });
+  });
+  return new Promise((resolve) => server.listen(0, "127.0.0.1", () => resolve(server)));
+}
+
+describe("Contract Verification", function () {
+  beforeEach(async () => {
+    const fixture = await loadFixture(hre, stakingFixture, { lockin: LOCKIN_PERDIOD, funding: "1" });
+    ({ token, staker } = fixture);
+    // Tests edit the manifest, the fixture's copy is shared
+    manifest = JSON.parse(JSON.stringify(fixture.manifest));
+  });
+
+  it("should build a request per recorded contract with encoded constructor arguments", async function () {
+    const verifications = await buildVerificationRequests(hre, manifest, "KEY");
+    expect(verifications.map((v) => v.name)).to.deep.equal(["NFT_Token", "NFT_Staker"]);
+
+    const { request } = verifications[1];
+    const buildInfo = await artifacts.getBuildInfo("contracts/2_NFTStaking.sol:NFT_Staker");
+
+    expect(request.contractaddress).to.equal(staker.address);
+    expect(request.contractname).to.equal("contracts/2_NFTStaking.sol:NFT_Staker");
+    expect(request.compilerversion).to.equal(`v${buildInfo.solcLongVersion}`);
+    expect(JSON.parse(request.sourceCode)).to.deep.equal(buildInfo.input);
+    expect("0x" + request.constructorArguements).to.equal(
+      ethers.utils.defaultAbiCoder.encode(["address", "uint256"], [token.address, LOCKIN_PERDIOD])
+    );
+  });
+
+  it("should recover constructor arguments from the deployment transaction", async function () {
+    delete manifest.contracts.NFT_Staker.args;
+
+    const [verification] = await buildVerificationRequests(hre, manifest, "KEY", ["NFT_Staker"]);
+    expect(verification.constructorArguments).to.deep.equal([token.address, `${LOCKIN_PERDIOD}`]);
+  });
+
+  it("should refuse contracts that are not in the manifest", async function () {
+    let error;
+    try {
+      await buildVerificationRequests(hre, manifest, "KEY", ["Multi_Sig"]);
+    } catch (e) {
+      error = e;
+    }
+    expect(error.message).to.equal("Multi_Sig is not deployed on hardhat");
+  });
+
+  it("should skip records without an ABI hash or with another one than the compiled contract", async function () {
+    manifest.contracts.NFT_Token.abiHash = null;
+    manifest.contracts.NFT_Staker.abiHash = ethers.utils.id("an older NFT_Staker");
+
+    const verifications = await buildVerificationRequests(hre, manifest, "KEY");
+    expect(verifications.map((v) => v.request)).to.deep.equal([undefined, undefined]);
+    expect(verifications[0].skipped).to.equal(
+      "the manifest has no ABI hash for NFT_Token, nothing says it was deployed from these sources"
+    );
+    expect(verifications[1].skipped).to.contain("the compiled NFT_Staker doesn't match the deployed one");
+
+    // Nothing is sent for them
+    expect(await submitVerification("http://127.0.0.1:1/api", verifications[1])).to.deep.equal({
+      name: "NFT_Staker",
+      status: "skipped",
+      reason: verifications[1].skipped,
+    });
+  });
+
+  it("should submit every request to the verification api", async function () {
+    const received = [];
+    const server = await startStubServer(received);
+    const apiUrl = `http://127.0.0.1:${server.address().port}/api`;
+
+    try {
+      const verifications = await buildVerificationRequests(hre, manifest, "KEY");
+      const results = [];
+      for (const verification of verifications) {
+        results.push(await submitVerification(apiUrl, verification));
+      }
+
+      expect(results.map((r) => r.status)).to.deep.equal(["verified", "verified"]);
+      // The stub received exactly what the dry run prints
+      expect(received).to.deep.equal(verifications.map((v) => v.request));
+    } finally {
+      server.close();
+    }
+  });
+});
@@ -0,0 +1,133 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const { parseEther } = require("ethers/lib/utils");
+const { ethers } = require("hardhat");
+const hre = require("hardhat");
+const { indexEvents, mergeIndex, loadIndex, saveIndex } = require("../scripts/indexer");
+const { loadFixture, systemsFixture } = require("../scripts/fixtures");
+
+let erc1155, nftToken, staker, simpleToken, multiSigWallet;
+const LOCKIN_PERDIOD = 30; // in seconds
+
+describe("Event Indexer", function () {
+  beforeEach(async () => {
+    const [, acct1] = await ethers.getSigners();
+
+    ({ erc1155, token: nftToken, staker, simpleToken, multiSigWallet } = await loadFixture(hre, systemsFixture, {
+      erc1155: { treasury: acct1.address },
+      staking: { lockin: LOCKIN_PERDIOD, funding: "1" },
+      multiSig: { quorum: 50, funding: "5", tokenSupply: 100 },
+    }));
+    await nftToken.mint();
+    await nftToken.setApprovalForAll(staker.address, true);
+  });
+
+  it("should decode the events of all three contracts into typed records", async function () {
+    const [owner, acct1, acct2] = await ethers.getSigners();
+    const fromBlock = await ethers.provider.getBlockNumber();
+
+    await erc1155.mint("http://testv1.com/");
+    await erc1155.setURI(0, "http://testv2.com/");
+    await erc1155.updateTreasury(acct2.address);
+
+    await staker.stake(nftToken.address, 0);
+    await ethers.provider.send("evm_increaseTime", [LOCKIN_PERDIOD + 1]);
+    await staker.unstake(nftToken.address, 0);
+
+    await multiSigWallet.addSigner(acct1.address);
+    await multiSigWallet.createE20Transaction(acct2.address, 50, simpleToken.address, "Grant");
+    await multiSigWallet.connect(acct1).approveTransaction(0);
+    await multiSigWallet.finalizeTransaction(0);
+
+    const toBlock = await ethers.provider.getBlockNumber();
+    const index = await indexEvents({ erc1155, staker, multiSigWallet }, fromBlock, toBlock);
+
+    expect(index.lastBlock).to.equal(toBlock);
+    expect(index.mints).to.have.length(1);
+    expect(index.mints[0]).to.include({ tokenId: "0", recipient: acct1.address, baseURI: "http://testv1.com/", maxSupply: "1" });
+    expect(index.editions[0]).to.include({ tokenId: "0", recipient: acct1.address, amount: "1", supply: "1" });
+    expect(index.uriChanges[0]).to.include({ tokenId: "0", baseURI: "http://testv2.com/" });
+    expect(index.treasuryChanges[0]).to.include({ previousTreasury: acct1.address, newTreasury: acct2.address });
+    // The default royalty follows the treasury
+    expect(index.royaltyChanges[0]).to.include({ tokenId: null, receiver: acct2.address, feeNumerator: 0 });
+
+    expect(index.stakes[0]).to.include({ collection: nftToken.address, owner: owner.address, tokenId: "0" });
+    const [unstake] = index.unstakes;
+    expect(unstake).to.include({ owner: owner.address, tokenId: "0" });
+    expect(unstake.duration).to.be.gte(LOCKIN_PERDIOD + 1);
+    expect(unstake.reward).to.equal(parseEther("0.001").mul(unstake.duration).toString());
+
+    expect(index.signers.map((s) => s.signer)).to.deep.equal([acct1.address]);
+    expect(index.proposals[0]).to.include({
+      transactionId: 0,
+      proposer: owner.address,
+      coinType: "E20",
+      recipient: acct2.address,
+      amount: "50",
+      eth20Address: simpleToken.address,
+      reason: "Grant",
+    });
+    expect(index.votes.map((v) => [v.transactionId, v.signer, v.vote])).to.deep.equal([[0, acct1.address, "approve"]]);
+    expect(index.executions[0]).to.include({ transactionId: 0, executor: owner.address });
+    expect(index.executions[0].contract).to.equal(multiSigWallet.address);
+  });
+
+  it("should scan in steps and append to a stored index", async function () {
+    const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "indexer-")), "hardhat.json");
+    const fromBlock = await ethers.provider.getBlockNumber();
+
+    await erc1155.mint("a");
+    await erc1155.mint("b");
+    const middle = await ethers.provider.getBlockNumber();
+    saveIndex(file, mergeIndex(loadIndex(file), await indexEvents({ erc1155 }, fromBlock, middle, 1)));
+
+    await erc1155.mint("c");
+    const toBlock = await ethers.provider.getBlockNumber();
+    saveIndex(file, mergeIndex(loadIndex(file), await indexEvents({ erc1155 }, middle + 1, toBlock, 1)));
+
+    const stored = loadIndex(file);
+    expect(stored.lastBlock).to.equal(toBlock);
+    expect(stored.mints.map((m) => m.baseURI)).to.deep.equal(["a", "b", "c"]);
+  });
+
+  it("should keep the token ids of other collections past 2^53", async function () {
+    const [owner] = await ethers.getSigners();
+    const Collection = await ethers.getContractFactory("ERC721_Collection");
+    const collection = await Collection.deploy();
+    const tokenId = ethers.constants.MaxUint256.toString();
+    await staker.setCollection(collection.address, LOCKIN_PERDIOD, parseEther("0.001"));
+    const fromBlock = await ethers.provider.getBlockNumber();
+
+    await collection.mint(owner.address, tokenId);
+    await collection.setApprovalForAll(staker.address, true);
+    await staker.stake(collection.address, tokenId);
+    await ethers.provider.send("evm_increaseTime", [LOCKIN_PERDIOD + 1]);
+    await staker.unstake(collection.address, tokenId);
+
+    const toBlock = await ethers.provider.getBlockNumber();
+    const index = await indexEvents({ staker }, fromBlock, toBlock);
+    expect(index.stakes[0]).to.include({ collection: collection.address, owner: owner.address, tokenId });
+    expect(index.unstakes[0]).to.include({ collection: collection.address, tokenId });
+  });
+
+  it("should record pauses with the contract they happened on", async function () {
+    const [owner, acct1] = await ethers.getSigners();
+    const fromBlock = await ethers.provider.getBlockNumber();
+
+    await multiSigWallet.addSigner(acct1.address);
+    await multiSigWallet.connect(acct1).pause();
+    await staker.pause();
+    await multiSigWallet.unpause();
+
+    const toBlock = await ethers.provider.getBlockNumber();
+    const index = await indexEvents({ erc1155, staker, multiSigWallet }, fromBlock, toBlock);
+
+    expect(index.pauses.map((p) => [p.contract, p.account, p.paused])).to.deep.equal([
+      [multiSigWallet.address, acct1.address, true],
+      [staker.address, owner.address, true],
+      [multiSigWallet.address, owner.address, false],
+    ]);
+  });
+});
@@ -0,0 +1,85 @@
+const { expect } = require("chai");
+const { parseEther } = require("ethers/lib/utils");
+const { ethers } = require("hardhat");
+const hre = require("hardhat");
+const { loadFixture, erc1155Fixture, stakingFixture } = require("../scripts/fixtures");
+const { deployStep } = require("../scripts/steps");
+
+describe("Fixtures", function () {
+  it("should revert to the deployed state instead of deploying again", async function () {
+    const [, acct1] = await ethers.getSigners();
+
+    const first = await loadFixture(hre, erc1155Fixture, { treasury: acct1.address });
+    await first.erc1155.mint("http://testv1.com/");
+    const block = await ethers.provider.getBlockNumber();
+
+    const second = await loadFixture(hre, erc1155Fixture, { treasury: acct1.address });
+    expect(second.erc1155.address).to.equal(first.erc1155.address);
+    expect(await second.erc1155.tokenId()).to.equal(0);
+    expect(await ethers.provider.getBlockNumber()).to.be.lt(block);
+
+    // The snapshot is taken again after every revert
+    await second.erc1155.mint("http://testv1.com/");
+    const third = await loadFixture(hre, erc1155Fixture, { treasury: acct1.address });
+    expect(await third.erc1155.tokenId()).to.equal(0);
+  });
+
+  it("should deploy again for other parameters and keep the earlier snapshots", async function () {
+    const [, acct1, acct2] = await ethers.getSigners();
+
+    const toAcct1 = await loadFixture(hre, erc1155Fixture, { treasury: acct1.address });
+    const toAcct2 = await loadFixture(hre, erc1155Fixture, { treasury: acct2.address });
+    expect(toAcct2.erc1155.address).to.not.equal(toAcct1.erc1155.address);
+    expect(await toAcct2.erc1155.treasury()).to.equal(acct2.address);
+
+    // Going back to the first one drops the second, it was taken after
+    await loadFixture(hre, erc1155Fixture, { treasury: acct1.address });
+    expect(await ethers.provider.getCode(toAcct2.erc1155.address)).to.equal("0x");
+    const again = await loadFixture(hre, erc1155Fixture, { treasury: acct2.address });
+    expect(await again.erc1155.treasury()).to.equal(acct2.address);
+  });
+
+  it("should set a system up like the deploy task does", async function () {
+    const params = { lockin: 60, funding: "0.5", reward: "1000" };
+    const { staker, manifest } = await loadFixture(hre, stakingFixture, params);
+
+    // The task deploys a second pair with the same parameters, through the same steps
+    const deployed = await hre.run("deploy:staking", params);
+    expect(deployed.staker.address).to.not.equal(staker.address);
+    expect(Object.keys(manifest.steps)).to.deep.equal([
+      "NFT_Token.deploy",
+      "NFT_Staker.deploy",
+      "NFT_Staker.setReward(1000)",
+      "NFT_Staker.activateStake",
+    ]);
+
+    for (const contract of [staker, deployed.staker]) {
+      expect(await contract.lockInPeriod()).to.equal(60);
+      expect(await contract.rewardPerSecond()).to.equal(1000);
+      expect(await contract.isStaking()).to.equal(true);
+      expect(await ethers.provider.getBalance(contract.address)).to.equal(parseEther("0.5"));
+    }
+  });
+
+  it("should refuse to resume a deployment with other constructor arguments", async function () {
+    const [, acct1, acct2] = await ethers.getSigners();
+    const fixture = await loadFixture(hre, erc1155Fixture, { treasury: acct1.address });
+    const manifest = JSON.parse(JSON.stringify(fixture.manifest));
+    const ERC1155_Token = await ethers.getContractFactory("ERC1155_Token");
+
+    expect(manifest.steps["ERC1155_Token.deploy"].args).to.deep.equal([acct1.address]);
+    const resumed = await deployStep(manifest, "ERC1155_Token", ERC1155_Token, [acct1.address.toLowerCase()]);
+    expect(resumed.address).to.equal(fixture.erc1155.address);
+
+    let error;
+    try {
+      await deployStep(manifest, "ERC1155_Token", ERC1155_Token, [acct2.address]);
+    } catch (e) {
+      error = e;
+    }
+    expect(error.message).to.equal(
+      `ERC1155_Token is already deployed on hardhat with the arguments ["${acct1.address}"], not ["${acct2.address}"]. ` +
+        "Remove its record and its ERC1155_Token.deploy step from deployments/hardhat.json to deploy it again"
+    );
+  });
+});
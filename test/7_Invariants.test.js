@@ -0,0 +1,639 @@
+const { expect } = require("chai");
+const { BigNumber } = require("ethers");
+const { parseEther } = require("ethers/lib/utils");
+const { ethers } = require("hardhat");
+const hre = require("hardhat");
+const { checkProperty } = require("../scripts/properties");
+const { loadFixture, stakingFixture, multiSigFixture } = require("../scripts/fixtures");
+
+/*
+    Invariants
+    - Random sequences of actions from several accounts against the staker and the multisig, checked
+      after every step against a ghost model: a plain JS copy of what the contracts should hold
+    - Every action predicts its outcome from the ghost (success or the revert reason) before it is
+      sent. Near a deadline the next block timestamp decides, then either prediction is accepted
+    - A failure reports the shrunk sequence and its seed, replay it with PROPERTY_SEED=<seed>
+*/
+
+const LOCKIN_PERDIOD = 30; // in seconds
+const STAKERS = 3;
+const TOKENS_PER_STAKER = 3;
+const REWARD_RATES = [0, 1000, parseEther("0.001")]; // in wei per second
+const TOP_UPS = [parseEther("0.01"), parseEther("0.5")];
+
+const MS_QUORUM_MAJORITY = 50;
+const CANDIDATES = 4; // Accounts the owner can add as signers
+const PROPOSAL_LIFETIME = 7 * 24 * 3600;
+const ETH_AMOUNTS = [parseEther("0.1"), parseEther("2"), parseEther("4")];
+const TOKEN_AMOUNTS = [1, 30, 80];
+
+const WAITS = [5, 20, 40, 300];
+const MS_WAITS = [60, 3600, 3 * 24 * 3600, 8 * 24 * 3600];
+const TIME_MARGIN = 15; // How far ahead of the latest block the next one can be, in seconds
+
+// Runs a transaction, returns its receipt, or the revert reason ("" without one) when it reverted
+async function attempt(send) {
+  try {
+    const tx = await send();
+    return { receipt: await tx.wait() };
+  } catch (error) {
+    const match = /reverted with reason string '(.*)'/.exec(error.message);
+    if (match) return { reason: match[1] };
+    if (/reverted without a reason string|reverted$/.test(error.message)) return { reason: "" };
+    throw error;
+  }
+}
+
+async function latestTimestamp() {
+  return (await ethers.provider.getBlock("latest")).timestamp;
+}
+
+async function blockTimestamp(receipt) {
+  return (await ethers.provider.getBlock(receipt.blockNumber)).timestamp;
+}
+
+// `predict(timestamp)` is the revert reason expected if the transaction lands at `timestamp`, null for
+// a success. Throws unless the outcome is the one predicted for the next block (or a few seconds later).
+async function expectOutcome(label, predict, send) {
+  const latest = await latestTimestamp();
+  const allowed = new Set([predict(latest + 1), predict(latest + TIME_MARGIN)]);
+  const outcome = await attempt(send);
+  const got = outcome.receipt ? null : outcome.reason;
+  if (!allowed.has(got)) {
+    const expected = [...allowed].map((reason) => (reason === null ? "success" : `revert "${reason}"`));
+    throw new Error(`${label}: expected ${expected.join(" or ")}, got ${got === null ? "success" : `revert "${got}"`}`);
+  }
+  return outcome.receipt;
+}
+
+function expectEqual(label, actual, expected) {
+  if (!BigNumber.from(actual).eq(expected)) {
+    throw new Error(`${label}: contract has ${actual}, ghost has ${expected}`);
+  }
+}
+
+async function wait(seconds) {
+  await ethers.provider.send("evm_increaseTime", [seconds]);
+  await ethers.provider.send("evm_mine", []);
+  return latestTimestamp();
+}
+
+describe("Invariants", function () {
+  describe("Harness", function () {
+    // Fails once "close" follows an "open" twice, the smallest failing sequence is open, close, close
+    const toyModel = {
+      setup: async () => ({ open: false, closes: 0 }),
+      generate: (random) => ({ type: random.pick(["open", "close", "noop"]) }),
+      apply: async (state, action) => {
+        if (action.type === "open") state.open = true;
+        if (action.type === "close" && state.open) state.closes += 1;
+      },
+      check: async (state) => {
+        if (state.closes > 1) throw new Error("closed twice");
+      },
+      describe: (action) => action.type,
+    };
+
+    it("should shrink a failing sequence to its minimal steps and name the seed", async function () {
+      try {
+        await checkProperty("toy", toyModel, { seed: 42, length: 30 });
+        expect.fail("The property should fail");
+      } catch (error) {
+        expect(error.shrunk.actions.map((action) => action.type)).to.deep.equal(["open", "close", "close"]);
+        expect(error.message).to.contain("PROPERTY_SEED=");
+        expect(error.message).to.contain("1. open\n  2. close\n  3. close\nStep 3 failed: closed twice");
+      }
+    });
+
+    it("should simplify single actions while shrinking", async function () {
+      // Fails once the total reaches 10, adds are simplified down to 1
+      const sumModel = {
+        setup: async () => ({ total: 0 }),
+        generate: (random) => ({ add: 1 + random.int(9) }),
+        apply: async (state, action) => {
+          state.total += action.add;
+        },
+        check: async (state) => {
+          if (state.total >= 10) throw new Error(`total is ${state.total}`);
+        },
+        describe: (action) => `add ${action.add}`,
+        simplify: (action) => Array.from({ length: action.add - 1 }, (_, index) => ({ add: index + 1 })),
+      };
+
+      try {
+        await checkProperty("sum", sumModel, { seed: 7 });
+        expect.fail("The property should fail");
+      } catch (error) {
+        const adds = error.shrunk.actions.map((action) => action.add);
+        expect(adds.reduce((sum, add) => sum + add, 0)).to.equal(10);
+        expect(error.message).to.contain("failed: total is 10");
+      }
+    });
+
+    it("should replay the same sequences for the same seed", async function () {
+      const messages = [];
+      for (let i = 0; i < 2; i++) {
+        try {
+          await checkProperty("toy", toyModel, { seed: 1234 });
+        } catch (error) {
+          messages.push(error.message);
+        }
+      }
+      expect(messages).to.have.length(2);
+      expect(messages[0]).to.equal(messages[1]);
+    });
+  });
+
+  describe("NFT Staker", function () {
+    this.timeout(600000);
+
+    // The staker of the staking tests, and STAKERS accounts holding TOKENS_PER_STAKER tokens each
+    async function stakerModelFixture(hre, params) {
+      const { token, staker } = await stakingFixture(hre, params);
+      const users = (await hre.ethers.getSigners()).slice(1, 1 + STAKERS);
+      for (const user of users) {
+        for (let i = 0; i < TOKENS_PER_STAKER; i++) {
+          await token.connect(user).mint();
+        }
+        await token.connect(user).setApprovalForAll(staker.address, true);
+      }
+      return { token, staker, users };
+    }
+
+    const stakerModel = {
+      async setup() {
+        const { token, staker, users } = await loadFixture(hre, stakerModelFixture, {
+          lockin: LOCKIN_PERDIOD,
+          funding: "1",
+        });
+        const [owner] = await ethers.getSigners();
+        // Reverting keeps the clock running, start from a block of now
+        await ethers.provider.send("evm_mine", []);
+
+        // Who holds each token: the index of a user, or "staker"
+        const holders = new Map();
+        const supply = (await token.currentSupply()).toNumber();
+        for (let id = 0; id < supply; id++) {
+          const holder = await token.ownerOf(id);
+          holders.set(id, users.findIndex((user) => user.address === holder));
+        }
+
+        return {
+          token,
+          staker,
+          owner,
+          users,
+          holders,
+          stakes: new Map(), // tokenId -> { user, stakedAt }
+          rate: await staker.rewardPerSecond(),
+          earned: users.map(() => BigNumber.from(0)), // Earned and not paid yet
+          funds: await ethers.provider.getBalance(staker.address),
+          time: await latestTimestamp(),
+        };
+      },
+
+      generate(random) {
+        return random.weighted([
+          [4, { type: "stake", user: random.int(STAKERS), pick: random.int(TOKENS_PER_STAKER) }],
+          [3, { type: "unstake", user: random.int(STAKERS), pick: random.int(STAKERS * TOKENS_PER_STAKER), own: random.int(4) > 0 }],
+          [2, { type: "claim", user: random.int(STAKERS) }],
+          [1, { type: "setReward", rate: random.int(REWARD_RATES.length) }],
+          [1, { type: "topUp", user: random.int(STAKERS), amount: random.int(TOP_UPS.length) }],
+          [3, { type: "wait", seconds: random.pick(WAITS) }],
+        ]);
+      },
+
+      describe(action) {
+        switch (action.type) {
+          case "stake":
+            return `acct${action.user + 1} stakes one of its tokens (pick ${action.pick})`;
+          case "unstake":
+            return `acct${action.user + 1} unstakes one of ${action.own ? "its" : "someone else's"} staked tokens (pick ${action.pick})`;
+          case "claim":
+            return `acct${action.user + 1} claims`;
+          case "setReward":
+            return `owner sets the reward to ${REWARD_RATES[action.rate]} wei per second`;
+          case "topUp":
+            return `acct${action.user + 1} tops up ${ethers.utils.formatEther(TOP_UPS[action.amount])} ETH`;
+          default:
+            return `${action.seconds} seconds pass`;
+        }
+      },
+
+      simplify(action) {
+        if (action.type === "wait") return WAITS.filter((seconds) => seconds < action.seconds).map((seconds) => ({ ...action, seconds }));
+        if (action.pick > 0) return [{ ...action, pick: 0 }];
+        return [];
+      },
+
+      async apply(state, action) {
+        const { staker, token, users } = state;
+
+        // Everything staked earns the current rate until `timestamp`
+        function accrue(timestamp) {
+          for (const { user } of state.stakes.values()) {
+            state.earned[user] = state.earned[user].add(state.rate.mul(timestamp - state.time));
+          }
+          state.time = timestamp;
+        }
+
+        function stakedBy(user) {
+          return [...state.stakes.keys()].filter((id) => state.stakes.get(id).user === user);
+        }
+
+        // The staker pays everything settled, or what its funds allow
+        async function expectPaid(label, user, receipt) {
+          const paid = receipt.events
+            .filter((event) => event.event === "RewardClaimed")
+            .reduce((sum, event) => sum.add(event.args.amount), BigNumber.from(0));
+          const owed = state.earned[user];
+          const expected = owed.lt(state.funds) ? owed : state.funds;
+          expectEqual(`${label} paid`, paid, expected);
+          state.earned[user] = owed.sub(paid);
+          state.funds = state.funds.sub(paid);
+        }
+
+        // Reverted transactions are mined too, rewards accrue until the latest block either way
+        async function run() {
+          if (action.type === "stake") {
+            const held = [...state.holders.keys()].filter((id) => state.holders.get(id) === action.user);
+            if (held.length === 0) return;
+            const id = held[action.pick % held.length];
+            const receipt = await expectOutcome(
+              "stake",
+              () => null,
+              () => staker.connect(users[action.user]).stake(token.address, id)
+            );
+            accrue(await blockTimestamp(receipt));
+            state.holders.set(id, "staker");
+            state.stakes.set(id, { user: action.user, stakedAt: state.time });
+          } else if (action.type === "unstake") {
+            const candidates = action.own
+              ? stakedBy(action.user)
+              : [...state.stakes.keys()].filter((id) => state.stakes.get(id).user !== action.user);
+            if (candidates.length === 0) return;
+            const id = candidates[action.pick % candidates.length];
+            const stake = state.stakes.get(id);
+            const receipt = await expectOutcome(
+              "unstake",
+              (timestamp) => {
+                if (stakedBy(action.user).length === 0) return "You currently don't have any staakes yet";
+                if (stake.user !== action.user) return "Only the owner of the stake can unstake it";
+                if (timestamp - stake.stakedAt <= LOCKIN_PERDIOD) return "You're pulling out too early";
+                return null;
+              },
+              () => staker.connect(users[action.user]).unstake(token.address, id)
+            );
+            if (!receipt) return;
+            accrue(await blockTimestamp(receipt));
+            if (state.time - stake.stakedAt <= LOCKIN_PERDIOD) {
+              throw new Error(`unstake: token #${id} left after ${state.time - stake.stakedAt} seconds`);
+            }
+            state.stakes.delete(id);
+            state.holders.set(id, action.user);
+            await expectPaid("unstake", action.user, receipt);
+          } else if (action.type === "claim") {
+            // At least one second passes before the claim, so anything staked at a rate has earned
+            const earning = state.rate.mul(stakedBy(action.user).length);
+            const receipt = await expectOutcome(
+              "claim",
+              () => {
+                if (state.earned[action.user].add(earning).isZero()) return "Nothing to claim";
+                if (state.funds.isZero()) return "Not enough reward funds";
+                return null;
+              },
+              () => staker.connect(users[action.user]).claim()
+            );
+            if (!receipt) return;
+            accrue(await blockTimestamp(receipt));
+            await expectPaid("claim", action.user, receipt);
+          } else if (action.type === "setReward") {
+            const rate = BigNumber.from(REWARD_RATES[action.rate]);
+            const receipt = await expectOutcome("setReward", () => null, () => staker.connect(state.owner).setReward(rate));
+            accrue(await blockTimestamp(receipt));
+            state.rate = rate;
+          } else if (action.type === "topUp") {
+            const amount = TOP_UPS[action.amount];
+            const receipt = await expectOutcome(
+              "topUpRewards",
+              () => null,
+              () => staker.connect(users[action.user]).topUpRewards(amount, { value: amount })
+            );
+            accrue(await blockTimestamp(receipt));
+            state.funds = state.funds.add(amount);
+          } else {
+            accrue(await wait(action.seconds));
+          }
+        }
+        await run();
+        accrue(await latestTimestamp());
+      },
+
+      async check(state) {
+        const { staker, token, users } = state;
+
+        // Every token is either with its holder or staked, and staked once
+        for (const [id, holder] of state.holders) {
+          const expected = holder === "staker" ? staker.address : users[holder].address;
+          const actual = await token.ownerOf(id);
+          if (actual !== expected) throw new Error(`token #${id} is held by ${actual}, ghost says ${expected}`);
+          const stake = state.stakes.get(id);
+          const stakeOwner = stake ? users[stake.user].address : ethers.constants.AddressZero;
+          if ((await staker.stakes(token.address, id)).owner !== stakeOwner) {
+            throw new Error(`stake of token #${id} doesn't belong to ${stakeOwner}`);
+          }
+        }
+        expectEqual("totalStaked", await staker.totalStaked(), state.stakes.size);
+
+        // Rewards are earned at the rate, paid at most once and owed until paid
+        expectEqual("reward funds", await ethers.provider.getBalance(staker.address), state.funds);
+        let owed = BigNumber.from(0);
+        for (let user = 0; user < users.length; user++) {
+          const staked = [...state.stakes.values()].filter((stake) => stake.user === user).length;
+          expectEqual(`hasStake(acct${user + 1})`, await staker.hasStake(users[user].address), staked);
+          expectEqual(`pendingReward(acct${user + 1})`, await staker.pendingReward(users[user].address), state.earned[user]);
+          owed = owed.add(state.earned[user]);
+        }
+        const runway = await staker.rewardRunway();
+        expectEqual("rewardRunway owed", runway.owed, owed);
+      },
+    };
+
+    it("should keep tokens, stakes and rewards consistent", async function () {
+      await checkProperty("staker", stakerModel, { runs: 6 });
+    });
+  });
+
+  describe("Multi Signature Wallet", function () {
+    this.timeout(600000);
+
+    // Mirrors TxStatus
+    const STATUS = ["Pending", "Approved", "Rejected", "Expired", "Executed"];
+
+    // Votes of `ballots` that count for `proposal` and the votes it needs, like Multi_Sig._tally.
+    // Agent 0 is the owner, who is never a signer here.
+    function tally(state, proposal, ballots) {
+      const electors = [...proposal.snapshot].filter((agent) => state.signers.has(agent));
+      let votes = electors.filter((agent) => ballots.has(agent)).length;
+      if (ballots.has(0)) votes += 1;
+      const required = Math.min(Math.floor((electors.length * MS_QUORUM_MAJORITY) / 100) + 1, electors.length);
+      return { votes, required };
+    }
+
+    function status(state, proposal, timestamp) {
+      if (proposal.complete) return "Executed";
+      if (proposal.cancelled) return "Rejected";
+      if (timestamp > proposal.deadline) return "Expired";
+      const rejections = tally(state, proposal, proposal.rejecters);
+      if (rejections.required > 0 && rejections.votes >= rejections.required) return "Rejected";
+      const approvals = tally(state, proposal, proposal.approvers);
+      if (approvals.required > 0 && approvals.votes >= approvals.required) return "Approved";
+      return "Pending";
+    }
+
+    // Revert reason of _requireOpen at `timestamp`, null when the proposal is open
+    function openReason(state, proposal, timestamp) {
+      const current = status(state, proposal, timestamp);
+      if (current === "Executed") return "Transaction already finished";
+      if (current === "Rejected") return "Transaction was rejected";
+      if (current === "Expired") return "Transaction expired";
+      return null;
+    }
+
+    const multiSigModel = {
+      async setup() {
+        const { simpleToken, multiSigWallet } = await loadFixture(hre, multiSigFixture, {
+          quorum: MS_QUORUM_MAJORITY,
+          funding: "5",
+          tokenSupply: 100,
+        });
+        const accounts = await ethers.getSigners();
+        const recipient = accounts[CANDIDATES + 1];
+        await ethers.provider.send("evm_mine", []);
+
+        return {
+          simpleToken,
+          multiSigWallet,
+          agents: accounts.slice(0, CANDIDATES + 1), // The owner, then the accounts it can add as signers
+          recipient,
+          signers: new Set(),
+          proposals: [],
+          eth: await ethers.provider.getBalance(multiSigWallet.address),
+          tokens: await simpleToken.balanceOf(multiSigWallet.address),
+          recipientEth: await ethers.provider.getBalance(recipient.address),
+          recipientTokens: await simpleToken.balanceOf(recipient.address),
+        };
+      },
+
+      generate(random) {
+        const by = random.int(CANDIDATES + 1);
+        const pick = random.int(8);
+        return random.weighted([
+          [2, { type: "addSigner", who: 1 + random.int(CANDIDATES) }],
+          [2, { type: "propose", by, kind: "ETH", amount: random.int(ETH_AMOUNTS.length) }],
+          [2, { type: "propose", by, kind: "E20", amount: random.int(TOKEN_AMOUNTS.length) }],
+          [1, { type: "propose", by, kind: "removeSigner", who: 1 + random.int(CANDIDATES) }],
+          [5, { type: "approve", by, pick }],
+          [2, { type: "reject", by, pick }],
+          [1, { type: "revoke", by, pick }],
+          [1, { type: "cancel", by, pick }],
+          [3, { type: "finalize", by, pick }],
+          [2, { type: "wait", seconds: random.pick(MS_WAITS) }],
+        ]);
+      },
+
+      describe(action) {
+        const by = action.by === 0 ? "owner" : `acct${action.by}`;
+        switch (action.type) {
+          case "addSigner":
+            return `owner adds acct${action.who}`;
+          case "propose":
+            if (action.kind === "ETH") return `${by} proposes sending ${ethers.utils.formatEther(ETH_AMOUNTS[action.amount])} ETH`;
+            if (action.kind === "E20") return `${by} proposes sending ${TOKEN_AMOUNTS[action.amount]} tokens`;
+            return `${by} proposes removing acct${action.who}`;
+          case "wait":
+            return `${action.seconds} seconds pass`;
+          default:
+            return `${by} calls ${action.type} on proposal ${action.pick} (modulo the proposal count)`;
+        }
+      },
+
+      simplify(action) {
+        if (action.type === "wait") return MS_WAITS.filter((seconds) => seconds < action.seconds).map((seconds) => ({ ...action, seconds }));
+        if (action.pick > 0) return [{ ...action, pick: 0 }];
+        return [];
+      },
+
+      async apply(state, action) {
+        const { multiSigWallet: wallet, simpleToken, agents } = state;
+        const isAgent = action.by === 0 || state.signers.has(action.by);
+
+        if (action.type === "addSigner") {
+          await expectOutcome(
+            "addSigner",
+            () => (state.signers.has(action.who) ? "Already a signer" : null),
+            () => wallet.addSigner(agents[action.who].address)
+          );
+          state.signers.add(action.who);
+          return;
+        }
+
+        if (action.type === "propose") {
+          const sender = wallet.connect(agents[action.by]);
+          const receipt = await expectOutcome(
+            "propose",
+            () => (isAgent ? null : ""),
+            () => {
+              if (action.kind === "ETH") {
+                return sender.createEthTransaction(state.recipient.address, ETH_AMOUNTS[action.amount], "Property");
+              }
+              if (action.kind === "E20") {
+                return sender.createE20Transaction(state.recipient.address, TOKEN_AMOUNTS[action.amount], simpleToken.address, "Property");
+              }
+              const data = wallet.interface.encodeFunctionData("removeSigner", [agents[action.who].address]);
+              return sender.createCallTransaction(wallet.address, 0, data, "Property");
+            }
+          );
+          if (!receipt) return;
+          const amounts = { ETH: ETH_AMOUNTS, E20: TOKEN_AMOUNTS.map((amount) => BigNumber.from(amount)) };
+          state.proposals.push({
+            kind: action.kind,
+            amount: action.kind === "removeSigner" ? BigNumber.from(0) : amounts[action.kind][action.amount],
+            who: action.who,
+            proposer: action.by,
+            snapshot: new Set(state.signers),
+            deadline: (await blockTimestamp(receipt)) + PROPOSAL_LIFETIME,
+            approvers: new Set(),
+            rejecters: new Set(),
+            complete: false,
+            cancelled: false,
+          });
+          return;
+        }
+
+        if (action.type === "wait") {
+          await wait(action.seconds);
+          return;
+        }
+
+        if (state.proposals.length === 0) return;
+        const id = action.pick % state.proposals.length;
+        const proposal = state.proposals[id];
+        const sender = wallet.connect(agents[action.by]);
+        const voted = proposal.approvers.has(action.by) || proposal.rejecters.has(action.by);
+
+        if (action.type === "approve" || action.type === "reject") {
+          const receipt = await expectOutcome(
+            action.type,
+            (timestamp) => {
+              if (!isAgent) return "";
+              const closed = openReason(state, proposal, timestamp);
+              if (closed) return closed;
+              if (action.by !== 0 && !proposal.snapshot.has(action.by)) return "Signer joined after the proposal was created";
+              if (voted) return "You already voted";
+              return null;
+            },
+            () => (action.type === "approve" ? sender.approveTransaction(id) : sender.rejectTransaction(id))
+          );
+          if (receipt) (action.type === "approve" ? proposal.approvers : proposal.rejecters).add(action.by);
+        } else if (action.type === "revoke") {
+          const receipt = await expectOutcome(
+            "revoke",
+            (timestamp) => {
+              if (!isAgent) return "";
+              return openReason(state, proposal, timestamp) || (voted ? null : "You haven't voted yet");
+            },
+            () => sender.revokeVoteTransaction(id)
+          );
+          if (receipt) {
+            proposal.approvers.delete(action.by);
+            proposal.rejecters.delete(action.by);
+          }
+        } else if (action.type === "cancel") {
+          const receipt = await expectOutcome(
+            "cancel",
+            () => {
+              if (!isAgent) return "";
+              if (proposal.complete) return "Transaction already finished";
+              if (proposal.cancelled) return "Transaction already cancelled";
+              const rejections = tally(state, proposal, proposal.rejecters);
+              if (action.by !== proposal.proposer && !(rejections.required > 0 && rejections.votes >= rejections.required)) {
+                return "Only the proposer or a rejecting majority can cancel";
+              }
+              return null;
+            },
+            () => sender.cancelTransaction(id)
+          );
+          if (receipt) proposal.cancelled = true;
+        } else if (action.type === "finalize") {
+          // Executes only with quorum, and only what the wallet can pay
+          const receipt = await expectOutcome(
+            "finalize",
+            (timestamp) => {
+              if (!isAgent) return "";
+              if (status(state, proposal, timestamp) !== "Approved") return "Quorum Majority not met yet for transaction";
+              if (proposal.kind === "ETH" && proposal.amount.gt(state.eth)) return "";
+              if (proposal.kind === "E20" && proposal.amount.gt(state.tokens)) return "ERC20: transfer amount exceeds balance";
+              if (proposal.kind === "removeSigner" && !state.signers.has(proposal.who)) return "Not a signer";
+              return null;
+            },
+            () => sender.finalizeTransaction(id)
+          );
+          if (!receipt) return;
+          proposal.complete = true;
+          if (proposal.kind === "ETH") {
+            state.eth = state.eth.sub(proposal.amount);
+            state.recipientEth = state.recipientEth.add(proposal.amount);
+          } else if (proposal.kind === "E20") {
+            state.tokens = state.tokens.sub(proposal.amount);
+            state.recipientTokens = state.recipientTokens.add(proposal.amount);
+          } else {
+            state.signers.delete(proposal.who);
+            // Void on the existing proposals for good, adding the signer back doesn't bring its votes back
+            for (const other of state.proposals) other.snapshot.delete(proposal.who);
+          }
+        }
+      },
+
+      async check(state) {
+        const { multiSigWallet: wallet, simpleToken, agents, recipient } = state;
+
+        // The signer set is the one the owner and the executed proposals made, without duplicates
+        const signers = await wallet.getSigners();
+        const expected = agents.filter((_, agent) => state.signers.has(agent)).map((account) => account.address);
+        if (new Set(signers).size !== signers.length || [...signers].sort().join() !== [...expected].sort().join()) {
+          throw new Error(`getSigners() is ${signers.join(", ")}, ghost has ${expected.join(", ")}`);
+        }
+        expectEqual("signerCount", await wallet.signerCount(), expected.length);
+
+        // Funds only leave through executed proposals, to their recipient
+        expectEqual("wallet ETH", await ethers.provider.getBalance(wallet.address), state.eth);
+        expectEqual("wallet tokens", await simpleToken.balanceOf(wallet.address), state.tokens);
+        expectEqual("recipient ETH", await ethers.provider.getBalance(recipient.address), state.recipientEth);
+        expectEqual("recipient tokens", await simpleToken.balanceOf(recipient.address), state.recipientTokens);
+
+        // Every vote counts once, and only while its signer is in the proposal's electorate
+        const now = await latestTimestamp();
+        expectEqual("transaction count", await wallet.getTransactionCount(), state.proposals.length);
+        for (let id = 0; id < state.proposals.length; id++) {
+          const proposal = state.proposals[id];
+          const view = await wallet.viewTransactions(id);
+          expectEqual(`approve of proposal ${id}`, view[4], proposal.approvers.size);
+          expectEqual(`reject of proposal ${id}`, view[5], proposal.rejecters.size);
+          const expectedStatus = status(state, proposal, now);
+          if (STATUS[view.status] !== expectedStatus) {
+            throw new Error(`proposal ${id} is ${STATUS[view.status]}, ghost says ${expectedStatus}`);
+          }
+          const quorum = await wallet.quorumStatus(id);
+          const { votes, required } = tally(state, proposal, proposal.approvers);
+          expectEqual(`votes of proposal ${id}`, quorum.votes, votes);
+          expectEqual(`required votes of proposal ${id}`, quorum.required, required);
+        }
+      },
+    };
+
+    it("should only execute proposals with quorum and keep votes and balances consistent", async function () {
+      await checkProperty("multisig", multiSigModel, { runs: 6 });
+    });
+  });
+});
@@ -0,0 +1,71 @@
+const { expect } = require("chai");
+const { parseEther } = require("ethers/lib/utils");
+const { ethers } = require("hardhat");
+const hre = require("hardhat");
+const { createGasRecorder, summarizeGas, compareGas, formatGasMarkdown, updateGasBaseline } = require("../scripts/gas");
+
+describe("Gas Report", function () {
+  it("should record the gas of every transaction per contract function", async function () {
+    const [owner, acct1] = await ethers.getSigners();
+    const recorder = await createGasRecorder(hre.network.provider, hre.artifacts);
+
+    recorder.start();
+    let token;
+    try {
+      const NFT_Token = await ethers.getContractFactory("NFT_Token");
+      token = await NFT_Token.deploy();
+      await token.mint();
+      await token.mint();
+      await token["safeTransferFrom(address,address,uint256)"](owner.address, acct1.address, 0);
+      // Calls no function
+      await owner.sendTransaction({ to: acct1.address, value: parseEther("1") });
+    } finally {
+      recorder.stop();
+    }
+    await token.mint();
+
+    expect([...recorder.calls.keys()]).to.deep.equal([
+      "NFT_Token.constructor",
+      "NFT_Token.mint",
+      // Overloaded, the signature tells which one
+      "NFT_Token.safeTransferFrom(address,address,uint256)",
+    ]);
+    const mints = recorder.calls.get("NFT_Token.mint");
+    expect(mints).to.have.length(2);
+    const receipt = await token.deployTransaction.wait();
+    expect(recorder.calls.get("NFT_Token.constructor")).to.deep.equal([receipt.gasUsed.toNumber()]);
+  });
+
+  it("should fail the functions over their budget by more than the tolerance", async function () {
+    const calls = new Map([
+      ["NFT_Staker.stake", [100000, 120000]],
+      ["Multi_Sig.addSigner", [50000]],
+      ["Multi_Sig.pause", [30000]],
+    ]);
+    const rows = summarizeGas(calls);
+    expect(rows.map((row) => `${row.contract}.${row.method}`)).to.deep.equal([
+      "Multi_Sig.addSigner",
+      "Multi_Sig.pause",
+      "NFT_Staker.stake",
+    ]);
+    expect(rows[2]).to.include({ calls: 2, min: 100000, max: 120000, avg: 110000 });
+
+    const budgets = { "Multi_Sig.addSigner": 48000, "NFT_Staker.stake": 100000, "NFT_Staker.unstake": 90000 };
+    const report = compareGas(rows, budgets, 5);
+    // addSigner is 4.17% over, within the tolerance
+    expect(report.regressions).to.deep.equal([{ key: "NFT_Staker.stake", budget: 100000, max: 120000, change: 20 }]);
+    expect(report.unbudgeted).to.deep.equal(["Multi_Sig.pause"]);
+    expect(report.unmeasured).to.deep.equal(["NFT_Staker.unstake"]);
+
+    const markdown = formatGasMarkdown(report);
+    expect(markdown).to.contain("| Multi_Sig | addSigner | 1 | 50000 | 50000 | 50000 | 48000 | +4.17% |");
+    expect(markdown).to.contain("| Multi_Sig | pause | 1 | 30000 | 30000 | 30000 | - | new |");
+  });
+
+  it("should update the budgets of the measured functions only", async function () {
+    const rows = summarizeGas(new Map([["NFT_Staker.stake", [120000]]]));
+    const budgets = updateGasBaseline({ "NFT_Staker.unstake": 90000, "NFT_Staker.stake": 100000 }, rows);
+    expect(budgets).to.deep.equal({ "NFT_Staker.stake": 120000, "NFT_Staker.unstake": 90000 });
+    expect(compareGas(rows, budgets, 0).regressions).to.deep.equal([]);
+  });
+});
@@ -0,0 +1,288 @@
+const { expect } = require("chai");
+const { parseEther } = require("ethers/lib/utils");
+const { ethers } = require("hardhat");
+const hre = require("hardhat");
+const { loadFixture, erc1155Fixture, stakingFixture, multiSigFixture } = require("../scripts/fixtures");
+const { compareStorageLayouts, implementationAddress, deployProxy, upgradeProxy } = require("../scripts/upgrades");
+const { deployStep } = require("../scripts/steps");
+const { signApproval, aggregateApprovals, executeWithSignatures } = require("../scripts/approvals");
+
+const LOCKIN_PERIOD = 30; // in seconds
+
+// Fixtures share their result between loads, upgrades write to the manifest
+async function loadProxyFixture(fixture, params) {
+  const result = await loadFixture(hre, fixture, { ...params, proxy: true });
+  return { ...result, manifest: JSON.parse(JSON.stringify(result.manifest)) };
+}
+
+// Message of the error upgradeProxy throws
+async function upgradeError(...args) {
+  try {
+    await upgradeProxy(hre, ...args);
+  } catch (error) {
+    return error.message;
+  }
+  expect.fail("The upgrade should have failed");
+}
+
+function variable(label, slot, type, offset = 0) {
+  return { label, slot, offset, type };
+}
+
+describe("Upgrades", function () {
+  describe("Storage layout", function () {
+    const uint = { label: "uint256", bytes: 32 };
+    const address = { label: "address", bytes: 20 };
+    const gap = (length) => ({ label: `uint256[${length}]`, bytes: 32 * length, base: uint });
+    const position = (members) => ({ label: "struct Base.Position", bytes: 32 * members.length, members });
+
+    it("should accept variables appended or taken from a gap", function () {
+      const previous = [variable("owner", 0, address), variable("__gap", 1, gap(50)), variable("total", 51, uint)];
+      const next = [
+        variable("owner", 0, address),
+        variable("rate", 1, uint),
+        variable("__gap", 2, gap(49)),
+        variable("total", 51, uint),
+        variable("label", 52, uint),
+      ];
+      expect(compareStorageLayouts(previous, next)).to.deep.equal([]);
+    });
+
+    it("should refuse moved, retyped, removed and overwritten variables", function () {
+      const previous = [variable("owner", 0, address), variable("total", 1, uint), variable("count", 2, uint)];
+      const next = [variable("total", 0, uint), variable("owner", 1, address), variable("limit", 2, uint)];
+      expect(compareStorageLayouts(previous, next)).to.deep.equal([
+        "owner moved from slot 0 offset 0 to slot 1 offset 0",
+        "total moved from slot 1 offset 0 to slot 0 offset 0",
+        "count (slot 2) was renamed or removed",
+        "limit (slot 2) takes the storage of count",
+      ]);
+
+      const retyped = [variable("owner", 0, uint), variable("total", 1, uint), variable("count", 2, uint)];
+      expect(compareStorageLayouts(previous, retyped)).to.deep.equal(["owner changed type from address to uint256"]);
+    });
+
+    it("should let structs grow at their end only", function () {
+      const stake = variable("stake", 0, uint);
+      const start = variable("start", 1, uint);
+      const previous = [variable("positions", 0, { label: "mapping(uint256 => struct Base.Position)", bytes: 32, value: position([stake, start]) })];
+      const grown = (members) => [
+        variable("positions", 0, { label: "mapping(uint256 => struct Base.Position)", bytes: 32, value: position(members) }),
+      ];
+
+      expect(compareStorageLayouts(previous, grown([stake, start, variable("bonus", 2, uint)]))).to.deep.equal([]);
+      expect(compareStorageLayouts(previous, grown([variable("bonus", 0, uint), { ...stake, slot: 1 }, { ...start, slot: 2 }])))
+        .to.deep.equal([
+          "positions: member stake of struct Base.Position was moved, renamed or removed",
+          "positions: member start of struct Base.Position was moved, renamed or removed",
+        ]);
+    });
+  });
+
+  describe("ERC1155_Token", function () {
+    it("should keep balances, supplies and royalties through an upgrade", async function () {
+      const [owner, acct1] = await ethers.getSigners();
+      const { erc1155, manifest } = await loadProxyFixture(erc1155Fixture, { treasury: acct1.address });
+
+      const record = manifest.contracts.ERC1155_Token;
+      expect(record.contractName).to.equal("ERC1155_Token_Upgradeable");
+      expect(record.args).to.deep.equal([acct1.address]);
+      expect(record.proxy.contractName).to.equal("ERC1967Proxy");
+      expect(record.proxy.implementation.address).to.equal(manifest.contracts.ERC1155_Token_Upgradeable.address);
+      expect(await implementationAddress(ethers.provider, erc1155.address)).to.equal(
+        record.proxy.implementation.address.toLowerCase()
+      );
+      expect(await erc1155.owner()).to.equal(owner.address);
+
+      await erc1155.mintTo(acct1.address, "ipfs://token-0.json", 5, 10);
+      await erc1155.setTokenRoyalty(0, owner.address, 750);
+      await erc1155.setContractURI("ipfs://collection.json");
+      const uri = await erc1155.uri(0);
+
+      const upgraded = await upgradeProxy(hre, manifest, "ERC1155_Token", "ERC1155_Token_V2", owner);
+      expect(upgraded.address).to.equal(erc1155.address);
+      expect(await upgraded.version()).to.equal(2);
+      expect(await upgraded.balanceOf(acct1.address, 0)).to.equal(5);
+      expect(await upgraded.uri(0)).to.equal(uri);
+      expect(await upgraded.treasury()).to.equal(acct1.address);
+      expect(await upgraded.contractURI()).to.equal("ipfs://collection.json");
+      const [receiver, amount] = await upgraded.royaltyInfo(0, 10000);
+      expect([receiver, amount.toNumber()]).to.deep.equal([owner.address, 750]);
+
+      // The new variable starts empty, minting goes on where it was
+      expect(await upgraded.motto()).to.equal("");
+      await upgraded.setMotto("Upgraded");
+      expect(await upgraded.motto()).to.equal("Upgraded");
+      await upgraded.mintTo(acct1.address, "ipfs://token-1.json", 1, 1);
+      expect(await upgraded.tokenId()).to.equal(2);
+
+      expect(record.contractName).to.equal("ERC1155_Token_V2");
+      expect(record.proxy.upgrades).to.have.length(1);
+      expect(record.proxy.upgrades[0].from.contractName).to.equal("ERC1155_Token_Upgradeable");
+      expect(record.proxy.upgrades[0].to).to.deep.equal(record.proxy.implementation);
+    });
+
+    it("should not initialize twice, nor the implementation itself", async function () {
+      const [, acct1] = await ethers.getSigners();
+      const { erc1155, manifest } = await loadProxyFixture(erc1155Fixture, { treasury: acct1.address });
+      const implementation = await ethers.getContractAt(
+        "ERC1155_Token_Upgradeable",
+        manifest.contracts.ERC1155_Token_Upgradeable.address
+      );
+
+      for (const contract of [erc1155, implementation]) {
+        await expect(contract.connect(acct1).initialize(acct1.address)).to.be.revertedWith(
+          "Initializable: contract is already initialized"
+        );
+      }
+    });
+  });
+
+  describe("NFT_Staker", function () {
+    it("should keep stakes and reward funds through an upgrade", async function () {
+      const [owner, acct1] = await ethers.getSigners();
+      const { token, staker, manifest } = await loadProxyFixture(stakingFixture, { lockin: LOCKIN_PERIOD, funding: "1" });
+      expect(await ethers.provider.getBalance(staker.address)).to.equal(parseEther("1"));
+      expect(await staker.owner()).to.equal(owner.address);
+
+      await token.connect(acct1).mint();
+      await token.connect(acct1).mint();
+      await token.connect(acct1).setApprovalForAll(staker.address, true);
+      await staker.connect(acct1).stakeBatch(token.address, [0, 1]);
+      const staked = await staker.stakes(token.address, 0);
+
+      const upgraded = await upgradeProxy(hre, manifest, "NFT_Staker", "NFT_Staker_V2", owner);
+      expect(await upgraded.version()).to.equal(2);
+      expect(await upgraded.isStaking()).to.equal(true);
+      expect(await upgraded.lockInPeriod()).to.equal(LOCKIN_PERIOD);
+      expect(await upgraded.stakes(token.address, 0)).to.deep.equal(staked);
+      expect(await token.ownerOf(0)).to.equal(staker.address);
+      expect(await ethers.provider.getBalance(staker.address)).to.equal(parseEther("1"));
+
+      await upgraded.setBonusRate(5);
+      expect(await upgraded.bonusRate()).to.equal(5);
+
+      // The stakes made before the upgrade earn and unstake as before, the rewards are paid on unstake
+      await ethers.provider.send("evm_increaseTime", [LOCKIN_PERIOD + 1]);
+      await ethers.provider.send("evm_mine", []);
+      expect(await upgraded.pendingReward(acct1.address)).to.be.gt(0);
+      await upgraded.connect(acct1).unstakeBatch(token.address, [0, 1]);
+      expect(await token.ownerOf(1)).to.equal(acct1.address);
+      expect(await upgraded.pendingReward(acct1.address)).to.equal(0);
+      expect(await ethers.provider.getBalance(staker.address)).to.be.lt(parseEther("1"));
+    });
+
+    it("should only let the owner upgrade", async function () {
+      const [owner, acct1] = await ethers.getSigners();
+      const { staker, manifest } = await loadProxyFixture(stakingFixture, { lockin: LOCKIN_PERIOD, funding: "1" });
+
+      expect(await upgradeError(manifest, "NFT_Staker", "NFT_Staker_V2", acct1)).to.equal(
+        `Only the owner of NFT_Staker can upgrade it, that is ${owner.address} and not ${acct1.address}`
+      );
+      // Nor around the manifest
+      const V2 = await ethers.getContractFactory("NFT_Staker_V2");
+      const implementation = await V2.deploy();
+      await expect(staker.connect(acct1).upgradeTo(implementation.address)).to.be.revertedWith(
+        "Only accessible to owner"
+      );
+    });
+
+    it("should resume an upgrade with the implementation it already deployed", async function () {
+      const [owner] = await ethers.getSigners();
+      const { staker, manifest } = await loadProxyFixture(stakingFixture, { lockin: LOCKIN_PERIOD, funding: "1" });
+
+      // A run that stopped between the implementation and upgradeTo
+      const implementation = await deployStep(manifest, "NFT_Staker_V2", await ethers.getContractFactory("NFT_Staker_V2"));
+      await upgradeProxy(hre, manifest, "NFT_Staker", "NFT_Staker_V2", owner);
+
+      expect((await implementationAddress(ethers.provider, staker.address)).toLowerCase()).to.equal(
+        implementation.address.toLowerCase()
+      );
+      expect(manifest.steps[`NFT_Staker.upgradeTo(${implementation.address})`].status).to.equal("done");
+      expect(manifest.contracts.NFT_Staker.proxy.upgrades).to.have.length(1);
+    });
+
+    it("should not put a proxy on a contract deployed without one", async function () {
+      const { token, staker, manifest } = await loadFixture(hre, stakingFixture, { lockin: LOCKIN_PERIOD, funding: "1" });
+
+      let error;
+      try {
+        const copy = JSON.parse(JSON.stringify(manifest));
+        await deployProxy(hre, copy, "NFT_Staker", "NFT_Staker_Upgradeable", [token.address, LOCKIN_PERIOD]);
+      } catch (e) {
+        error = e;
+      }
+      expect(error.message).to.equal(
+        `NFT_Staker is already deployed on hardhat as a plain NFT_Staker at ${staker.address}, not behind a proxy. ` +
+          "Deploy the proxy under another name"
+      );
+    });
+
+    it("should refuse implementations that are not UUPS", async function () {
+      const [owner] = await ethers.getSigners();
+      const { manifest } = await loadProxyFixture(stakingFixture, { lockin: LOCKIN_PERIOD, funding: "1" });
+
+      const message = await upgradeError(manifest, "NFT_Staker", "NFT_Staker", owner);
+      expect(message).to.contain("NFT_Staker takes constructor arguments");
+      expect(message).to.contain("NFT_Staker has no upgradeTo(address), it is not a UUPS implementation");
+      expect(await upgradeError(manifest, "NFT_Token", "NFT_Staker_V2", owner)).to.equal(
+        "NFT_Token is not deployed behind a proxy on hardhat"
+      );
+    });
+  });
+
+  describe("Multi_Sig", function () {
+    it("should keep signers, proposals, votes and balances through an upgrade", async function () {
+      const [owner, acct1, acct2, acct3] = await ethers.getSigners();
+      const { simpleToken, multiSigWallet, manifest } = await loadProxyFixture(multiSigFixture, {
+        quorum: 50,
+        funding: "5",
+        tokenSupply: 100,
+      });
+      expect(await multiSigWallet.owner()).to.equal(owner.address);
+      expect(await multiSigWallet.proposalLifetime()).to.equal(7 * 24 * 60 * 60);
+
+      await multiSigWallet.addSigner(acct1.address);
+      await multiSigWallet.addSigner(acct3.address);
+      await multiSigWallet.createEthTransaction(acct2.address, parseEther("1"), "Before the upgrade");
+      await multiSigWallet.approveTransaction(0);
+      await multiSigWallet.createEthTransaction(acct2.address, parseEther("0.5"), "Signed off-chain");
+      // Signed for the proxy, the domain has to survive the upgrade
+      const digest = await multiSigWallet.approvalDigest(1, 0);
+      const approvals = [await signApproval(acct1, multiSigWallet, 1), await signApproval(acct3, multiSigWallet, 1)];
+
+      const upgraded = await upgradeProxy(hre, manifest, "Multi_Sig", "Multi_Sig_V2", owner);
+      expect(await upgraded.version()).to.equal(2);
+      expect(await upgraded.getSigners()).to.deep.equal([acct1.address, acct3.address]);
+      expect(await upgraded.quorumMajority()).to.equal(50);
+      expect(await upgraded.getTransactionCount()).to.equal(2);
+      expect((await upgraded.quorumStatus(0)).votes).to.equal(1);
+      expect(await upgraded.approvalDigest(1, 0)).to.equal(digest);
+      expect(await simpleToken.balanceOf(upgraded.address)).to.equal(100);
+      expect(await ethers.provider.getBalance(upgraded.address)).to.equal(parseEther("5"));
+
+      await upgraded.setLabel("Treasury");
+      expect(await upgraded.label()).to.equal("Treasury");
+
+      await upgraded.connect(acct1).approveTransaction(0);
+      await expect(() => upgraded.finalizeTransaction(0)).to.changeEtherBalance(acct2, parseEther("1"));
+      const bundle = await aggregateApprovals(upgraded, 1, approvals);
+      await expect(() => executeWithSignatures(upgraded, bundle)).to.changeEtherBalance(acct2, parseEther("0.5"));
+    });
+
+    it("should refuse an implementation moving the multisig state", async function () {
+      const [owner] = await ethers.getSigners();
+      const { multiSigWallet, manifest } = await loadProxyFixture(multiSigFixture, { quorum: 50 });
+      const before = manifest.contracts.Multi_Sig.proxy.implementation;
+
+      const message = await upgradeError(manifest, "Multi_Sig", "Multi_Sig_Reordered", owner);
+      expect(message).to.contain("Multi_Sig_Reordered can't replace Multi_Sig_Upgradeable behind Multi_Sig");
+      expect(message).to.contain("_owner moved from slot 0 offset 0 to slot 0 offset 2");
+
+      // Nothing was deployed nor upgraded
+      expect(manifest.contracts.Multi_Sig_Reordered).to.equal(undefined);
+      expect(manifest.contracts.Multi_Sig.proxy.implementation).to.deep.equal(before);
+      expect(await implementationAddress(ethers.provider, multiSigWallet.address)).to.equal(before.address.toLowerCase());
+    });
+  });
+});